@@ -0,0 +1,511 @@
+/**
+ * Alert rules for the Eye of AO dashboard.
+ * Rules are stored in localStorage and checked against the latest complete period of
+ * each chart's historical data; a triggered rule shows a banner and a browser notification.
+ * Charts watched by anomaly rules load their whole baseline window first.
+ */
+import { ALERT_CONDITIONS, ALERT_DEFAULT_WINDOW_DAYS, CUSTOM_RANGE_MAX_DAYS } from './config.js';
+import { PROCESSES, isQueryProcess, isWeeklyProcess, getProcessDisplayName } from './processes.js';
+import { historicalData } from './charts.js';
+import { fetchAlertBaseline } from './index.js';
+import { getLastDailyCheckpoint, getLastSundayCheckpoint } from './utils.js';
+import { getVolumeCharts, getVolumeToken, isVolumeChart, denominate } from './tokens.js';
+
+// localStorage key for the alert rules
+const ALERT_STORAGE_KEY = 'eyeOfAoAlertRules';
+
+// localStorage key for the period each rule last fired for (rule id -> timestamp),
+// so a period alerts only once, also across page loads
+const FIRED_ALERTS_STORAGE_KEY = 'eyeOfAoFiredAlerts';
+
+// Points needed before a mean and standard deviation are meaningful
+const MIN_BASELINE_POINTS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the stored alert rules
+ * @returns {Array<Object>} Rules: { id, chart, condition, value, windowDays, enabled }
+ */
+export function loadAlertRules() {
+    try {
+        return JSON.parse(localStorage.getItem(ALERT_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Error reading alert rules:', error);
+        return [];
+    }
+}
+
+/**
+ * Stores the alert rules
+ * @param {Array<Object>} rules - The rules to store
+ */
+function saveAlertRules(rules) {
+    localStorage.setItem(ALERT_STORAGE_KEY, JSON.stringify(rules));
+}
+
+/**
+ * Reads the period each rule last fired for
+ * @returns {Object} Map of rule id to period timestamp
+ */
+function loadFiredAlerts() {
+    try {
+        return JSON.parse(localStorage.getItem(FIRED_ALERTS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Error reading fired alerts:', error);
+        return {};
+    }
+}
+
+/**
+ * Stores the period each rule last fired for
+ * @param {Object} firedAlerts - Map of rule id to period timestamp
+ */
+function saveFiredAlerts(firedAlerts) {
+    localStorage.setItem(FIRED_ALERTS_STORAGE_KEY, JSON.stringify(firedAlerts));
+}
+
+/**
+ * Gets the longest baseline window a rule on a chart may use: as far back as the chart can load
+ * @param {string} chartName - The chart name
+ * @returns {number} The window in days
+ */
+function getMaxWindowDays(chartName) {
+    if (!isQueryProcess(chartName)) return Infinity;
+    return isWeeklyProcess(chartName) ? CUSTOM_RANGE_MAX_DAYS * 7 : CUSTOM_RANGE_MAX_DAYS;
+}
+
+/**
+ * Gets the charts a rule can watch: query charts (including secondary series) and volume charts
+ * @returns {Array<string>} Chart names
+ */
+export function getAlertableCharts() {
+    return [
+        ...Object.keys(PROCESSES).filter(processName => isQueryProcess(processName)),
+        ...getVolumeCharts()
+    ];
+}
+
+/**
+ * Checks a rule before it is stored
+ * @param {Object} rule - { chart, condition, value, windowDays }
+ * @returns {string|null} An error message, or null if the rule is valid
+ */
+export function validateAlertRule(rule) {
+    if (!getAlertableCharts().includes(rule.chart)) {
+        return 'Choose a chart';
+    }
+    if (!ALERT_CONDITIONS[rule.condition]) {
+        return 'Choose a condition';
+    }
+    if (!Number.isFinite(rule.value)) {
+        return 'Enter a number';
+    }
+    if (ALERT_CONDITIONS[rule.condition].anomaly) {
+        if (rule.value <= 0) {
+            return 'The number of standard deviations must be above 0';
+        }
+        if (!Number.isInteger(rule.windowDays) || rule.windowDays < 2) {
+            return 'The baseline window must be at least 2 days';
+        }
+        if (rule.windowDays > getMaxWindowDays(rule.chart)) {
+            return `The baseline window of this chart can be at most ${getMaxWindowDays(rule.chart)} days`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Adds an alert rule
+ * @param {Object} rule - { chart, condition, value, windowDays }
+ * @returns {Object} The stored rule
+ * @throws {Error} If the rule is invalid
+ */
+export function addAlertRule(rule) {
+    const error = validateAlertRule(rule);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const storedRule = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        chart: rule.chart,
+        condition: rule.condition,
+        value: rule.value,
+        windowDays: ALERT_CONDITIONS[rule.condition].anomaly ? rule.windowDays : null,
+        enabled: true
+    };
+
+    saveAlertRules([...loadAlertRules(), storedRule]);
+    return storedRule;
+}
+
+/**
+ * Removes an alert rule
+ * @param {string} id - The rule id
+ */
+export function removeAlertRule(id) {
+    saveAlertRules(loadAlertRules().filter(rule => rule.id !== id));
+
+    const firedAlerts = loadFiredAlerts();
+    delete firedAlerts[id];
+    saveFiredAlerts(firedAlerts);
+}
+
+/**
+ * Switches an alert rule on or off
+ * @param {string} id - The rule id
+ * @param {boolean} enabled - Whether the rule is checked
+ */
+export function setAlertRuleEnabled(id, enabled) {
+    saveAlertRules(loadAlertRules().map(rule => rule.id === id ? { ...rule, enabled } : rule));
+}
+
+/**
+ * Gets the name a chart is shown under
+ * @param {string} chartName - The chart name
+ * @returns {string} The display name
+ */
+function getChartLabel(chartName) {
+    const token = getVolumeToken(chartName);
+    return token ? `${token.ticker} Daily Volume` : getProcessDisplayName(chartName);
+}
+
+/**
+ * Gets the value a data point shows on its chart
+ * @param {string} chartName - The chart name
+ * @param {Object} point - The data point
+ * @returns {number|null} The value (whole tokens for volume charts), or null if unknown
+ */
+function getPointValue(chartName, point) {
+    if (isVolumeChart(chartName)) {
+        const token = getVolumeToken(chartName);
+        return typeof point.value === 'number' && token ? denominate(point.value, token) : null;
+    }
+    return typeof point.count === 'number' ? point.count : null;
+}
+
+/**
+ * Gets the points of a chart whose period has ended. The period in progress
+ * (today, or this week for weekly charts) would trip thresholds on partial data.
+ * @param {string} chartName - The chart name
+ * @param {Date} now - The current time
+ * @returns {Array<Object>} { timestamp, value } in chronological order
+ */
+function getCompletedPoints(chartName, now) {
+    // Volume entries are stamped with the start of their day, query periods with their end
+    const lastCheckpoint = isWeeklyProcess(chartName)
+        ? getLastSundayCheckpoint(now)
+        : getLastDailyCheckpoint(now);
+    const isComplete = isVolumeChart(chartName)
+        ? timestamp => timestamp + DAY_MS <= lastCheckpoint.getTime()
+        : timestamp => timestamp <= lastCheckpoint.getTime();
+
+    return (historicalData[chartName] || [])
+        .filter(point => point && !point.failed)
+        .map(point => ({ timestamp: new Date(point.timestamp).getTime(), value: getPointValue(chartName, point) }))
+        .filter(point => point.value !== null && isComplete(point.timestamp))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Calculates the mean and standard deviation of a list of values
+ * @param {Array<number>} values - The values
+ * @returns {Object} { mean, deviation }
+ */
+function getMeanAndDeviation(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean, deviation: Math.sqrt(variance) };
+}
+
+/**
+ * Describes a rule in words
+ * @param {Object} rule - The rule
+ * @returns {string} E.g. "AO Transfers below 500"
+ */
+export function describeAlertRule(rule) {
+    const condition = ALERT_CONDITIONS[rule.condition];
+    const subject = getChartLabel(rule.chart);
+    return condition.anomaly
+        ? `${subject} ${rule.value}σ ${condition.label} the ${rule.windowDays}-day mean`
+        : `${subject} ${condition.label} ${rule.value.toLocaleString()}`;
+}
+
+/**
+ * Checks one rule against the latest complete period of its chart
+ * @param {Object} rule - The rule
+ * @param {Date} now - The current time
+ * @returns {Object|null} { rule, timestamp, value, message } if the rule is triggered
+ */
+export function evaluateAlertRule(rule, now = new Date()) {
+    const condition = ALERT_CONDITIONS[rule.condition];
+    const points = getCompletedPoints(rule.chart, now);
+    const latest = points[points.length - 1];
+    if (!condition || !latest) return null;
+
+    let triggered;
+    let detail = '';
+
+    if (condition.anomaly) {
+        const windowStart = latest.timestamp - rule.windowDays * DAY_MS;
+        const periodMs = isWeeklyProcess(rule.chart) ? 7 * DAY_MS : DAY_MS;
+
+        // A baseline that does not reach back to the start of the window (its data failed
+        // to load) would not be the mean the rule describes
+        if (points[0].timestamp > windowStart + periodMs) return null;
+
+        const baseline = points
+            .filter(point => point.timestamp >= windowStart && point.timestamp < latest.timestamp)
+            .map(point => point.value);
+        if (baseline.length < MIN_BASELINE_POINTS) return null;
+
+        const { mean, deviation } = getMeanAndDeviation(baseline);
+        const limit = condition.direction * rule.value * deviation;
+        triggered = condition.direction > 0 ? latest.value > mean + limit : latest.value < mean + limit;
+        detail = ` (mean ${Math.round(mean).toLocaleString()}, σ ${Math.round(deviation).toLocaleString()} over ${baseline.length} periods)`;
+    } else {
+        triggered = condition.direction > 0 ? latest.value > rule.value : latest.value < rule.value;
+    }
+
+    if (!triggered) return null;
+
+    const date = new Date(latest.timestamp).toISOString().split('T')[0];
+    return {
+        rule,
+        timestamp: latest.timestamp,
+        value: latest.value,
+        message: `${describeAlertRule(rule)}: ${Math.round(latest.value).toLocaleString()} on ${date}${detail}`
+    };
+}
+
+/**
+ * Loads the baseline windows of the anomaly rules on query charts; volume charts already
+ * hold their full history. A chart whose baseline fails to load is skipped by its rules.
+ * @param {Array<Object>} rules - The enabled rules
+ * @returns {Promise<void>}
+ */
+async function loadAlertBaselines(rules) {
+    const windows = new Map();
+    rules
+        .filter(rule => ALERT_CONDITIONS[rule.condition]?.anomaly && isQueryProcess(rule.chart))
+        .forEach(rule => {
+            // One extra week covers the latest complete period and the one in progress
+            windows.set(rule.chart, Math.max(windows.get(rule.chart) || 0, rule.windowDays + 7));
+        });
+
+    for (const [chartName, days] of windows) {
+        try {
+            await fetchAlertBaseline(chartName, days);
+        } catch (error) {
+            console.warn(`Error loading the alert baseline of ${chartName}:`, error);
+        }
+    }
+}
+
+/**
+ * Checks every enabled rule and raises the alerts that have not fired for their period yet
+ * @returns {Promise<Array<Object>>} The newly triggered alerts
+ */
+export async function evaluateAlerts() {
+    const rules = loadAlertRules().filter(rule => rule.enabled);
+    await loadAlertBaselines(rules);
+
+    const now = new Date();
+    const firedAlerts = loadFiredAlerts();
+    const triggered = rules
+        .map(rule => evaluateAlertRule(rule, now))
+        .filter(Boolean)
+        .filter(alert => firedAlerts[alert.rule.id] !== alert.timestamp);
+
+    triggered.forEach(alert => {
+        firedAlerts[alert.rule.id] = alert.timestamp;
+        console.warn('Alert triggered:', alert.message);
+        showAlertBanner(alert.message);
+        sendAlertNotification(alert.message);
+    });
+
+    if (triggered.length > 0) {
+        saveFiredAlerts(firedAlerts);
+    }
+    return triggered;
+}
+
+/**
+ * Adds a message to the alert banner
+ * @param {string} message - The alert message
+ */
+function showAlertBanner(message) {
+    const banner = document.getElementById('alertBanner');
+    if (!banner) return;
+
+    const item = document.createElement('div');
+    item.className = 'alert-banner-item';
+
+    const text = document.createElement('span');
+    text.textContent = `⚠️ ${message}`;
+
+    const dismiss = document.createElement('button');
+    dismiss.className = 'alert-dismiss-btn';
+    dismiss.textContent = '✕';
+    dismiss.title = 'Dismiss';
+    dismiss.addEventListener('click', () => {
+        item.remove();
+        banner.hidden = banner.childElementCount === 0;
+    });
+
+    item.appendChild(text);
+    item.appendChild(dismiss);
+    banner.appendChild(item);
+    banner.hidden = false;
+}
+
+/**
+ * Shows a browser notification if the user allowed them
+ * @param {string} message - The alert message
+ */
+function sendAlertNotification(message) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    try {
+        new Notification('The Eye of AO', { body: message });
+    } catch (error) {
+        console.warn('Error showing alert notification:', error);
+    }
+}
+
+/**
+ * Renders the list of stored rules in the settings panel
+ * @param {HTMLElement} list - The rule list element
+ */
+function renderAlertRules(list) {
+    const rules = loadAlertRules();
+    list.replaceChildren();
+
+    if (rules.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'alert-rule-empty';
+        empty.textContent = 'No alert rules yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    rules.forEach(rule => {
+        const item = document.createElement('li');
+        item.className = 'alert-rule';
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = rule.enabled;
+        checkbox.addEventListener('change', () => setAlertRuleEnabled(rule.id, checkbox.checked));
+        label.appendChild(checkbox);
+        label.append(` ${describeAlertRule(rule)}`);
+
+        const remove = document.createElement('button');
+        remove.className = 'alert-remove-btn';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => {
+            removeAlertRule(rule.id);
+            renderAlertRules(list);
+        });
+
+        item.appendChild(label);
+        item.appendChild(remove);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Builds the form for adding a rule
+ * @param {HTMLElement} list - The rule list to refresh after adding
+ * @returns {HTMLElement} The form
+ */
+function createAlertForm(list) {
+    const form = document.createElement('form');
+    form.className = 'alert-form';
+    form.innerHTML = `
+        <select name="chart" aria-label="Chart"></select>
+        <select name="condition" aria-label="Condition"></select>
+        <input type="number" name="value" step="any" placeholder="Value" aria-label="Value" required>
+        <input type="number" name="windowDays" min="2" step="1" aria-label="Baseline window in days" title="Baseline window in days">
+        <button type="submit" class="alert-add-btn">Add rule</button>
+        <span class="custom-range-error"></span>`;
+
+    getAlertableCharts().forEach(chartName => {
+        form.elements.chart.add(new Option(getChartLabel(chartName), chartName));
+    });
+    Object.entries(ALERT_CONDITIONS).forEach(([key, condition]) => {
+        const label = condition.anomaly ? `σ ${condition.label} mean` : condition.label;
+        form.elements.condition.add(new Option(label, key));
+    });
+
+    const windowInput = form.elements.windowDays;
+    windowInput.value = ALERT_DEFAULT_WINDOW_DAYS;
+    const updateWindowInput = () => {
+        windowInput.hidden = !ALERT_CONDITIONS[form.elements.condition.value].anomaly;
+    };
+    form.elements.condition.addEventListener('change', updateWindowInput);
+    updateWindowInput();
+
+    const errorElement = form.querySelector('.custom-range-error');
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+
+        try {
+            addAlertRule({
+                chart: form.elements.chart.value,
+                condition: form.elements.condition.value,
+                value: parseFloat(form.elements.value.value),
+                windowDays: parseInt(windowInput.value, 10)
+            });
+        } catch (error) {
+            errorElement.textContent = error.message;
+            return;
+        }
+
+        errorElement.textContent = '';
+        form.elements.value.value = '';
+        renderAlertRules(list);
+
+        // Ask for notifications on the user's click, as browsers require
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+
+        evaluateAlerts();
+    });
+
+    return form;
+}
+
+/**
+ * Wires the alerts button to a settings panel for managing the rules
+ */
+export function setupAlerts() {
+    const button = document.getElementById('alertsButton');
+    const panel = document.getElementById('alertsPanel');
+    if (!button || !panel || panel.childElementCount > 0) return;
+
+    const title = document.createElement('h3');
+    title.textContent = 'Alert rules';
+
+    const hint = document.createElement('p');
+    hint.className = 'alerts-hint';
+    hint.textContent = 'Rules are checked against the latest complete day (or week) after every data refresh. Volume thresholds are in whole tokens.';
+
+    const list = document.createElement('ul');
+    list.className = 'alert-rules';
+
+    panel.appendChild(title);
+    panel.appendChild(hint);
+    panel.appendChild(list);
+    panel.appendChild(createAlertForm(list));
+    renderAlertRules(list);
+
+    button.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        button.classList.toggle('active', !panel.hidden);
+    });
+}
@@ -2,12 +2,17 @@
  * API functions for fetching data from Arweave and AO Network
  */
 import { dryrun } from "https://unpkg.com/@permaweb/aoconnect@0.0.82/dist/browser.js";
-import { BLOCK_TRACKING_PROCESS } from './config.js';
-import { generateQuery } from './processes.js';
+import { BLOCK_TRACKING_PROCESS, SNAPSHOT_URL, SNAPSHOT_VERSION, LEADERBOARD_URL } from './config.js';
+import { generateQuery, fetchUniqueAddresses, getProcessMetric, getQuerySignature } from './processes.js';
+import { getPeriodCacheKey, hashQuerySignature, isSettledPeriod, getCachedPeriodCounts, setCachedPeriodCount } from './cache.js';
+import { queryGraphQL } from './graphql.js';
 
 // Cache for API responses
 const responseCache = new Map();
 
+// Promise of the precomputed snapshot counts, loaded once per page
+let snapshotPromise = null;
+
 /**
  * Fetches the current Arweave network information
  * @returns {Promise<Object>} Network info including current block height
@@ -156,12 +161,94 @@ export async function fetchSupplyHistory() {
     }
 }
 
+/**
+ * Builds a data point for a period. Failed fetches are marked as missing
+ * (count: null, failed: true) so they are never mistaken for a real zero.
+ * @param {Object} period - The time period with start/end times and heights
+ * @param {number|null} count - The transaction count, or null if the fetch failed
+ * @param {Object|null} details - Extra values of the period, e.g. { senders, recipients }
+ * @returns {Object} Data point for the period
+ */
+function createPeriodDataPoint(period, count, details = null) {
+    return {
+        timestamp: period.endTime,
+        startTime: period.startTime,
+        startHeight: period.startHeight,
+        endHeight: period.endHeight,
+        count,
+        ...details,
+        failed: count === null
+    };
+}
+
+/**
+ * Builds the key of a period in the snapshot counts
+ * @param {string} processName - The process name
+ * @param {Object} period - The period with start/end heights
+ * @returns {string} The key
+ */
+function getSnapshotKey(processName, period) {
+    return `${processName}:${period.startHeight}-${period.endHeight}`;
+}
+
+/**
+ * Loads the period counts precomputed by scripts/collect-dashboard-data.mjs.
+ * Series collected with a different query than the dashboard builds now are skipped.
+ * @returns {Promise<Map>} Map of snapshot key to { count, details }; empty if no usable snapshot exists
+ */
+export function fetchSnapshotCounts() {
+    if (snapshotPromise) return snapshotPromise;
+
+    snapshotPromise = (async () => {
+        const counts = new Map();
+
+        try {
+            const response = await fetch(SNAPSHOT_URL, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Network error: ${response.status} ${response.statusText}`);
+            }
+
+            const snapshot = await response.json();
+            if (snapshot.version !== SNAPSHOT_VERSION) {
+                console.warn(`Ignoring dashboard snapshot with version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`);
+                return counts;
+            }
+
+            for (const [processName, entries] of Object.entries(snapshot.series || {})) {
+                const queryHash = hashQuerySignature(await getQuerySignature(processName));
+                if (snapshot.queryHashes?.[processName] !== queryHash) {
+                    console.warn(`Ignoring snapshot series ${processName}, it was collected with a different query`);
+                    continue;
+                }
+
+                entries.forEach(entry => {
+                    if (typeof entry.count === 'number') {
+                        // Unique address series also carry their sender and recipient counts
+                        const details = typeof entry.senders === 'number'
+                            ? { senders: entry.senders, recipients: entry.recipients }
+                            : null;
+                        counts.set(getSnapshotKey(processName, entry), { count: entry.count, details });
+                    }
+                });
+            }
+
+            console.log(`Loaded dashboard snapshot from ${snapshot.generatedAt} with ${counts.size} periods`);
+        } catch (error) {
+            console.warn('Dashboard snapshot unavailable, querying live:', error.message);
+        }
+
+        return counts;
+    })();
+
+    return snapshotPromise;
+}
+
 /**
  * Fetches transaction counts for a specific process type over multiple time periods
  * @param {string} processName - The name of the process
  * @param {Array} periods - Array of time periods with start/end heights
  * @param {number} currentHeight - Current blockchain height
- * @returns {Promise<Array>} Array of transaction counts for each period
+ * @returns {Promise<Array>} Array of data points for each period; failed periods have failed: true
  */
 export async function fetchProcessData(processName, periods, currentHeight) {
     try {
@@ -176,68 +263,100 @@ export async function fetchProcessData(processName, periods, currentHeight) {
             }
         }
         
+        // Finished periods never change, so look them up in the persistent cache and the
+        // precomputed snapshot first. Only the open period (ending at the current height) is always re-fetched.
+        // Periods that ended recently are not persisted yet, see PERIOD_CACHE.
+        const isClosedPeriod = (period) => period.endHeight !== currentHeight;
+        const querySignature = await getQuerySignature(processName);
+        const periodKeys = periods.map(period => 
+            getPeriodCacheKey(processName, querySignature, period.startHeight, period.endHeight)
+        );
+        const persistedCounts = await getCachedPeriodCounts(
+            periodKeys.filter((key, index) => isSettledPeriod(periods[index], currentHeight))
+        );
+        const snapshotCounts = await fetchSnapshotCounts();
+        
         // Process all periods in chunks (5 at a time) to avoid overwhelming the server
         const CHUNK_SIZE = 5;
-        const results = [];
+        const results = new Array(periods.length);
+        const pendingIndexes = [];
+        let snapshotHits = 0;
         
-        for (let i = 0; i < periods.length; i += CHUNK_SIZE) {
-            const chunk = periods.slice(i, i + CHUNK_SIZE);
+        periods.forEach((period, index) => {
+            if (persistedCounts.has(periodKeys[index])) {
+                const { count, details } = persistedCounts.get(periodKeys[index]);
+                results[index] = createPeriodDataPoint(period, count, details);
+            } else if (isClosedPeriod(period) && snapshotCounts.has(getSnapshotKey(processName, period))) {
+                const { count, details } = snapshotCounts.get(getSnapshotKey(processName, period));
+                results[index] = createPeriodDataPoint(period, count, details);
+                snapshotHits++;
+            } else {
+                pendingIndexes.push(index);
+            }
+        });
+        
+        if (persistedCounts.size > 0 || snapshotHits > 0) {
+            console.log(`Loaded ${persistedCounts.size} cached and ${snapshotHits} snapshot periods for ${processName}, fetching ${pendingIndexes.length}`);
+        }
+        
+        for (let i = 0; i < pendingIndexes.length; i += CHUNK_SIZE) {
+            const chunk = pendingIndexes.slice(i, i + CHUNK_SIZE);
             
             // Process chunk in parallel
-            const chunkResults = await Promise.all(chunk.map(async (period, index) => {
+            await Promise.all(chunk.map(async (periodIndex) => {
+                const period = periods[periodIndex];
                 try {
-                    const query = await generateQuery(
-                        processName,
-                        period.startHeight,
-                        period.endHeight,
-                        currentHeight
-                    );
-                    
-                    const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ query }),
-                    });
+                    let count;
+                    let details = null;
                     
-                    if (!response.ok) {
-                        throw new Error(`Network error: ${response.status}`);
+                    if (getProcessMetric(processName) === 'uniqueAddresses') {
+                        ({ count, ...details } = await fetchUniqueAddresses(processName, period, currentHeight));
+                    } else {
+                        const query = await generateQuery(
+                            processName,
+                            period.startHeight,
+                            period.endHeight,
+                            currentHeight
+                        );
+                        
+                        const result = await queryGraphQL(query);
+                        if (result.errors) {
+                            console.error(`GraphQL errors for ${processName}:`, result.errors);
+                            results[periodIndex] = createPeriodDataPoint(period, null);
+                            return;
+                        }
+                        
+                        count = result.data.transactions.count;
                     }
                     
-                    const result = await response.json();
-                    if (result.errors) {
-                        console.error(`GraphQL errors for ${processName}:`, result.errors);
-                        return {
-                            timestamp: period.endTime,
-                            count: 0
-                        };
+                    // Persist settled periods for future page loads
+                    if (isSettledPeriod(period, currentHeight)) {
+                        await setCachedPeriodCount(periodKeys[periodIndex], count, details);
                     }
                     
-                    return {
-                        timestamp: period.endTime,
-                        count: result.data.transactions.count
-                    };
+                    results[periodIndex] = createPeriodDataPoint(period, count, details);
                 } catch (error) {
-                    console.error(`Error fetching data for ${processName} (period ${i + index}):`, error);
-                    return {
-                        timestamp: period.endTime,
-                        count: 0
-                    };
+                    console.error(`Error fetching data for ${processName} (period ${periodIndex}):`, error);
+                    results[periodIndex] = createPeriodDataPoint(period, null);
                 }
             }));
             
-            results.push(...chunkResults);
-            
             // Add a small delay between chunks to avoid rate limiting
-            if (i + CHUNK_SIZE < periods.length) {
+            if (i + CHUNK_SIZE < pendingIndexes.length) {
                 await new Promise(resolve => setTimeout(resolve, 100));
             }
         }
         
-        // Cache the results
-        responseCache.set(cacheKey, {
-            data: results,
-            timestamp: Date.now()
-        });
+        // Cache the results, unless some periods failed and should be retried
+        const failedCount = results.filter(point => point.failed).length;
+        if (failedCount === 0) {
+            responseCache.set(cacheKey, {
+                data: results,
+                timestamp: Date.now()
+            });
+        } else {
+            console.warn(`${failedCount} of ${results.length} periods failed for ${processName}`);
+        }
         
         return results;
     } catch (error) {
@@ -277,21 +396,16 @@ export async function fetchVolumeData() {
 
         const volumeData = rawData.volumeData;
 
-        // Transform the data into the required format
-        const processedData = {
-            AO: volumeData.AO.map(entry => ({
-                timestamp: new Date(entry.date).getTime(),
-                value: entry.volume
-            })),
-            wAR: volumeData.wAR.map(entry => ({
-                timestamp: new Date(entry.date).getTime(),
-                value: entry.volume
-            })),
-            wUSDC: volumeData.wUSDC.map(entry => ({
+        // Transform every token's series (keyed by ticker) into the required format
+        const processedData = {};
+        Object.entries(volumeData).forEach(([ticker, entries]) => {
+            processedData[ticker] = entries.map(entry => ({
                 timestamp: new Date(entry.date).getTime(),
+                startHeight: entry.startHeight,
+                endHeight: entry.endHeight,
                 value: entry.volume
-            }))
-        };
+            }));
+        });
 
         responseCache.set(cacheKey, {
             data: processedData,
@@ -305,6 +419,36 @@ export async function fetchVolumeData() {
     }
 }
 
+/**
+ * Fetches the daily token leaderboards (largest transfers, most active wallets)
+ * @returns {Promise<Object>} { lastUpdated, tokens: { ticker: { date: { topTransfers, topWallets } } } }
+ */
+export async function fetchLeaderboards() {
+    try {
+        const cacheKey = 'leaderboards';
+
+        // Check if we have cached data that's less than 30min old
+        if (responseCache.has(cacheKey)) {
+            const { data, timestamp } = responseCache.get(cacheKey);
+            if (Date.now() - timestamp < 30 * 60 * 1000) {
+                return data;
+            }
+        }
+
+        const response = await fetch(LEADERBOARD_URL);
+        if (!response.ok) {
+            throw new Error(`Network error: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        responseCache.set(cacheKey, { data, timestamp: Date.now() });
+        return data;
+    } catch (error) {
+        console.error("Error fetching leaderboards:", error);
+        throw error;
+    }
+}
+
 
 
 /**
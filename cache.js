@@ -0,0 +1,239 @@
+/**
+ * Persistent browser cache (IndexedDB) for the Eye of AO dashboard
+ */
+import { PERIOD_CACHE } from './config.js';
+
+const DB_NAME = 'eye-of-ao';
+const DB_VERSION = 2;
+
+// Object store for transaction counts of finished block ranges
+const PERIOD_COUNTS_STORE = 'periodCounts';
+
+// Object store for node check results (uptime history), indexed by node and time
+const NODE_CHECKS_STORE = 'nodeChecks';
+const NODE_CHECKS_INDEX = 'nodeTimestamp';
+
+// Check results kept per node; older ones are dropped like a ring buffer
+// (2500 is a little over 30 days at one check every 20 minutes)
+const NODE_CHECKS_LIMIT = 2500;
+
+// Shared connection promise
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades if needed) the dashboard database
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PERIOD_COUNTS_STORE)) {
+                db.createObjectStore(PERIOD_COUNTS_STORE);
+            }
+            if (!db.objectStoreNames.contains(NODE_CHECKS_STORE)) {
+                const store = db.createObjectStore(NODE_CHECKS_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex(NODE_CHECKS_INDEX, ['node', 'timestamp']);
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).catch(error => {
+        // Private browsing modes can refuse IndexedDB; fall back to network only
+        console.warn('Persistent cache unavailable:', error);
+        return null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<any>} Resolves with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Hashes a query signature (32-bit FNV-1a)
+ * @param {string} text - Result of getQuerySignature in processes.js
+ * @returns {string} The hash as 8 hex digits
+ */
+export function hashQuerySignature(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Builds the cache key for a process and block range. The key includes the cache version and
+ * a hash of the query signature, so entries are not reused once the query they came from changes.
+ * @param {string} processName - The process name
+ * @param {string} querySignature - Result of getQuerySignature in processes.js
+ * @param {number} startHeight - The starting block height
+ * @param {number} endHeight - The ending block height
+ * @returns {string} The cache key
+ */
+export function getPeriodCacheKey(processName, querySignature, startHeight, endHeight) {
+    return `v${PERIOD_CACHE.version}:${processName}:${hashQuerySignature(querySignature)}:${startHeight}-${endHeight}`;
+}
+
+/**
+ * Checks whether a period ended long enough ago to be persisted
+ * @param {Object} period - The period with its end height
+ * @param {number} currentHeight - The current block height
+ * @returns {boolean} True if the period's count will not change anymore
+ */
+export function isSettledPeriod(period, currentHeight) {
+    return period.endHeight <= currentHeight - PERIOD_CACHE.safetyBlocks;
+}
+
+/**
+ * Reads cached counts for several block ranges at once
+ * @param {Array<string>} keys - Cache keys from getPeriodCacheKey
+ * @returns {Promise<Map>} Map of cache key to { count, details } for the keys that were found
+ */
+export async function getCachedPeriodCounts(keys) {
+    const found = new Map();
+
+    try {
+        const db = await openDatabase();
+        if (!db || keys.length === 0) return found;
+
+        const store = db.transaction(PERIOD_COUNTS_STORE, 'readonly').objectStore(PERIOD_COUNTS_STORE);
+        const entries = await Promise.all(keys.map(key => promisifyRequest(store.get(key))));
+
+        entries.forEach((entry, index) => {
+            if (entry && typeof entry.count === 'number') {
+                found.set(keys[index], { count: entry.count, details: entry.details || null });
+            }
+        });
+    } catch (error) {
+        console.warn('Error reading persistent cache:', error);
+    }
+
+    return found;
+}
+
+/**
+ * Stores the count for a finished block range
+ * @param {string} key - Cache key from getPeriodCacheKey
+ * @param {number} count - The transaction count
+ * @param {Object|null} details - Extra values of the period (e.g. sender and recipient counts)
+ * @returns {Promise<void>}
+ */
+export async function setCachedPeriodCount(key, count, details = null) {
+    try {
+        const db = await openDatabase();
+        if (!db) return;
+
+        const store = db.transaction(PERIOD_COUNTS_STORE, 'readwrite').objectStore(PERIOD_COUNTS_STORE);
+        await promisifyRequest(store.put({ count, details, cachedAt: Date.now() }, key));
+    } catch (error) {
+        console.warn(`Error writing persistent cache entry ${key}:`, error);
+    }
+}
+
+/**
+ * Clears all persisted period counts
+ * @returns {Promise<void>}
+ */
+export async function clearPersistentCache() {
+    try {
+        const db = await openDatabase();
+        if (!db) return;
+
+        const store = db.transaction(PERIOD_COUNTS_STORE, 'readwrite').objectStore(PERIOD_COUNTS_STORE);
+        await promisifyRequest(store.clear());
+    } catch (error) {
+        console.warn('Error clearing persistent cache:', error);
+    }
+}
+
+/**
+ * Gets the key range covering a node's checks from a given time on
+ * @param {string} node - The node URL
+ * @param {number} since - Earliest timestamp (ms)
+ * @returns {IDBKeyRange} Range over the node/timestamp index
+ */
+function getNodeCheckRange(node, since = 0) {
+    return IDBKeyRange.bound([node, since], [node, Infinity]);
+}
+
+/**
+ * Stores a node check result and drops the node's oldest results beyond the limit
+ * @param {Object} check - { node, timestamp, status, responseTime }
+ * @returns {Promise<void>}
+ */
+export async function addNodeCheck(check) {
+    try {
+        const db = await openDatabase();
+        if (!db) return;
+
+        const transaction = db.transaction(NODE_CHECKS_STORE, 'readwrite');
+        const store = transaction.objectStore(NODE_CHECKS_STORE);
+        const index = store.index(NODE_CHECKS_INDEX);
+
+        await promisifyRequest(store.add(check));
+
+        const count = await promisifyRequest(index.count(getNodeCheckRange(check.node)));
+        let excess = count - NODE_CHECKS_LIMIT;
+
+        if (excess > 0) {
+            // Oldest first, so the first cursor entries are the ones to drop
+            await new Promise((resolve, reject) => {
+                const request = index.openCursor(getNodeCheckRange(check.node));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor || excess <= 0) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+    } catch (error) {
+        console.warn(`Error storing check result for ${check.node}:`, error);
+    }
+}
+
+/**
+ * Reads a node's stored check results
+ * @param {string} node - The node URL
+ * @param {number} since - Earliest timestamp (ms)
+ * @returns {Promise<Array<Object>>} Check results, oldest first
+ */
+export async function getNodeChecks(node, since = 0) {
+    try {
+        const db = await openDatabase();
+        if (!db) return [];
+
+        const index = db.transaction(NODE_CHECKS_STORE, 'readonly').objectStore(NODE_CHECKS_STORE).index(NODE_CHECKS_INDEX);
+        return await promisifyRequest(index.getAll(getNodeCheckRange(node, since)));
+    } catch (error) {
+        console.warn(`Error reading check history for ${node}:`, error);
+        return [];
+    }
+}
@@ -1,12 +1,37 @@
 /**
  * Chart creation and management for the Eye of AO dashboard
  */
-import { CHART_COLORS, CHART_DEFAULTS, TIME_FORMAT, UTC_TIMESTAMP_PROCESSES, NON_UTC_TIMESTAMP_PROCESSES } from './config.js';
-import { formatDate, formatDateUTCWithLocalTime, filterDataByTimeRange } from './utils.js';
-import { getProcessDisplayName } from './processes.js';
-import { setupTimeRangeButtons, toggleChartLoader, getChartTimeRange } from './ui.js';
+import { CHART_COLORS, CHART_DEFAULTS, CHART_OVERLAYS, TIME_FORMAT, UTC_TIMESTAMP_PROCESSES, NON_UTC_TIMESTAMP_PROCESSES } from './config.js';
+import { 
+    formatDate, 
+    formatDateUTCWithLocalTime, 
+    filterDataByTimeRange,
+    getWindowSize,
+    simpleMovingAverage,
+    exponentialMovingAverage,
+    linearTrend,
+    getPrecedingWindow,
+    calculatePercentChange,
+    formatPercentChange,
+    formatTimeRangeLabel
+} from './utils.js';
+import { PROCESSES, getProcessDisplayName, getChartOwner, isWeeklyProcess } from './processes.js';
+import { 
+    setupTimeRangeButtons, 
+    setupRetryButtons, 
+    setupOverlayToggles, 
+    setupComparisonToggles,
+    setupLeaderboards,
+    updateComparisonSummary,
+    updateRetryButton, 
+    toggleChartLoader, 
+    getChartTimeRange 
+} from './ui.js';
 import { fetchStargridStats, fetchVolumeData } from './api.js'
-import { fetchAdditionalData, updateVolumeChart, updateSupplyChart } from './index.js'
+import { fetchAdditionalData, fetchComparisonData, retryFailedPeriods, updateVolumeChart, updateSupplyChart } from './index.js'
+import { updateUrlState } from './urlstate.js';
+import { refreshLeaderboard } from './leaderboard.js';
+import { getStatsCharts, getVolumeToken, isVolumeChart, denominate } from './tokens.js';
 
 // Store all chart instances
 export const charts = {};
@@ -14,6 +39,79 @@ export const charts = {};
 // Historical data for each chart
 export const historicalData = {};
 
+// Intraday buckets shown by the 1D view, kept apart from the daily series
+export const intradayData = {};
+
+// Weekly buckets shown for long custom ranges of daily charts, kept apart from the daily series
+export const weeklyRangeData = {};
+
+// The custom range (formatTimeRangeLabel) each process's weekly buckets cover
+const weeklyRangeLabels = {};
+
+// Marker color for periods whose fetch failed
+const FAILED_PERIOD_COLOR = 'rgb(239, 68, 68)';
+
+// localStorage key for the overlays switched on per chart
+const OVERLAY_STORAGE_KEY = 'eyeOfAoChartOverlays';
+
+// Charts with period-over-period comparison switched on
+const comparisonCharts = new Set();
+
+// Preceding window of each compared chart: { key, window, points, aligned }
+const comparisonData = {};
+
+// Charts whose preceding window is being fetched
+const pendingComparisons = new Set();
+
+/**
+ * Stores the weekly buckets of a long custom range
+ * @param {string} processName - The process name
+ * @param {Object} timeRange - The custom range { from, to }
+ * @param {Array} dataPoints - The weekly data points
+ */
+export function setWeeklyRangeData(processName, timeRange, dataPoints) {
+    weeklyRangeData[processName] = dataPoints;
+    weeklyRangeLabels[processName] = formatTimeRangeLabel(timeRange);
+}
+
+/**
+ * Checks whether weekly buckets of a custom range are loaded for a process
+ * @param {string} processName - The process name
+ * @param {string|Object} timeRange - The time range
+ * @returns {boolean} True if the range is shown from weeklyRangeData
+ */
+export function hasWeeklyRangeData(processName, timeRange) {
+    return Boolean(weeklyRangeData[processName]) &&
+        typeof timeRange === 'object' && weeklyRangeLabels[processName] === formatTimeRangeLabel(timeRange);
+}
+
+/**
+ * Gets the data a process currently shows: its intraday buckets in the 1D view,
+ * its weekly buckets for long custom ranges, otherwise its regular series
+ * @param {string} processName - The process name
+ * @returns {Array|undefined} The displayed data points
+ */
+export function getDisplayedData(processName) {
+    const timeRange = getChartTimeRange(getChartOwner(processName));
+    if (timeRange === '1D' && intradayData[processName]) {
+        return intradayData[processName];
+    }
+    if (hasWeeklyRangeData(processName, timeRange)) {
+        return weeklyRangeData[processName];
+    }
+    return historicalData[processName];
+}
+
+/**
+ * Formats the sender/recipient breakdown of a unique address data point
+ * @param {Object} dataPoint - The data point
+ * @returns {string} The breakdown, or an empty string for other metrics
+ */
+function formatAddressBreakdown(dataPoint) {
+    if (typeof dataPoint.senders !== 'number') return '';
+    return ` (${dataPoint.senders.toLocaleString()} senders, ${(dataPoint.recipients || 0).toLocaleString()} recipients)`;
+}
+
 /**
  * Creates tooltip callbacks for weekly charts
  * @returns {Object} Tooltip callback functions
@@ -65,7 +163,299 @@ function createWeeklyTooltipCallbacks() {
  * @returns {string} Color value in rgb/rgba format
  */
 export function getProcessColor(processName) {
-    return CHART_COLORS[processName] || 'rgb(0, 0, 0)';
+    return CHART_COLORS[processName] || getVolumeToken(processName)?.color || 'rgb(0, 0, 0)';
+}
+
+/**
+ * Creates the dataset that marks periods whose fetch failed.
+ * The main dataset shows a gap there; this dataset draws a distinct marker on the axis.
+ * @returns {Object} Chart.js dataset configuration
+ */
+function createFailedPeriodsDataset() {
+    return {
+        label: 'Fetch failed',
+        data: [],
+        borderColor: FAILED_PERIOD_COLOR,
+        backgroundColor: FAILED_PERIOD_COLOR,
+        pointStyle: 'crossRot',
+        pointRadius: 8,
+        pointHoverRadius: 10,
+        borderWidth: 2,
+        showLine: false,
+        isFailureMarker: true
+    };
+}
+
+/**
+ * Reads the overlays switched on per chart
+ * @returns {Object} Map of chart name to an array of overlay keys
+ */
+function loadOverlayState() {
+    try {
+        return JSON.parse(localStorage.getItem(OVERLAY_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn('Error reading chart overlay settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Gets the overlays switched on for a chart
+ * @param {string} chartName - The chart name
+ * @returns {Array<string>} Overlay keys from CHART_OVERLAYS
+ */
+export function getActiveOverlays(chartName) {
+    return (loadOverlayState()[chartName] || []).filter(key => CHART_OVERLAYS[key]);
+}
+
+/**
+ * Switches an overlay on or off for a chart, remembers the choice and redraws the chart
+ * @param {string} chartName - The chart name
+ * @param {string} overlay - Overlay key from CHART_OVERLAYS
+ * @returns {boolean} Whether the overlay is now on
+ */
+export function toggleChartOverlay(chartName, overlay) {
+    const state = loadOverlayState();
+    const active = new Set(state[chartName] || []);
+    
+    if (active.has(overlay)) {
+        active.delete(overlay);
+    } else {
+        active.add(overlay);
+    }
+    
+    state[chartName] = [...active];
+    localStorage.setItem(OVERLAY_STORAGE_KEY, JSON.stringify(state));
+    
+    const chart = charts[chartName];
+    if (chart) {
+        updateOverlayDatasets(chart, chartName, getDisplayedData(chartName) || [], chart.data.datasets[0].data);
+        chart.update('none');
+    }
+    
+    return active.has(overlay);
+}
+
+/**
+ * Creates the dataset of an overlay
+ * @param {string} processName - The process name
+ * @param {string} overlay - Overlay key from CHART_OVERLAYS
+ * @returns {Object} Chart.js dataset configuration
+ */
+function createOverlayDataset(processName, overlay) {
+    return {
+        label: CHART_OVERLAYS[overlay].label,
+        data: [],
+        borderColor: getProcessColor(processName),
+        borderDash: CHART_OVERLAYS[overlay].borderDash,
+        borderWidth: 1.5,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        tension: CHART_DEFAULTS.tension,
+        overlay
+    };
+}
+
+/**
+ * Calculates the values of an overlay
+ * @param {string} overlay - Overlay key from CHART_OVERLAYS
+ * @param {Array<number|null>} values - The plotted values
+ * @param {Array} timestamps - The timestamp of each value
+ * @returns {Array<number|null>} The overlay values
+ */
+function calculateOverlay(overlay, values, timestamps) {
+    const { days } = CHART_OVERLAYS[overlay];
+    
+    switch (overlay) {
+        case 'sma':
+            return simpleMovingAverage(values, getWindowSize(timestamps, days));
+        case 'ema':
+            return exponentialMovingAverage(values, getWindowSize(timestamps, days));
+        case 'trend':
+            return linearTrend(values, timestamps);
+        default:
+            return values.map(() => null);
+    }
+}
+
+/**
+ * Fills the overlay datasets of a chart; overlays that are off are left empty
+ * @param {Object} chart - The chart instance
+ * @param {string} chartName - The chart name
+ * @param {Array} dataPoints - The plotted data points
+ * @param {Array<number|null>} values - The plotted values
+ */
+function updateOverlayDatasets(chart, chartName, dataPoints, values) {
+    const active = getActiveOverlays(chartName);
+    const timestamps = dataPoints.map(d => d.timestamp);
+    
+    chart.data.datasets.forEach(dataset => {
+        if (!dataset.overlay) return;
+        
+        dataset.data = active.includes(dataset.overlay)
+            ? calculateOverlay(dataset.overlay, values, timestamps)
+            : [];
+    });
+}
+
+/**
+ * Checks if period-over-period comparison is on for a chart
+ * @param {string} chartName - The chart name
+ * @returns {boolean} True if the comparison is on
+ */
+export function isComparisonEnabled(chartName) {
+    return comparisonCharts.has(chartName);
+}
+
+/**
+ * Switches period-over-period comparison on or off for a chart and redraws it
+ * @param {string} chartName - The chart name
+ * @returns {boolean} Whether the comparison is now on
+ */
+export function toggleChartComparison(chartName) {
+    if (comparisonCharts.has(chartName)) {
+        comparisonCharts.delete(chartName);
+    } else {
+        comparisonCharts.add(chartName);
+    }
+    
+    updateChartTimeRange(chartName, getChartTimeRange(chartName));
+    return comparisonCharts.has(chartName);
+}
+
+/**
+ * Creates the dashed dataset showing the preceding window shifted onto the current one
+ * @param {string} processName - The process name
+ * @returns {Object} Chart.js dataset configuration
+ */
+function createComparisonDataset(processName) {
+    const color = getProcessColor(processName).replace('rgb(', 'rgba(').replace(')', ', 0.5)');
+    return {
+        label: 'Previous period',
+        data: [],
+        borderColor: color,
+        backgroundColor: color,
+        borderDash: [4, 4],
+        borderWidth: 1.5,
+        pointRadius: 3,
+        tension: CHART_DEFAULTS.tension,
+        comparison: true
+    };
+}
+
+/**
+ * Builds the key identifying a preceding window
+ * @param {Object} precedingWindow - Window from getPrecedingWindow
+ * @param {boolean} intraday - Whether the chart shows intraday buckets
+ * @returns {string} The key
+ */
+function getComparisonKey(precedingWindow, intraday) {
+    return `${intraday ? 'intraday' : 'periods'}:${precedingWindow.from.getTime()}-${precedingWindow.to.getTime()}`;
+}
+
+/**
+ * Fetches the preceding window of a chart in the background and redraws the chart when it arrives
+ * @param {string} chartName - The chart name
+ * @param {Object} precedingWindow - Window from getPrecedingWindow
+ * @param {boolean} intraday - Whether the chart shows intraday buckets
+ */
+function requestComparisonData(chartName, precedingWindow, intraday) {
+    if (pendingComparisons.has(chartName)) return;
+    pendingComparisons.add(chartName);
+    
+    const key = getComparisonKey(precedingWindow, intraday);
+    
+    fetchComparisonData(chartName, precedingWindow, intraday)
+        .catch(error => {
+            console.error(`Error fetching comparison data for ${chartName}:`, error);
+            return [];
+        })
+        .then(points => {
+            // Stored even when empty so a failed window is not refetched in a loop
+            comparisonData[chartName] = { key, window: precedingWindow, points, aligned: [] };
+        })
+        .finally(() => {
+            pendingComparisons.delete(chartName);
+            if (comparisonCharts.has(chartName)) {
+                updateChartTimeRange(chartName, getChartTimeRange(chartName));
+            }
+        });
+}
+
+/**
+ * Sums and averages the counts of the points that were fetched successfully
+ * @param {Array} dataPoints - The data points
+ * @returns {Object} { total, average }
+ */
+function summarizeCounts(dataPoints) {
+    const counts = dataPoints.filter(d => d && !d.failed).map(d => d.count || 0);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    return { total, average: counts.length > 0 ? total / counts.length : null };
+}
+
+/**
+ * Fills the comparison dataset and the header summary of a chart
+ * @param {Object} chart - The chart instance
+ * @param {string} chartName - The chart name
+ * @param {Array} dataPoints - The plotted data points
+ */
+function updateComparisonDataset(chart, chartName, dataPoints) {
+    const dataset = chart.data.datasets.find(d => d.comparison);
+    if (!dataset) return;
+    
+    const precedingWindow = comparisonCharts.has(chartName) ? getPrecedingWindow(dataPoints) : null;
+    if (!precedingWindow) {
+        dataset.data = [];
+        updateComparisonSummary(chartName, null);
+        return;
+    }
+    
+    const intraday = getChartTimeRange(chartName) === '1D' && Boolean(intradayData[chartName]);
+    const stored = comparisonData[chartName];
+    
+    if (!stored || stored.key !== getComparisonKey(precedingWindow, intraday)) {
+        dataset.data = [];
+        updateComparisonSummary(chartName, { loading: true });
+        requestComparisonData(chartName, precedingWindow, intraday);
+        return;
+    }
+    
+    // Pair each point with the preceding point that starts one window earlier
+    stored.aligned = dataPoints.map(point => {
+        const start = new Date(point.startTime || point.timestamp).getTime() - precedingWindow.shift;
+        return stored.points.find(previous => 
+            Math.abs(new Date(previous.startTime || previous.timestamp).getTime() - start) <= precedingWindow.step / 2
+        ) || null;
+    });
+    
+    dataset.data = stored.aligned.map(previous => previous && !previous.failed ? previous.count : null);
+    
+    const current = summarizeCounts(dataPoints);
+    const previous = summarizeCounts(stored.points);
+    updateComparisonSummary(chartName, {
+        totalChange: calculatePercentChange(current.total, previous.total),
+        averageChange: calculatePercentChange(current.average, previous.average)
+    });
+}
+
+/**
+ * Gets the preceding-window point paired with a plotted point
+ * @param {string} chartName - The chart name
+ * @param {number} dataIndex - Index of the plotted point
+ * @returns {Object|null} The preceding point, or null when comparison is off or no point matches
+ */
+function getComparisonPoint(chartName, dataIndex) {
+    if (!comparisonCharts.has(chartName)) return null;
+    return comparisonData[chartName]?.aligned?.[dataIndex] || null;
+}
+
+/**
+ * Gets the failure marker dataset of a chart
+ * @param {Object} chart - The chart instance
+ * @returns {Object|undefined} The failure marker dataset
+ */
+function getFailedPeriodsDataset(chart) {
+    return chart.data.datasets.find(dataset => dataset.isFailureMarker);
 }
 
 /**
@@ -76,15 +466,35 @@ export function getProcessColor(processName) {
 function createStandardTooltipCallbacks(processName) {
     return {
         label: function(context) {
+            // The comparison dataset shows the preceding period it was shifted from
+            if (context.dataset.comparison) {
+                const previousPoint = getComparisonPoint(processName, context.dataIndex);
+                if (!previousPoint) return null;
+                const previousDate = formatDate(new Date(previousPoint.startTime || previousPoint.timestamp));
+                return `Previous period (from ${previousDate}): ${(previousPoint.count || 0).toLocaleString()}`;
+            }
+            
+            // Overlays show their own (already scaled) value
+            if (context.dataset.overlay) {
+                if (context.raw === null || context.raw === undefined) return null;
+                return `${context.dataset.label}: ${Number(context.raw).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+            }
+            
             const dataIndex = context.dataIndex;
-            if (!historicalData[processName] || !historicalData[processName][dataIndex]) {
+            const data = getDisplayedData(processName);
+            if (!data || !data[dataIndex]) {
                 return `Value: ${context.raw}`;
             }
             
-            const dataPoint = historicalData[processName][dataIndex];
+            const dataPoint = data[dataIndex];
+            
+            if (dataPoint.failed) {
+                return 'Fetch failed - no data for this period';
+            }
             
             // For volume charts, handle the value differently
-            if (['AOVolume', 'wARVolume', 'wUSDCVolume'].includes(processName)) {
+            const token = getVolumeToken(processName);
+            if (token) {
                 // Ensure we have a numeric value
                 const rawValue = Number(dataPoint.value || dataPoint.count || context.raw || 0);
                 
@@ -93,23 +503,24 @@ function createStandardTooltipCallbacks(processName) {
                     return 'Invalid value';
                 }
 
-                // Format based on token type
-                if (['AOVolume', 'wARVolume'].includes(processName)) {
-                    const value = Math.floor(rawValue / Math.pow(10, 12));
-                    const tokenName = processName.replace('Volume', '');
-                    return `Volume: ${value.toLocaleString()} ${tokenName}`;
-                } else {
-                    const value = Math.floor(rawValue / Math.pow(10, 6));
-                    return `Volume: ${value.toLocaleString()} wUSDC`;
-                }
+                // Format with the token's denomination
+                const value = Math.floor(denominate(rawValue, token));
+                return `Volume: ${value.toLocaleString()} ${token.ticker}`;
             }
             
             // For non-volume charts, use count
             const count = dataPoint.count || 0;
-            const formattedValue = `Count: ${count.toLocaleString()}`;
+            let formattedValue = `Count: ${count.toLocaleString()}${formatAddressBreakdown(dataPoint)}`;
+            
+            // Add the change against the preceding period when comparing
+            const previousPoint = getComparisonPoint(processName, dataIndex);
+            if (previousPoint && !previousPoint.failed) {
+                const change = calculatePercentChange(count, previousPoint.count);
+                formattedValue += ` (${formatPercentChange(change)} vs previous period)`;
+            }
 
             // Add current time for latest entry
-            if (dataIndex === historicalData[processName].length - 1) {
+            if (dataIndex === data.length - 1) {
                 const currentTime = formatDate(new Date());
                 return `${formattedValue} (Current data as of ${currentTime})`;
             }
@@ -118,11 +529,12 @@ function createStandardTooltipCallbacks(processName) {
         },
         title: function(context) {
             const dataIndex = context[0].dataIndex;
-            if (!historicalData[processName] || !historicalData[processName][dataIndex]) {
+            const data = getDisplayedData(processName);
+            if (!data || !data[dataIndex]) {
                 return context[0].label;
             }
             
-            const dataPoint = historicalData[processName][dataIndex];
+            const dataPoint = data[dataIndex];
             if (!dataPoint) return context[0].label;
             
             // Then use it in the tooltip callback
@@ -131,7 +543,7 @@ function createStandardTooltipCallbacks(processName) {
                 // Add one day for non-UTC processes
                 const adjustedDate = new Date(date.getTime());
                 return formatDate(adjustedDate, TIME_FORMAT.tooltip);
-            } else if (UTC_TIMESTAMP_PROCESSES.includes(processName)) {
+            } else if (UTC_TIMESTAMP_PROCESSES.includes(processName) || isVolumeChart(processName)) {
                 return formatDateUTCWithLocalTime(date);
             } else {
                 return formatDate(date, TIME_FORMAT.tooltip);
@@ -166,6 +578,12 @@ function createLegendConfig() {
             usePointStyle: true,
             pointStyle: 'line',
             pointRadius: 5,
+            // Only list the failure marker when there are failed periods, and overlays that are on
+            filter: function(item, data) {
+                const dataset = data.datasets[item.datasetIndex];
+                if (!dataset.isFailureMarker && !dataset.overlay && !dataset.comparison) return true;
+                return dataset.data.some(value => value !== null);
+            },
             generateLabels: function(chart) {
                 const originalLabels = Chart.defaults.plugins.legend.labels.generateLabels(chart);
                 return originalLabels.map((label, index) => {
@@ -178,6 +596,11 @@ function createLegendConfig() {
                     };
                 });
             }
+        },
+        // Keep the default show/hide behaviour and record hidden datasets in the URL
+        onClick: function(event, legendItem, legend) {
+            Chart.defaults.plugins.legend.onClick.call(this, event, legendItem, legend);
+            updateUrlState();
         }
     };
 }
@@ -234,7 +657,10 @@ function createStandardChart(processName) {
                 borderColor: getProcessColor(processName),
                 tension: CHART_DEFAULTS.tension,
                 pointRadius: CHART_DEFAULTS.pointRadius
-            }]
+            },
+            createFailedPeriodsDataset(),
+            createComparisonDataset(processName),
+            ...Object.keys(CHART_OVERLAYS).map(overlay => createOverlayDataset(processName, overlay))]
         },
         options: {
             responsive: CHART_DEFAULTS.responsive,
@@ -300,7 +726,8 @@ function createCombinedChart(primaryProcess, secondaryProcess) {
                     borderColor: color2,
                     tension: CHART_DEFAULTS.tension,
                     pointRadius: CHART_DEFAULTS.pointRadius
-                }
+                },
+                createFailedPeriodsDataset()
             ]
         },
         options: {
@@ -382,7 +809,7 @@ function createSupplyChart() {
 
 
 export async function fetchChartData(processName, timeRange) {
-    if (['stargrid', 'AOVolume', 'wARVolume', 'wUSDCVolume'].includes(processName)) {
+    if (getStatsCharts().includes(processName)) {
         await updateChartWithStats(processName);
     } else {
         console.log(`Using fetchAdditionalData for ${processName}`);
@@ -397,11 +824,11 @@ export async function updateChartWithStats(processName) {
         let data;
         if (processName === 'stargrid') {
             data = await fetchStargridStats();
-        } else if (['AOVolume', 'wARVolume', 'wUSDCVolume'].includes(processName)) {
+        } else if (isVolumeChart(processName)) {
             const volumeData = await updateVolumeChart(processName);
-            const tokenType = processName.replace('Volume', '');
+            const { ticker } = getVolumeToken(processName);
             // Use the full dataset
-            data = volumeData[tokenType].map(entry => ({
+            data = volumeData[ticker].map(entry => ({
                 timestamp: entry.timestamp,
                 count: entry.value
             }));
@@ -426,6 +853,13 @@ export async function updateChartWithStats(processName) {
 }
 
 
+// Chart constructors keyed by the registry's chart type
+const CHART_FACTORIES = {
+    line: (processName) => createStandardChart(processName),
+    combined: (processName, chart) => createCombinedChart(processName, chart.secondary),
+    supply: () => createSupplyChart()
+};
+
 /**
  * Initialize all charts based on process definitions
  */
@@ -437,18 +871,24 @@ export function initializeCharts() {
         }
     });
     
-    // Special case: wUSDC/USDA combined chart
-    charts['wUSDCTransfer'] = createCombinedChart('wUSDCTransfer', 'USDATransfer');
-    
-    // Special case: wAR total supply chart
-    charts['wARTotalSupply'] = createSupplyChart();
+    // Create the charts declared in the process registry
+    Object.entries(PROCESSES).forEach(([processName, process]) => {
+        const createChart = CHART_FACTORIES[process.chart?.type];
+        if (createChart) {
+            charts[processName] = createChart(processName, process.chart);
+        }
+    });
     
-    // Standard charts for remaining processes
-    ['wUSDCVolume', 'wARweeklyTransfer', 'wARTransfer', 'wARVolume', 'AOTransfer','AOVolume', 'permaswap', 'botega', 'llamaLand', 'stargrid'].forEach(processName => {
+    // Standard charts for stats that are not query based, including one volume chart per token
+    getStatsCharts().forEach(processName => {
         charts[processName] = createStandardChart(processName);
     });
 
     setupTimeRangeButtons(fetchChartData);
+    setupRetryButtons(retryFailedPeriods);
+    setupOverlayToggles();
+    setupComparisonToggles();
+    setupLeaderboards();
     
     return charts;
 }
@@ -457,8 +897,9 @@ export function initializeCharts() {
  * Updates a standard chart with new data
  * @param {string} processName - The process name
  * @param {Array} dataPoints - Array of data points
+ * @param {Object} store - Where the displayed points are kept for tooltips (historicalData or intradayData)
  */
-export function updateStandardChart(processName, dataPoints) {
+export function updateStandardChart(processName, dataPoints, store = historicalData) {
     console.log(`Updating chart for ${processName} with`, dataPoints);
     const chart = charts[processName];
     if (!chart) {
@@ -471,28 +912,27 @@ export function updateStandardChart(processName, dataPoints) {
         return new Date(a.timestamp) - new Date(b.timestamp);
     });
     
-    // Store the sorted data in historicalData for tooltip access
-    historicalData[processName] = sortedData;
+    // Store the sorted data for tooltip access
+    store[processName] = sortedData;
     
     // Create labels from timestamps
     const labels = sortedData.map(d => {
         const date = new Date(d.timestamp);
-        return ['stargrid', 'wARVolume', 'AOVolume', 'wUSDCVolume'].includes(processName) 
+        return UTC_TIMESTAMP_PROCESSES.includes(processName) || isVolumeChart(processName)
         ? formatDateUTCWithLocalTime(date) 
         : formatDate(date);
     });
     
     // Get the data values with proper decimal formatting
     const values = sortedData.map(d => {
+        // Failed periods are gaps, not zeros
+        if (d.failed) return null;
+        
         const rawValue = d.count || d.value || 0;
         
-        // Format based on token type
-        if (['AOVolume', 'wARVolume'].includes(processName)) {
-            return rawValue / 1000000000000; // Remove 12 zeros for AO and wAR
-        } else if (processName === 'wUSDCVolume') {
-            return rawValue / 1000000; // Remove 6 zeros for wUSDC
-        }
-        return rawValue;
+        // Volumes are shown in whole tokens
+        const token = getVolumeToken(processName);
+        return token ? denominate(rawValue, token) : rawValue;
     });
     
     // Update chart
@@ -500,6 +940,19 @@ export function updateStandardChart(processName, dataPoints) {
     chart.data.datasets[0].data = values;
     chart.data.datasets[0].label = getProcessDisplayName(processName);
     
+    // Mark failed periods on the axis
+    const failedDataset = getFailedPeriodsDataset(chart);
+    if (failedDataset) {
+        failedDataset.data = sortedData.map(d => d.failed ? 0 : null);
+    }
+    updateRetryButton(processName, countFailedPeriods(processName));
+    
+    // Recalculate the overlays that are switched on
+    updateOverlayDatasets(chart, processName, sortedData, values);
+    
+    // Shift the preceding window onto this one when comparing
+    updateComparisonDataset(chart, processName, sortedData);
+    
     // Update the chart with animation disabled for performance
     chart.update('none');
 }
@@ -541,8 +994,9 @@ export function updateCombinedChart(primaryProcess, secondaryProcess, timeRange)
  * @param {string} secondaryProcess - Secondary process name
  * @param {Array} primaryData - Primary data array
  * @param {Array} secondaryData - Secondary data array
+ * @param {Object} store - Where the aligned points are kept for tooltips (historicalData or intradayData)
  */
-function updateStandardCombinedChart(chart, primaryProcess, secondaryProcess, primaryData, secondaryData) {
+function updateStandardCombinedChart(chart, primaryProcess, secondaryProcess, primaryData, secondaryData, store = historicalData) {
     // Align the data to create consistent labels
     const allTimestamps = [
         ...primaryData.map(d => d.timestamp),
@@ -579,8 +1033,8 @@ function updateStandardCombinedChart(chart, primaryProcess, secondaryProcess, pr
     });
     
     // Store the aligned data for tooltip access
-    historicalData[primaryProcess] = alignedPrimaryData;
-    historicalData[secondaryProcess] = alignedSecondaryData;
+    store[primaryProcess] = alignedPrimaryData;
+    store[secondaryProcess] = alignedSecondaryData;
     
     // Update chart
     chart.data.labels = labels;
@@ -591,6 +1045,16 @@ function updateStandardCombinedChart(chart, primaryProcess, secondaryProcess, pr
     chart.data.datasets[0].label = getProcessDisplayName(primaryProcess);
     chart.data.datasets[1].label = getProcessDisplayName(secondaryProcess);
     
+    // Mark periods where either dataset failed to fetch
+    const failedDataset = getFailedPeriodsDataset(chart);
+    if (failedDataset) {
+        failedDataset.data = uniqueTimestamps.map((timestamp, index) => 
+            alignedPrimaryData[index].failed || alignedSecondaryData[index].failed ? 0 : null
+        );
+    }
+    updateRetryButton(primaryProcess, 
+        countFailedPeriods(primaryProcess) + countFailedPeriods(secondaryProcess));
+    
     // Update the chart with animation disabled for performance
     chart.update('none');
 }
@@ -607,16 +1071,23 @@ function createCombinedTooltipCallbacks(primaryProcess, secondaryProcess) {
             const datasetIndex = context.datasetIndex;
             const dataIndex = context.dataIndex;
             
+            // Failure markers list every dataset that failed for this period
+            if (context.dataset.isFailureMarker) {
+                return [primaryProcess, secondaryProcess]
+                    .filter(name => getDisplayedData(name)?.[dataIndex]?.failed)
+                    .map(name => `${getProcessDisplayName(name)}: fetch failed`);
+            }
+            
             // Determine which process data to use based on dataset index
             const processName = datasetIndex === 0 ? primaryProcess : secondaryProcess;
-            const data = historicalData[processName];
+            const data = getDisplayedData(processName);
             
             // If we don't have data or the index is out of bounds, show the raw value
             if (!data || !data[dataIndex]) {
                 return `${context.dataset.label}: ${context.raw}`;
             }
             
-            const count = data[dataIndex].count;
+            const count = `${data[dataIndex].count}${formatAddressBreakdown(data[dataIndex])}`;
             
             // If this is the latest period, show "Current data"
             if (dataIndex === data.length - 1) {
@@ -630,14 +1101,14 @@ function createCombinedTooltipCallbacks(primaryProcess, secondaryProcess) {
             const dataIndex = context[0].dataIndex;
             
             // Try to get timestamp from primary data first
-            const primaryData = historicalData[primaryProcess];
+            const primaryData = getDisplayedData(primaryProcess);
             if (primaryData && primaryData[dataIndex]) {
                 const date = new Date(primaryData[dataIndex].timestamp);
                 return formatDate(date, TIME_FORMAT.tooltip);
             }
             
             // Fall back to secondary data if needed
-            const secondaryData = historicalData[secondaryProcess];
+            const secondaryData = getDisplayedData(secondaryProcess);
             if (secondaryData && secondaryData[dataIndex]) {
                 const date = new Date(secondaryData[dataIndex].timestamp);
                 return formatDate(date, TIME_FORMAT.tooltip);
@@ -649,6 +1120,15 @@ function createCombinedTooltipCallbacks(primaryProcess, secondaryProcess) {
     };
 }
 
+/**
+ * Counts the stored periods of a process whose fetch failed
+ * @param {string} processName - The process name
+ * @returns {number} Number of failed periods
+ */
+export function countFailedPeriods(processName) {
+    return (getDisplayedData(processName) || []).filter(d => d && d.failed).length;
+}
+
 /**
  * Gets a chart instance by process name
  * @param {string} processName - The process name
@@ -664,6 +1144,18 @@ export function getChart(processName) {
  * @param {string} timeRange - The selected time range
  */
 export function updateChartTimeRange(processName, timeRange) {
+    // The 1D view of query charts shows intraday buckets once they are loaded
+    if (timeRange === '1D' && intradayData[processName]) {
+        updateBucketChart(processName, intradayData);
+        return;
+    }
+    
+    // Long custom ranges of daily charts show weekly buckets
+    if (hasWeeklyRangeData(processName, timeRange)) {
+        updateBucketChart(processName, weeklyRangeData);
+        return;
+    }
+    
     // Get a consistent reference to the data
     let data = historicalData[processName] || [];
     
@@ -671,15 +1163,17 @@ export function updateChartTimeRange(processName, timeRange) {
     data = [...data].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     
     // Filter out any duplicate data points based on date or week
-    const filteredData = removeDuplicateDates(data, processName.includes('weekly'));
+    const filteredData = removeDuplicateDates(data, isWeeklyProcess(processName));
     
     // Store back the cleaned data
     historicalData[processName] = filteredData;
     
+    const chartType = PROCESSES[processName]?.chart?.type;
+    
     // Handle special combined charts
-    if (processName === 'wUSDCTransfer') {
-        updateCombinedChart('wUSDCTransfer', 'USDATransfer', timeRange);
-    } else if (processName === 'wARTotalSupply') {
+    if (chartType === 'combined') {
+        updateCombinedChart(processName, PROCESSES[processName].chart.secondary, timeRange);
+    } else if (chartType === 'supply') {
         // Call the specialized function for supply chart
         updateSupplyChart(historicalData[processName], timeRange);
     } else {
@@ -687,6 +1181,27 @@ export function updateChartTimeRange(processName, timeRange) {
         const filteredByTimeRange = filterDataByTimeRange(filteredData, timeRange);
         updateStandardChart(processName, filteredByTimeRange);
     }
+    
+    // Keep an open leaderboard in step with the volume chart's range
+    if (isVolumeChart(processName)) {
+        refreshLeaderboard(processName);
+    }
+}
+
+/**
+ * Shows buckets kept apart from the regular series (intraday or long-range weekly buckets)
+ * @param {string} processName - The chart's process name
+ * @param {Object} store - intradayData or weeklyRangeData
+ */
+function updateBucketChart(processName, store) {
+    const chartConfig = PROCESSES[processName]?.chart;
+    
+    if (chartConfig?.type === 'combined') {
+        updateStandardCombinedChart(charts[processName], processName, chartConfig.secondary,
+            store[processName] || [], store[chartConfig.secondary] || [], store);
+    } else {
+        updateStandardChart(processName, store[processName], store);
+    }
 }
 
 /**
@@ -7,15 +7,16 @@ export const CHART_COLORS = {
     permaswap: 'rgb(54, 162, 235)',
     botega: 'rgb(255, 99, 132)',
     wARTransfer: 'rgb(255, 159, 64)',
-    wARVolume: 'rgb(255, 159, 64)',
     wARweeklyTransfer: 'rgb(255, 159, 64)',
     llamaLand: 'rgb(255, 205, 86)',
     stargrid: 'rgb(131, 86, 255)',
     AOTransfer: 'rgb(47, 243, 8)',
-    AOVolume: 'rgb(47, 243, 8)',
     wUSDCTransfer: 'rgb(19, 62, 252)',
-    wUSDCVolume: 'rgb(19, 62, 252)',
-    USDATransfer: 'rgb(51, 139, 0)'
+    USDATransfer: 'rgb(51, 139, 0)',
+    AOActiveWallets: 'rgb(47, 243, 8)',
+    wARActiveWallets: 'rgb(255, 159, 64)',
+    wUSDCActiveWallets: 'rgb(19, 62, 252)',
+    USDAActiveWallets: 'rgb(51, 139, 0)'
 };
 
 // Time range values in milliseconds
@@ -26,16 +27,22 @@ export const TIME_RANGES = {
     '3M': 90 * 24 * 60 * 60 * 1000     // 3 months in milliseconds
 };
 
+// Charts fed by precomputed stats (AO dryruns) rather than GraphQL count queries.
+// Token volume charts are added per registered token, see tokens.js#getStatsCharts
+export const STATS_CHARTS = [
+    'stargrid'
+];
+
+// Volume charts also use UTC timestamps (tokens.js#isVolumeChart)
 export const UTC_TIMESTAMP_PROCESSES = [
-    'stargrid',
-    'wARVolume',
-    'AOVolume',
-    'wUSDCVolume'
+    'stargrid'
 ];
 
 export const NON_UTC_TIMESTAMP_PROCESSES = [
     'wARTransfer',
     'AOTransfer',
+    'AOActiveWallets',
+    'wARActiveWallets',
     'permaswap',
     'botega',
     'llamaLand',
@@ -46,12 +53,48 @@ export const NON_UTC_TIMESTAMP_PROCESSES = [
 // Default time range for all charts
 export const DEFAULT_TIME_RANGE = '1W';
 
+// Bucket size (in minutes) of the intraday 1D view
+export const INTRADAY_BUCKET_MINUTES = 60;
+
+// Longest custom date range (in days) a daily chart may request; weekly charts allow 7x as much
+export const CUSTOM_RANGE_MAX_DAYS = 180;
+
+// Custom ranges longer than this (in days) are shown in weekly buckets on daily charts
+export const CUSTOM_RANGE_WEEKLY_DAYS = 60;
+
+// Charts loading at the same time when one custom range is applied to every chart
+export const GLOBAL_RANGE_CONCURRENCY = 2;
+
 // Block Tracking Process ID for AO Network
 export const BLOCK_TRACKING_PROCESS = 'V5Pm1eScgJo1Ue6R0NL_qVUM53leE_B3zavwf1Z5zPk';
 
+// GraphQL gateways in failover order. A user-supplied gateway, when set, is tried first.
+// supportsCount: whether the gateway answers the `count` field; count queries skip gateways without it
+export const GRAPHQL_GATEWAYS = [
+    { name: 'Goldsky', url: 'https://arweave-search.goldsky.com/graphql', supportsCount: true },
+    { name: 'arweave.net', url: 'https://arweave.net/graphql', supportsCount: false }
+];
+
+// Retry and timeout settings for the shared GraphQL client
+export const GRAPHQL_CLIENT = {
+    retries: 2,         // Retries per gateway before failing over
+    retryDelay: 500,    // Base delay for exponential backoff (ms)
+    timeout: 20000      // Request timeout per attempt (ms)
+};
+
 // Data refresh interval in milliseconds (20 minutes)
 export const DATA_REFRESH_INTERVAL = 20 * 60 * 1000;
 
+// Alert rule conditions; anomaly conditions compare against the mean of a baseline window
+// (direction 1 triggers above the value or band, -1 below it)
+export const ALERT_CONDITIONS = {
+    below: { label: 'below', direction: -1 },
+    above: { label: 'above', direction: 1 },
+    sigmaAbove: { label: 'above', direction: 1, anomaly: true },
+    sigmaBelow: { label: 'below', direction: -1, anomaly: true }
+};
+export const ALERT_DEFAULT_WINDOW_DAYS = 30;
+
 // Time format settings for consistent date formatting across the app
 export const TIME_FORMAT = {
     short: {
@@ -78,4 +121,36 @@ export const CHART_DEFAULTS = {
     pointRadius: 5,
     responsive: true,
     maintainAspectRatio: false
-};
\ No newline at end of file
+};
+
+// Optional overlays on standard line charts. Averaging windows are in days of data.
+export const CHART_OVERLAYS = {
+    sma: { label: '7-day SMA', shortLabel: 'SMA', days: 7, borderDash: [6, 4] },
+    ema: { label: '7-day EMA', shortLabel: 'EMA', days: 7, borderDash: [2, 3] },
+    trend: { label: 'Linear trend', shortLabel: 'Trend', borderDash: [10, 5] }
+};
+
+// Persistent period cache. Bump the version when the way periods are counted changes.
+// A period is only persisted once it ended safetyBlocks ago (about an hour), so late-indexed
+// transactions and the estimated heights of intraday buckets have settled.
+export const PERIOD_CACHE = {
+    version: 1,
+    safetyBlocks: 30
+};
+
+// Precomputed chart series written by scripts/collect-dashboard-data.mjs
+export const SNAPSHOT_URL = 'data/dashboard-stats.json';
+export const SNAPSHOT_VERSION = 1;
+
+// Registry of tokens whose transfer volume is tracked (also read by scripts/volume-calculator.js)
+export const TOKEN_REGISTRY_URL = 'tokens.json';
+
+// Daily top transfers and wallets per token, written by scripts/calculate-daily-volume.js
+export const LEADERBOARD_URL = 'https://raw.githubusercontent.com/Jonny-Ringo/the_eye_of_AO/main/data/leaderboards.json';
+export const LEADERBOARD_SIZE = 10;
+
+// Explorer pages linked from the leaderboards
+export const EXPLORER_URLS = {
+    message: 'https://www.ao.link/#/message/',
+    entity: 'https://www.ao.link/#/entity/'
+};
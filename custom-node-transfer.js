@@ -0,0 +1,346 @@
+/**
+ * Import and export of custom node lists for the uptime pages.
+ * Lists are JSON files of the form
+ *   { format: 'eye-of-ao-custom-nodes', version: 1, network, exportedAt, nodes: [...] }
+ * with nodes { url, protocol, cu, cuProtocol, label } on the HyperBEAM page and { url, label } on
+ * the Legacynet page. Imports are validated as a whole; nothing is saved while a file has errors.
+ */
+
+export const CUSTOM_NODES_FORMAT = 'eye-of-ao-custom-nodes';
+const FORMAT_VERSION = 1;
+
+// Labels longer than this are rejected
+const MAX_LABEL_LENGTH = 64;
+
+// Per network: whether nodes have a paired CU, and whether node URLs end with a slash
+const NETWORKS = {
+    hyperbeam: { pairedCu: true, trailingSlash: true },
+    legacynet: { pairedCu: false, trailingSlash: false }
+};
+
+/**
+ * Builds the export file of a custom node list
+ * @param {string} network - 'hyperbeam' or 'legacynet'
+ * @param {Array<Object>} nodes - The custom node entries
+ * @returns {Object} The export data
+ */
+export function createCustomNodesExport(network, nodes) {
+    return {
+        format: CUSTOM_NODES_FORMAT,
+        version: FORMAT_VERSION,
+        network,
+        exportedAt: new Date().toISOString(),
+        nodes
+    };
+}
+
+/**
+ * Validates a node URL and brings it into the stored form
+ * @param {*} value - The URL, with or without protocol
+ * @param {string|undefined} protocol - 'http' or 'https' if given
+ * @param {boolean} trailingSlash - Whether stored URLs end with a slash
+ * @returns {Object} { url, protocol } or { error }
+ */
+function normalizeNodeUrl(value, protocol, trailingSlash) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return { error: 'URL is missing' };
+    }
+    if (protocol !== undefined && protocol !== 'http' && protocol !== 'https') {
+        return { error: `protocol must be "http" or "https", not ${JSON.stringify(protocol)}` };
+    }
+
+    const input = value.trim();
+    const hasProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(input);
+
+    let parsed;
+    try {
+        parsed = new URL(hasProtocol ? input : `${protocol || 'https'}://${input}`);
+    } catch {
+        return { error: `invalid URL ${JSON.stringify(input)}` };
+    }
+
+    const urlProtocol = parsed.protocol.replace(':', '');
+    if (urlProtocol !== 'http' && urlProtocol !== 'https') {
+        return { error: `unsupported protocol in ${JSON.stringify(input)}` };
+    }
+    if (protocol !== undefined && hasProtocol && urlProtocol !== protocol) {
+        return { error: `URL ${JSON.stringify(input)} does not use protocol "${protocol}"` };
+    }
+
+    let url = parsed.href;
+    if (!trailingSlash && !/\/$/.test(input)) {
+        url = url.replace(/\/$/, '');
+    }
+    return { url, protocol: urlProtocol };
+}
+
+/**
+ * Brings a node URL the user entered into the form imports store, so both match
+ * @param {string} network - 'hyperbeam' or 'legacynet'
+ * @param {string} value - The URL, with or without protocol
+ * @param {string|undefined} protocol - 'http' or 'https' if given
+ * @returns {Object} { url, protocol } or { error }
+ */
+export function normalizeCustomNodeUrl(network, value, protocol) {
+    return normalizeNodeUrl(value, protocol, NETWORKS[network].trailingSlash);
+}
+
+/**
+ * Validates one entry of an import
+ * @param {*} entry - A node object or URL string
+ * @param {Object} spec - The network settings
+ * @returns {Object} { node } or { errors }
+ */
+function parseNodeEntry(entry, spec) {
+    const source = typeof entry === 'string' ? { url: entry } : entry;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        return { errors: ['must be a URL or an object with a url'] };
+    }
+
+    const errors = [];
+    const hb = normalizeNodeUrl(source.url, source.protocol, spec.trailingSlash);
+    if (hb.error) errors.push(hb.error);
+
+    let label = null;
+    if (source.label !== undefined && source.label !== null && source.label !== '') {
+        if (typeof source.label !== 'string') {
+            errors.push('label must be text');
+        } else if (source.label.trim().length > MAX_LABEL_LENGTH) {
+            errors.push(`label is longer than ${MAX_LABEL_LENGTH} characters`);
+        } else {
+            label = source.label.trim();
+        }
+    }
+
+    if (!spec.pairedCu) {
+        return errors.length > 0 ? { errors } : { node: { url: hb.url, label } };
+    }
+
+    let cu = null;
+    let cuProtocol = 'https';
+    if (source.cu !== undefined && source.cu !== null && source.cu !== '' && source.cu !== '--') {
+        const cuResult = normalizeNodeUrl(source.cu, source.cuProtocol, spec.trailingSlash);
+        if (cuResult.error) {
+            errors.push(`CU ${cuResult.error}`);
+        } else {
+            cu = cuResult.url;
+            cuProtocol = cuResult.protocol;
+        }
+    }
+
+    return errors.length > 0
+        ? { errors }
+        : { node: { url: hb.url, protocol: hb.protocol, cu, cuProtocol, label } };
+}
+
+/**
+ * Parses and validates an import. Accepts export files and plain arrays of nodes or URLs.
+ * @param {string} text - The JSON text
+ * @param {string} network - 'hyperbeam' or 'legacynet'
+ * @returns {Object} { nodes, errors }; nodes is empty when there are errors
+ */
+export function parseCustomNodesImport(text, network) {
+    const spec = NETWORKS[network];
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { nodes: [], errors: [`Not valid JSON: ${error.message}`] };
+    }
+
+    let entries = data;
+    if (!Array.isArray(data)) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+            return { nodes: [], errors: ['Expected an export file with a "nodes" list, or a list of nodes'] };
+        }
+        if (data.format !== undefined && data.format !== CUSTOM_NODES_FORMAT) {
+            return { nodes: [], errors: [`Unknown format ${JSON.stringify(data.format)}`] };
+        }
+        if (data.version !== undefined && data.version > FORMAT_VERSION) {
+            return { nodes: [], errors: [`Version ${data.version} is newer than this page supports (${FORMAT_VERSION})`] };
+        }
+        if (data.network !== undefined && data.network !== network) {
+            return { nodes: [], errors: [`This list is for ${data.network} nodes, not ${network}`] };
+        }
+        entries = data.nodes;
+    }
+
+    const nodes = [];
+    const errors = [];
+    const seen = new Set();
+
+    entries.forEach((entry, index) => {
+        const result = parseNodeEntry(entry, spec);
+        if (result.errors) {
+            result.errors.forEach(error => errors.push(`Node ${index + 1}: ${error}`));
+            return;
+        }
+        if (seen.has(result.node.url)) {
+            errors.push(`Node ${index + 1}: ${result.node.url} is listed twice`);
+            return;
+        }
+        seen.add(result.node.url);
+        nodes.push(result.node);
+    });
+
+    return errors.length > 0 ? { nodes: [], errors } : { nodes, errors };
+}
+
+/**
+ * Combines the current custom nodes with imported ones
+ * @param {Array<Object>} current - The current entries
+ * @param {Array<Object>} imported - The imported entries
+ * @param {string} mode - 'merge' updates and adds nodes, 'replace' keeps only the imported ones
+ * @returns {Array<Object>} The new entries
+ */
+export function mergeCustomNodes(current, imported, mode) {
+    if (mode === 'replace') {
+        return [...imported];
+    }
+
+    const importedByUrl = new Map(imported.map(node => [node.url, node]));
+    const merged = current.map(node => importedByUrl.has(node.url)
+        ? { ...node, ...importedByUrl.get(node.url), label: importedByUrl.get(node.url).label ?? node.label }
+        : node);
+    const currentUrls = new Set(current.map(node => node.url));
+
+    return merged.concat(imported.filter(node => !currentUrls.has(node.url)));
+}
+
+/**
+ * Offers a custom node list as a JSON download
+ * @param {string} network - 'hyperbeam' or 'legacynet'
+ * @param {Array<Object>} nodes - The custom node entries
+ */
+function downloadCustomNodes(network, nodes) {
+    const blob = new Blob([JSON.stringify(createCustomNodesExport(network, nodes), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `eye-of-ao-${network}-nodes.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Shows import errors, or a status message when there are none
+ * @param {HTMLElement} element - The transfer element
+ * @param {Array<string>} errors - The errors
+ * @param {string} message - Status message
+ */
+function showTransferResult(element, errors, message = '') {
+    const list = element.querySelector('.node-transfer-errors');
+    list.innerHTML = '';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    });
+    list.hidden = errors.length === 0;
+
+    element.querySelector('.node-transfer-status').textContent = message;
+}
+
+/**
+ * Builds the import/export controls of a custom node section
+ * @param {string} elementId - The id of the container element
+ * @param {Object} options - { network, getNodes() => entries, setNodes(entries), onImport() }
+ */
+export function setupCustomNodeTransfer(elementId, { network, getNodes, setNodes, onImport }) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    element.classList.add('node-transfer');
+    element.innerHTML = `
+        <div class="node-transfer-actions">
+            <button type="button" class="node-transfer-btn" data-action="export">
+                <i class="fas fa-download"></i> Export list
+            </button>
+            <button type="button" class="node-transfer-btn" data-action="toggle">
+                <i class="fas fa-upload"></i> Import list
+            </button>
+        </div>
+        <div class="node-transfer-panel" hidden>
+            <div class="node-transfer-row">
+                <input type="url" class="node-transfer-url" placeholder="https://example.com/${network}-nodes.json">
+                <button type="button" class="node-transfer-btn" data-action="load">Load URL</button>
+            </div>
+            <div class="node-transfer-row">
+                <input type="file" class="node-transfer-file" accept="application/json,.json">
+            </div>
+            <textarea class="node-transfer-text" rows="6" placeholder="Paste an exported node list (JSON)"></textarea>
+            <div class="node-transfer-row">
+                <label><input type="radio" name="${elementId}Mode" value="merge" checked> Merge with my nodes</label>
+                <label><input type="radio" name="${elementId}Mode" value="replace"> Replace my nodes</label>
+                <button type="button" class="node-transfer-btn primary" data-action="import">Import</button>
+            </div>
+            <ul class="node-transfer-errors" hidden></ul>
+            <div class="node-transfer-status"></div>
+        </div>
+    `;
+
+    const panel = element.querySelector('.node-transfer-panel');
+    const textArea = element.querySelector('.node-transfer-text');
+    const urlInput = element.querySelector('.node-transfer-url');
+
+    element.querySelector('.node-transfer-file').addEventListener('change', event => {
+        const file = event.target.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => {
+                textArea.value = text;
+                showTransferResult(element, [], `Loaded ${file.name}, review and import it`);
+            })
+            .catch(error => showTransferResult(element, [`Cannot read ${file.name}: ${error.message}`]));
+    });
+
+    element.addEventListener('click', event => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'export':
+                downloadCustomNodes(network, getNodes());
+                break;
+            case 'toggle':
+                panel.hidden = !panel.hidden;
+                break;
+            case 'load': {
+                const url = urlInput.value.trim();
+                if (!url) {
+                    showTransferResult(element, ['Enter the URL of a node list']);
+                    return;
+                }
+                showTransferResult(element, [], 'Loading...');
+                fetch(url)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+                        return response.text();
+                    })
+                    .then(text => {
+                        textArea.value = text;
+                        showTransferResult(element, [], 'Loaded, review and import it');
+                    })
+                    .catch(error => showTransferResult(element, [`Cannot load ${url}: ${error.message}`]));
+                break;
+            }
+            case 'import': {
+                const { nodes, errors } = parseCustomNodesImport(textArea.value, network);
+                if (errors.length > 0) {
+                    showTransferResult(element, errors);
+                    return;
+                }
+
+                const mode = element.querySelector(`input[name="${elementId}Mode"]:checked`).value;
+                setNodes(mergeCustomNodes(getNodes(), nodes, mode));
+                showTransferResult(element, [], `Imported ${nodes.length} node${nodes.length === 1 ? '' : 's'} (${mode})`);
+                if (onImport) onImport();
+                break;
+            }
+        }
+    });
+}
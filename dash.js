@@ -1,5 +1,6 @@
 import { createDataItemSigner, dryrun, message, result, results } from "https://unpkg.com/@permaweb/aoconnect@0.0.59/dist/browser.js";
 import { PROCESSES, generateQuery } from './processes.js';
+import { queryGraphQL } from './graphql.js';
 
 // Block Tracking Process ID
 const BLOCK_TRACKING_PROCESS = '_g3kxQxL7F4Y9vXvHaR_cEa7oPkcjFpyuuHLMcHKSds';
@@ -804,12 +805,7 @@ async function fetchHistoricalData(periods, processName) {
                             period.endHeight,
                             periods[periods.length - 1].endHeight
                         );
-                        const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ query }),
-                        });
-                        const result = await response.json();
+                        const result = await queryGraphQL(query);
                         return result.data.transactions.count;
                     } catch (error) {
                         console.error(`Error fetching wUSDC data for period ${index}:`, error);
@@ -825,12 +821,7 @@ async function fetchHistoricalData(periods, processName) {
                             period.endHeight,
                             periods[periods.length - 1].endHeight
                         );
-                        const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ query }),
-                        });
-                        const result = await response.json();
+                        const result = await queryGraphQL(query);
                         return result.data.transactions.count;
                     } catch (error) {
                         console.error(`Error fetching USDA data for period ${index}:`, error);
@@ -1039,20 +1030,10 @@ async function fetchHistoricalData(periods, processName) {
                     )
                 ]);
 
-                const [qResponse, wResponse] = await Promise.all([
-                    fetch('https://arweave-search.goldsky.com/graphql', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ query: combinedQuery[0] }),
-                    }),
-                    fetch('https://arweave-search.goldsky.com/graphql', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ query: combinedQuery[1] }),
-                    })
+                const [qResult, wResult] = await Promise.all([
+                    queryGraphQL(combinedQuery[0]),
+                    queryGraphQL(combinedQuery[1])
                 ]);
-
-                const [qResult, wResult] = await Promise.all([qResponse.json(), wResponse.json()]);
                 const hasData = qResult.data.transactions.count > 0 || wResult.data.transactions.count > 0;
 
                 if (hasData) {
@@ -1069,13 +1050,7 @@ async function fetchHistoricalData(periods, processName) {
                     periods[periods.length - 1].endHeight
                 );
 
-                const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ query }),
-                });
-
-                const result = await response.json();
+                const result = await queryGraphQL(query);
                 const hasData = result.data.transactions.count > 0;
 
                 if (hasData) {
@@ -1097,12 +1072,7 @@ async function fetchHistoricalData(periods, processName) {
                             period.endHeight,
                             periods[periods.length - 1].endHeight
                         );
-                        const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ query }),
-                        });
-                        const result = await response.json();
+                        const result = await queryGraphQL(query);
                         return result.data.transactions.count;
                     } catch (error) {
                         console.error(`Error fetching qAR data for period ${index}:`, error);
@@ -1118,12 +1088,7 @@ async function fetchHistoricalData(periods, processName) {
                             period.endHeight,
                             periods[periods.length - 1].endHeight
                         );
-                        const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ query }),
-                        });
-                        const result = await response.json();
+                        const result = await queryGraphQL(query);
                         return result.data.transactions.count;
                     } catch (error) {
                         console.error(`Error fetching wAR data for period ${index}:`, error);
@@ -1198,12 +1163,7 @@ async function fetchHistoricalData(periods, processName) {
                             period.endHeight,
                             periods[periods.length - 1].endHeight
                         );
-                        const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ query }),
-                        });
-                        const result = await response.json();
+                        const result = await queryGraphQL(query);
                         return result.data.transactions.count;
                     } catch (error) {
                         console.error(`Error fetching qAR weekly data for period ${index}:`, error);
@@ -1219,12 +1179,7 @@ async function fetchHistoricalData(periods, processName) {
                             period.endHeight,
                             periods[periods.length - 1].endHeight
                         );
-                        const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                            method: 'POST',
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({ query }),
-                        });
-                        const result = await response.json();
+                        const result = await queryGraphQL(query);
                         return result.data.transactions.count;
                     } catch (error) {
                         console.error(`Error fetching wAR weekly data for period ${index}:`, error);
@@ -1312,15 +1267,7 @@ async function fetchHistoricalData(periods, processName) {
                 );
                 console.log(`GraphQL Query for ${processName} (Period ${index}):`, query);
 
-                const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({ query }),
-                });
-
-                const result = await response.json();
+                const result = await queryGraphQL(query);
                 const count = result.data.transactions.count;
                 
                 console.log(`Period ${index} result for ${processName}:`, {
@@ -0,0 +1,207 @@
+/**
+ * CSV, JSON and PNG export of dashboard charts for the Eye of AO dashboard
+ */
+import { getChartSeriesProcesses, getProcessDisplayName } from './processes.js';
+import { filterDataByTimeRange, formatTimeRangeLabel } from './utils.js';
+import { charts, getDisplayedData } from './charts.js';
+import { getChartTimeRange } from './ui.js';
+
+// Column order of CSV exports
+const CSV_COLUMNS = ['series', 'timestamp', 'startTime', 'startHeight', 'endHeight', 'value', 'failed'];
+
+/**
+ * Converts a timestamp to an ISO string
+ * @param {Date|string|number} value - The timestamp
+ * @returns {string|null} ISO timestamp or null if missing
+ */
+function toISOString(value) {
+    if (value === undefined || value === null) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Normalizes a stored data point into an export row
+ * @param {Object} point - The data point from historicalData
+ * @returns {Object} Export row with timestamps, block heights and value
+ */
+function toExportPoint(point) {
+    return {
+        timestamp: toISOString(point.timestamp),
+        startTime: toISOString(point.startTime),
+        startHeight: point.startHeight ?? null,
+        endHeight: point.endHeight ?? null,
+        value: point.count ?? point.value ?? point.wARSupply ?? null,
+        failed: Boolean(point.failed)
+    };
+}
+
+/**
+ * Gets the exported series of a chart for its selected time range
+ * @param {string} chartName - The chart name
+ * @returns {Object} Export document for the chart
+ */
+export function getChartExportData(chartName) {
+    const timeRange = getChartTimeRange(chartName);
+    const series = {};
+
+    getChartSeriesProcesses(chartName).forEach(processName => {
+        const data = (getDisplayedData(processName) || []).filter(point => point && point.timestamp);
+        const sortedData = [...filterDataByTimeRange(data, timeRange)]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        series[processName] = sortedData.map(toExportPoint);
+    });
+
+    return {
+        chart: chartName,
+        title: getChartTitle(chartName),
+        timeRange: formatTimeRangeLabel(timeRange),
+        series
+    };
+}
+
+/**
+ * Gets the title shown on a chart card
+ * @param {string} chartName - The chart name
+ * @returns {string} The chart title
+ */
+function getChartTitle(chartName) {
+    const card = document.getElementById(`${chartName}Chart`)?.closest('.chart-card');
+    const title = card?.querySelector('.chart-title')?.textContent.trim();
+    return title || getProcessDisplayName(chartName);
+}
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {any} value - The cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts a chart export document to CSV, one row per data point
+ * @param {Object} exportData - Export document from getChartExportData
+ * @returns {string} CSV text
+ */
+export function toCsv(exportData) {
+    const rows = [CSV_COLUMNS.join(',')];
+
+    Object.entries(exportData.series).forEach(([processName, points]) => {
+        points.forEach(point => {
+            const row = { series: processName, ...point };
+            rows.push(CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+        });
+    });
+
+    return rows.join('\r\n');
+}
+
+/**
+ * Builds a file name for an export
+ * @param {string} name - Base name
+ * @param {string} extension - File extension
+ * @returns {string} File name including today's date
+ */
+function getExportFileName(name, extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `eye-of-ao-${name}-${date}.${extension}`;
+}
+
+/**
+ * Starts a browser download
+ * @param {Blob|string} content - A Blob or a data URL
+ * @param {string} fileName - The file name
+ */
+function downloadFile(content, fileName) {
+    const url = typeof content === 'string' ? content : URL.createObjectURL(content);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    if (typeof content !== 'string') {
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+/**
+ * Downloads the canvas of a chart as PNG on the card's background color
+ * @param {string} chartName - The chart name
+ */
+function exportChartPng(chartName) {
+    const canvas = document.getElementById(`${chartName}Chart`);
+    if (!canvas) {
+        throw new Error(`No canvas found for ${chartName}`);
+    }
+
+    // Chart.js draws on a transparent canvas, so paint the card background behind it
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+
+    const context = output.getContext('2d');
+    const card = canvas.closest('.chart-card') || document.body;
+    context.fillStyle = getComputedStyle(card).backgroundColor || '#ffffff';
+    context.fillRect(0, 0, output.width, output.height);
+    context.drawImage(canvas, 0, 0);
+
+    downloadFile(output.toDataURL('image/png'), getExportFileName(chartName, 'png'));
+}
+
+/**
+ * Exports a single chart
+ * @param {string} chartName - The chart name
+ * @param {string} format - 'csv', 'json' or 'png'
+ */
+export function exportChart(chartName, format) {
+    try {
+        if (format === 'png') {
+            exportChartPng(chartName);
+            return;
+        }
+
+        const exportData = getChartExportData(chartName);
+        const fileName = getExportFileName(`${chartName}-${exportData.timeRange}`, format);
+
+        if (format === 'csv') {
+            downloadFile(new Blob([toCsv(exportData)], { type: 'text/csv' }), fileName);
+        } else if (format === 'json') {
+            downloadFile(new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' }), fileName);
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+    } catch (error) {
+        console.error(`Error exporting ${chartName} as ${format}:`, error);
+    }
+}
+
+/**
+ * Downloads every chart's selected series as one JSON document
+ */
+export function exportAllCharts() {
+    try {
+        const snapshot = {
+            exportedAt: new Date().toISOString(),
+            charts: {}
+        };
+
+        Object.keys(charts).forEach(chartName => {
+            snapshot.charts[chartName] = getChartExportData(chartName);
+        });
+
+        downloadFile(
+            new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' }),
+            getExportFileName('all-charts', 'json')
+        );
+    } catch (error) {
+        console.error('Error exporting all charts:', error);
+    }
+}
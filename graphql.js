@@ -0,0 +1,213 @@
+/**
+ * Shared GraphQL client with gateway retries and failover for the Eye of AO dashboard
+ */
+import { GRAPHQL_GATEWAYS, GRAPHQL_CLIENT } from './config.js';
+
+// localStorage key for the user-supplied gateway URL
+const CUSTOM_GATEWAY_KEY = 'eyeOfAoCustomGateway';
+
+// Gateways registered at runtime (e.g. a local stub for testing)
+const registeredGateways = [];
+
+// The gateway that answered the most recent query
+let activeGateway = null;
+
+// Listeners notified when the answering gateway changes
+const gatewayListeners = new Set();
+
+/**
+ * Gets the user-supplied gateway URL
+ * @returns {string|null} The custom gateway URL or null if none is set
+ */
+export function getCustomGatewayUrl() {
+    if (typeof localStorage === 'undefined') return null;
+    return localStorage.getItem(CUSTOM_GATEWAY_KEY);
+}
+
+/**
+ * Sets or clears the user-supplied gateway URL
+ * @param {string|null} url - The gateway URL, or an empty value to clear it
+ */
+export function setCustomGatewayUrl(url) {
+    if (typeof localStorage === 'undefined') return;
+
+    if (url) {
+        localStorage.setItem(CUSTOM_GATEWAY_KEY, url.trim());
+    } else {
+        localStorage.removeItem(CUSTOM_GATEWAY_KEY);
+    }
+}
+
+/**
+ * Registers an additional gateway ahead of the configured ones.
+ * A gateway is either { name, url } or { name, request } where request(query)
+ * resolves to a GraphQL result object, which lets a local stub stand in for the network.
+ * Gateways support count queries unless they set supportsCount: false.
+ * @param {Object} gateway - The gateway definition
+ */
+export function registerGateway(gateway) {
+    unregisterGateway(gateway.name);
+    registeredGateways.unshift(gateway);
+}
+
+/**
+ * Removes a gateway registered with registerGateway
+ * @param {string} name - The gateway name
+ */
+export function unregisterGateway(name) {
+    const index = registeredGateways.findIndex(gateway => gateway.name === name);
+    if (index !== -1) {
+        registeredGateways.splice(index, 1);
+    }
+}
+
+/**
+ * Gets all gateways in failover order
+ * @returns {Array<Object>} Array of gateway definitions
+ */
+export function getGateways() {
+    const customUrl = getCustomGatewayUrl();
+    const customGateways = customUrl ? [{ name: 'Custom', url: customUrl, supportsCount: true }] : [];
+
+    return [...registeredGateways, ...customGateways, ...GRAPHQL_GATEWAYS];
+}
+
+/**
+ * Gets the gateway that answered the most recent query
+ * @returns {Object|null} The active gateway or null before the first query
+ */
+export function getActiveGateway() {
+    return activeGateway;
+}
+
+/**
+ * Subscribes to changes of the answering gateway
+ * @param {Function} listener - Called with the new gateway
+ * @returns {Function} Unsubscribe function
+ */
+export function onGatewayChange(listener) {
+    gatewayListeners.add(listener);
+    return () => gatewayListeners.delete(listener);
+}
+
+/**
+ * Records the gateway that answered and notifies listeners if it changed
+ * @param {Object} gateway - The gateway definition
+ */
+function setActiveGateway(gateway) {
+    if (activeGateway && activeGateway.name === gateway.name) return;
+
+    activeGateway = gateway;
+    console.log(`GraphQL gateway in use: ${gateway.name}`);
+    gatewayListeners.forEach(listener => {
+        try {
+            listener(gateway);
+        } catch (error) {
+            console.error('Error in gateway listener:', error);
+        }
+    });
+}
+
+/**
+ * Sends a query to a single gateway
+ * @param {Object} gateway - The gateway definition
+ * @param {string} query - The GraphQL query
+ * @returns {Promise<Object>} The GraphQL result
+ */
+async function requestFromGateway(gateway, query) {
+    if (gateway.request) {
+        return gateway.request(query);
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), GRAPHQL_CLIENT.timeout);
+
+    try {
+        const response = await fetch(gateway.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query }),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Network error: ${response.status}`);
+        }
+
+        const result = await response.json();
+
+        // Errors without any data mean the gateway could not answer at all
+        if (result.errors && !result.data) {
+            throw new Error(`GraphQL error: ${result.errors.map(e => e.message).join('; ')}`);
+        }
+
+        return result;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Checks whether a query asks for the transaction count
+ * @param {string} query - The GraphQL query
+ * @returns {boolean} True if the query selects the count field
+ */
+function isCountQuery(query) {
+    return /\{\s*count\s*\}/.test(query);
+}
+
+/**
+ * Runs a GraphQL query, retrying and failing over between gateways.
+ * Count queries only go to gateways that support them. Among the remaining gateways,
+ * the one that answered last is tried first.
+ *
+ * Cursors are only valid on the gateway that issued them, so paginated walks pass the same
+ * session object with every page: the first page may fail over, later pages are pinned to the
+ * gateway that answered it and fail instead of moving to another gateway.
+ * @param {string} query - The GraphQL query
+ * @param {Object} options - Optional { session } shared by all pages of a walk
+ * @returns {Promise<Object>} The GraphQL result ({ data, errors })
+ */
+export async function queryGraphQL(query, options = {}) {
+    const { session } = options;
+    let gateways = getGateways();
+
+    if (isCountQuery(query)) {
+        gateways = gateways.filter(gateway => gateway.supportsCount !== false);
+    }
+
+    if (session?.gateway) {
+        gateways = gateways.filter(gateway => gateway.name === session.gateway.name);
+    } else {
+        // Prefer the gateway that answered last
+        const activeIndex = activeGateway
+            ? gateways.findIndex(gateway => gateway.name === activeGateway.name)
+            : -1;
+        if (activeIndex > 0) {
+            gateways.unshift(...gateways.splice(activeIndex, 1));
+        }
+    }
+
+    let lastError = null;
+
+    for (const gateway of gateways) {
+        for (let attempt = 0; attempt <= GRAPHQL_CLIENT.retries; attempt++) {
+            try {
+                const result = await requestFromGateway(gateway, query);
+                setActiveGateway(gateway);
+                if (session) session.gateway = gateway;
+                return result;
+            } catch (error) {
+                lastError = error;
+                console.warn(`GraphQL request to ${gateway.name} failed (attempt ${attempt + 1}):`, error.message);
+
+                if (attempt < GRAPHQL_CLIENT.retries) {
+                    const delay = GRAPHQL_CLIENT.retryDelay * Math.pow(2, attempt);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        }
+    }
+
+    throw new Error(`All GraphQL gateways failed: ${lastError ? lastError.message : 'no gateways configured'}`);
+}
@@ -1,10 +1,15 @@
 // Import functions from mainnet-nodes.js
 import { checkHyperBeamNodeStatus, checkCuNodeStatus, unwrapProxiedUrl } from '../mainnet-nodes.js';
+import { getProxiedUrl } from '../../node-proxy.js';
+import { CHECK_PRIORITY } from '../../node-check.js';
+import { createHyperBeamNodeCard, renderNodeLabel } from '../../node-card.js';
+import { normalizeCustomNodeUrl } from '../../custom-node-transfer.js';
 
 // Variables to export
 let customNodes = [];
 let customNodesCuRelationship = {};
 let customNodesProtocol = {}; // Store protocol information (http/https)
+let customNodeLabels = {}; // Optional labels by node URL, set by imports
 
 // Configuration - match mainnet config
 const config = {
@@ -15,6 +20,43 @@ const config = {
 function saveCustomNodes() {
     localStorage.setItem('hyperbeamTrackerCustomNodes', JSON.stringify(customNodes));
     localStorage.setItem('hyperbeamTrackerNodeProtocols', JSON.stringify(customNodesProtocol));
+    localStorage.setItem('hyperbeamTrackerNodeLabels', JSON.stringify(customNodeLabels));
+}
+
+// Custom nodes as { url, protocol, cu, cuProtocol, label } entries, for export
+function getCustomNodeEntries() {
+    return customNodes.map(url => {
+        const protocolInfo = customNodesProtocol[url] || {
+            protocol: url.startsWith('https://') ? 'https' : 'http',
+            cuProtocol: 'https'
+        };
+        const cuUrl = customNodesCuRelationship[url];
+
+        return {
+            url,
+            protocol: protocolInfo.protocol,
+            cu: cuUrl && cuUrl !== "--" ? cuUrl : null,
+            cuProtocol: protocolInfo.cuProtocol,
+            label: customNodeLabels[url] || null
+        };
+    });
+}
+
+// Replace the custom nodes with imported entries
+function setCustomNodeEntries(entries) {
+    customNodes = entries.map(entry => entry.url);
+    customNodesProtocol = {};
+    customNodesCuRelationship = {};
+    customNodeLabels = {};
+
+    entries.forEach(entry => {
+        customNodesProtocol[entry.url] = { protocol: entry.protocol, cuProtocol: entry.cuProtocol };
+        customNodesCuRelationship[entry.url] = entry.cu || "--";
+        if (entry.label) customNodeLabels[entry.url] = entry.label;
+    });
+
+    saveCustomNodes();
+    localStorage.setItem('hyperbeamTrackerCuRelationship', JSON.stringify(customNodesCuRelationship));
 }
 
 // Add this to your initialization code
@@ -119,23 +161,17 @@ function addCustomNode(additionalNodeInput, customStatusContainer) {
     const useHttpsForHB = document.getElementById('hbHttpsToggle').classList.contains('selected');
     const useHttpsForCU = document.getElementById('cuHttpsToggle').classList.contains('selected');
 
-    // Format URLs with the correct protocol
-    const hbProtocol = useHttpsForHB ? 'https://' : 'http://';
-    const cuProtocol = useHttpsForCU ? 'https://' : 'http://';
-    
-    // Clean the input to remove any existing protocol
-    const cleanNodeInput = nodeInput.replace(/^https?:\/\//, '');
-    const cleanCuInput = cuInput ? cuInput.replace(/^https?:\/\//, '') : '';
-    
-    // Format the URLs with the selected protocol
-    let nodeUrl = hbProtocol + cleanNodeInput;
-    if (!nodeUrl.endsWith('/')) nodeUrl += '/';
-
-    let cuUrl = "--";
-    if (cleanCuInput) {
-        cuUrl = cuProtocol + cleanCuInput;
-        if (!cuUrl.endsWith('/')) cuUrl += '/';
+    // The toggles decide the protocol; store the URLs the way imports do
+    const hbResult = normalizeCustomNodeUrl('hyperbeam', stripProtocol(nodeInput), useHttpsForHB ? 'https' : 'http');
+    const cuResult = cuInput
+        ? normalizeCustomNodeUrl('hyperbeam', stripProtocol(cuInput), useHttpsForCU ? 'https' : 'http')
+        : { url: "--" };
+    if (hbResult.error || cuResult.error) {
+        alert(`Cannot add node "${nodeInput}": ${hbResult.error || cuResult.error}`);
+        return;
     }
+    const nodeUrl = hbResult.url;
+    const cuUrl = cuResult.url;
 
     // Check if this node already exists
     if (!customNodes.includes(nodeUrl)) {
@@ -162,52 +198,13 @@ function addCustomNode(additionalNodeInput, customStatusContainer) {
         customNodesProtocol = savedProtocols;
 
         // Create card UI
-        const nodeCard = document.createElement('div');
         const nodeId = `custom-${nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
-        const nodeName = nodeUrl.replace(/^https?:\/\//, '');
-        const cuName = cuUrl === "--" ? "--" : cuUrl.replace(/^https?:\/\//, '');
-
-        nodeCard.id = nodeId;
-        nodeCard.className = 'node-card';
-        nodeCard.innerHTML = `
-            <div class="node-name">${nodeName} <span class="hb-protocol-tag protocol-tag"></span></div>
-            <div class="status">
-                <span class="status-indicator loading"></span>
-                <span>Checking...</span>
-            </div>
-            <div class="response-time">-</div>
-            <div class="cu-status-container">
-                <div class="cu-label">CU: ${cuName} <span class="cu-protocol-tag protocol-tag"></span></div>
-                <div class="status">
-                    <span class="status-indicator ${cuUrl === "--" ? "unavailable" : "loading"}"></span>
-                    <span>${cuUrl === "--" ? "Not Available" : "Checking CU..."}</span>
-                </div>
-                <div class="response-time">${cuUrl === "--" ? "-" : "-"}</div>
-            </div>
-            <div class="node-actions">
-                <a href="${nodeUrl}" target="_blank" title="Visit Node">
-                    <i class="fas fa-external-link-alt"></i>
-                </a>
-                <a href="${nodeUrl}~meta@1.0/info" target="_blank" title="View Metadata">
-                    <i class="fas fa-info-circle"></i>
-                </a>
-                ${cuUrl !== "--" ? `
-                <a href="${cuUrl}" target="_blank" title="Visit CU Node">
-                    <i class="fas fa-server"></i>
-                </a>` : ""}
-            </div>
-        `;
-
-        // Update the protocol tags
-        const hbProtoTag = nodeCard.querySelector('.hb-protocol-tag');
-        hbProtoTag.textContent = useHttpsForHB ? 'HTTPS' : 'HTTP';
-        hbProtoTag.classList.add(useHttpsForHB ? 'https' : 'http');
-
-        if (cuUrl !== "--") {
-            const cuProtoTag = nodeCard.querySelector('.cu-protocol-tag');
-            cuProtoTag.textContent = useHttpsForCU ? 'HTTPS' : 'HTTP';
-            cuProtoTag.classList.add(useHttpsForCU ? 'https' : 'http');
-        }
+        const nodeCard = createHyperBeamNodeCard(nodeId, {
+            url: nodeUrl,
+            cu: cuUrl === "--" ? null : cuUrl,
+            protocol: useHttpsForHB ? 'https' : 'http',
+            cuProtocol: useHttpsForCU ? 'https' : 'http'
+        });
 
         customStatusContainer.insertBefore(nodeCard, customStatusContainer.firstChild);
         
@@ -224,16 +221,21 @@ function addCustomNode(additionalNodeInput, customStatusContainer) {
     }
 }
 
+// Drops a protocol typed into the inputs, as the toggles choose it
+function stripProtocol(input) {
+    return input.replace(/^https?:\/\//i, '');
+}
+
 function checkCustomNodeStatus(nodeUrl, isHttps, nodeCard, callback) {
     // For HTTP nodes, use the proxy
     let urlToCheck = nodeUrl;
     
     if (!isHttps) {
         // HTTP node needs proxy
-        urlToCheck = `https://node-checker.ravensnestx16r.workers.dev/?url=${nodeUrl}`;
+        urlToCheck = getProxiedUrl(nodeUrl);
     }
     
-    checkHyperBeamNodeStatus(urlToCheck, nodeCard, (isOnline) => {
+    checkHyperBeamNodeStatus(urlToCheck, nodeCard, { priority: CHECK_PRIORITY.HIGH }, (isOnline) => {
         if (callback) callback(isOnline);
     });
 }
@@ -244,10 +246,10 @@ function checkCustomCuNodeStatus(cuUrl, isHttps, nodeCard, callback) {
     
     if (!isHttps) {
         // HTTP node needs proxy
-        urlToCheck = `https://node-checker.ravensnestx16r.workers.dev/?url=${cuUrl}`;
+        urlToCheck = getProxiedUrl(cuUrl);
     }
     
-    checkCuNodeStatus(urlToCheck, nodeCard, (isOnline) => {
+    checkCuNodeStatus(urlToCheck, nodeCard, { priority: CHECK_PRIORITY.HIGH }, (isOnline) => {
         if (callback) callback(isOnline);
     });
 }
@@ -258,34 +260,16 @@ function removeCustomNode(additionalNodeInput) {
     
     // Get current protocol selection from toggle
     const useHttps = document.getElementById('hbHttpsToggle').classList.contains('selected');
-    const protocol = useHttps ? 'https://' : 'http://';
     
-    // Clean input and format URL consistently
-    const cleanNodeInput = nodeInput.replace(/^https?:\/\//, '');
-    let nodeUrl = protocol + cleanNodeInput;
-    if (!nodeUrl.endsWith('/')) {
-        nodeUrl = nodeUrl + '/';
-    }
+    // Format the URL the same way as in addCustomNode, trying the other protocol if not found
+    const cleanNodeInput = stripProtocol(nodeInput);
+    const nodeUrl = [useHttps ? 'https' : 'http', useHttps ? 'http' : 'https']
+        .map(protocol => normalizeCustomNodeUrl('hyperbeam', cleanNodeInput, protocol).url)
+        .find(url => url && customNodes.includes(url));
     
-    // Find the node by URL
-    const nodeIndex = customNodes.indexOf(nodeUrl);
-    
-    // If node not found with selected protocol, try the other protocol
-    if (nodeIndex === -1) {
-        const altProtocol = useHttps ? 'http://' : 'https://';
-        const altNodeUrl = altProtocol + cleanNodeInput;
-        if (!altNodeUrl.endsWith('/')) {
-            nodeUrl = altNodeUrl + '/';
-        } else {
-            nodeUrl = altNodeUrl;
-        }
-        
-        // Check with alternative protocol
-        const altNodeIndex = customNodes.indexOf(nodeUrl);
-        if (altNodeIndex === -1) {
-            alert(`Node "${nodeInput}" was not found in your custom nodes list.`);
-            return;
-        }
+    if (!nodeUrl) {
+        alert(`Node "${nodeInput}" was not found in your custom nodes list.`);
+        return;
     }
     
     // Remove from array and storage
@@ -305,6 +289,11 @@ function removeCustomNode(additionalNodeInput) {
         localStorage.setItem('hyperbeamTrackerNodeProtocols', JSON.stringify(customNodesProtocol));
     }
     
+    if (customNodeLabels[nodeUrl]) {
+        delete customNodeLabels[nodeUrl];
+        localStorage.setItem('hyperbeamTrackerNodeLabels', JSON.stringify(customNodeLabels));
+    }
+    
     // Get the node ID
     const nodeId = `custom-${nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
     const nodeElement = document.getElementById(nodeId);
@@ -341,6 +330,8 @@ function loadCustomNodes() {
     if (savedCuMap) {
         customNodesCuRelationship = JSON.parse(savedCuMap);
     }
+    
+    customNodeLabels = JSON.parse(localStorage.getItem('hyperbeamTrackerNodeLabels')) || {};
 
     // Set toggle buttons based on last node's protocol settings
     const lastNodeUrl = customNodes[customNodes.length - 1];
@@ -407,66 +398,16 @@ function checkAllCustomNodes(customStatusContainer) {
         const nodeProtocolInfo = savedProtocols[nodeUrl] || { protocol: 'https', cuProtocol: 'https' };
         console.log(`Node ${nodeUrl} protocol info:`, nodeProtocolInfo); // Debug logging
         
-        // Remove both protocol prefix and trailing slash from display names
-        const nodeName = nodeUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
-        const cuName = cuUrl === "--" ? "--" : cuUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
-        
         // Create node card
-        const nodeCard = document.createElement('div');
         const nodeId = `custom-${nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
+        const nodeCard = createHyperBeamNodeCard(nodeId, {
+            url: nodeUrl,
+            cu: cuUrl === "--" ? null : cuUrl,
+            protocol: nodeProtocolInfo.protocol,
+            cuProtocol: nodeProtocolInfo.cuProtocol
+        });
         
-        // Add protocol indicators
-        const hbProtocolIndicator = nodeProtocolInfo.protocol === 'https' 
-            ? '<span class="protocol-tag https">HTTPS</span>' 
-            : '<span class="protocol-tag http">HTTP</span>';
-        
-        const cuProtocolIndicator = cuUrl !== "--" 
-            ? (nodeProtocolInfo.cuProtocol === 'https' 
-               ? '<span class="protocol-tag https">HTTPS</span>' 
-               : '<span class="protocol-tag http">HTTP</span>') 
-            : '';
-        
-        nodeCard.id = nodeId;
-        nodeCard.className = 'node-card';
-        nodeCard.innerHTML = `
-            <div class="node-name">${nodeName} <span class="hb-protocol-tag protocol-tag"></span></div>
-            <div class="status">
-                <span class="status-indicator loading"></span>
-                <span>Checking...</span>
-            </div>
-            <div class="response-time">-</div>
-            <div class="cu-status-container">
-                <div class="cu-label">CU: ${cuName} <span class="cu-protocol-tag protocol-tag"></span></div>
-                <div class="status">
-                    <span class="status-indicator ${cuUrl === "--" ? "unavailable" : "loading"}"></span>
-                    <span>${cuUrl === "--" ? "Not Available" : "Checking CU..."}</span>
-                </div>
-                <div class="response-time">${cuUrl === "--" ? "-" : "-"}</div>
-            </div>
-            <div class="node-actions">
-                <a href="${nodeUrl}" target="_blank" title="Visit Node">
-                    <i class="fas fa-external-link-alt"></i>
-                </a>
-                <a href="${nodeUrl}~meta@1.0/info" target="_blank" title="View Metadata">
-                    <i class="fas fa-info-circle"></i>
-                </a>
-                ${cuUrl !== "--" ? `
-                <a href="${cuUrl}" target="_blank" title="Visit CU Node">
-                    <i class="fas fa-server"></i>
-                </a>` : ""}
-            </div>
-        `;
-
-        const hbProtoTag = nodeCard.querySelector('.hb-protocol-tag');
-        hbProtoTag.textContent = nodeProtocolInfo.protocol.toUpperCase();
-        hbProtoTag.classList.add(nodeProtocolInfo.protocol); // 'http' or 'https'
-
-        if (cuUrl !== "--") {
-            const cuProtoTag = nodeCard.querySelector('.cu-protocol-tag');
-            cuProtoTag.textContent = nodeProtocolInfo.cuProtocol.toUpperCase();
-            cuProtoTag.classList.add(nodeProtocolInfo.cuProtocol);
-        }
-        
+        renderNodeLabel(nodeCard, customNodeLabels[nodeUrl]);
         customStatusContainer.appendChild(nodeCard);
         
         // Check node status based on protocol
@@ -476,16 +417,16 @@ function checkAllCustomNodes(customStatusContainer) {
         // Use the appropriate proxy based on protocol
         let urlToCheck = nodeUrl;
         if (!isHttps) {
-            urlToCheck = `https://node-checker.ravensnestx16r.workers.dev/?url=${nodeUrl}`;
+            urlToCheck = getProxiedUrl(nodeUrl);
         }
         
-        checkHyperBeamNodeStatus(urlToCheck, nodeCard, (isOnline) => {
+        checkHyperBeamNodeStatus(urlToCheck, nodeCard, { priority: CHECK_PRIORITY.HIGH }, (isOnline) => {
             if (cuUrl !== "--") {
                 let cuUrlToCheck = cuUrl;
                 if (!isCuHttps) {
-                    cuUrlToCheck = `https://node-checker.ravensnestx16r.workers.dev/?url=${cuUrl}`;
+                    cuUrlToCheck = getProxiedUrl(cuUrl);
                 }
-                checkCuNodeStatus(cuUrlToCheck, nodeCard, (isCuOnline) => {
+                checkCuNodeStatus(cuUrlToCheck, nodeCard, { priority: CHECK_PRIORITY.HIGH }, (isCuOnline) => {
                     // Additional logic after both checks complete if needed
                 });
             }
@@ -520,49 +461,14 @@ function loadAndDisplayCustomNodes(customStatusContainer) {
             console.log(`Loading node ${nodeUrl} with protocol:`, nodeProtocolInfo);
         
             const nodeId = `custom-${nodeUrl.replace(/^https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
-            let nodeName = nodeUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
-            let cuName = cuUrl === "--" ? "--" : cuUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
-            
-            // Create protocol tag HTML using existing CSS classes
-            const hbProtocolHtml = `<span class="protocol-tag ${nodeProtocolInfo.protocol}">${nodeProtocolInfo.protocol.toUpperCase()}</span>`;
-            
-            let cuProtocolHtml = '';
-            if (cuUrl !== "--") {
-                cuProtocolHtml = `<span class="protocol-tag ${nodeProtocolInfo.cuProtocol}">${nodeProtocolInfo.cuProtocol.toUpperCase()}</span>`;
-            }
-        
-            const nodeCard = document.createElement('div');
-            nodeCard.id = nodeId;
-            nodeCard.className = 'node-card';
-            nodeCard.innerHTML = `
-                <div class="node-name">${nodeName} ${hbProtocolHtml}</div>
-                <div class="status">
-                    <span class="status-indicator loading"></span>
-                    <span>Checking...</span>
-                </div>
-                <div class="response-time">-</div>
-                <div class="cu-status-container">
-                    <div class="cu-label">CU: ${cuName} ${cuProtocolHtml}</div>
-                    <div class="status">
-                        <span class="status-indicator ${cuUrl === "--" ? "unavailable" : "loading"}"></span>
-                        <span>${cuUrl === "--" ? "Not Available" : "Checking CU..."}</span>
-                    </div>
-                    <div class="response-time">${cuUrl === "--" ? "-" : "-"}</div>
-                </div>
-                <div class="node-actions">
-                    <a href="${nodeUrl}" target="_blank" title="Visit Node">
-                        <i class="fas fa-external-link-alt"></i>
-                    </a>
-                    <a href="${nodeUrl}~meta@1.0/info" target="_blank" title="View Metadata">
-                        <i class="fas fa-info-circle"></i>
-                    </a>
-                    ${cuUrl !== "--" ? `
-                    <a href="${cuUrl}" target="_blank" title="Visit CU Node">
-                        <i class="fas fa-server"></i>
-                    </a>` : ''}
-                </div>
-            `;
+            const nodeCard = createHyperBeamNodeCard(nodeId, {
+                url: nodeUrl,
+                cu: cuUrl === "--" ? null : cuUrl,
+                protocol: nodeProtocolInfo.protocol,
+                cuProtocol: nodeProtocolInfo.cuProtocol
+            });
         
+            renderNodeLabel(nodeCard, customNodeLabels[nodeUrl]);
             customStatusContainer.appendChild(nodeCard);
             
             // Check with proper protocol handling
@@ -571,18 +477,18 @@ function loadAndDisplayCustomNodes(customStatusContainer) {
             
             let urlToCheck = nodeUrl;
             if (!isHttps) {
-                urlToCheck = `https://node-checker.ravensnestx16r.workers.dev/?url=${nodeUrl}`;
+                urlToCheck = getProxiedUrl(nodeUrl);
                 console.log(`Using proxy for HTTP node: ${urlToCheck}`);
             }
             
-            checkHyperBeamNodeStatus(urlToCheck, nodeCard, () => {
+            checkHyperBeamNodeStatus(urlToCheck, nodeCard, { priority: CHECK_PRIORITY.HIGH }, () => {
                 if (cuUrl !== "--") {
                     let cuUrlToCheck = cuUrl;
                     if (!isCuHttps) {
-                        cuUrlToCheck = `https://node-checker.ravensnestx16r.workers.dev/?url=${cuUrl}`;
+                        cuUrlToCheck = getProxiedUrl(cuUrl);
                         console.log(`Using proxy for HTTP CU node: ${cuUrlToCheck}`);
                     }
-                    checkCuNodeStatus(cuUrlToCheck, nodeCard);
+                    checkCuNodeStatus(cuUrlToCheck, nodeCard, { priority: CHECK_PRIORITY.HIGH });
                 }
             });
         });
@@ -607,5 +513,7 @@ export {
     checkAllCustomNodes,
     addProtocolToggles,
     customNodes,
+    getCustomNodeEntries,
+    setCustomNodeEntries,
     loadAndDisplayCustomNodes
 };
\ No newline at end of file
@@ -0,0 +1,253 @@
+// health.js - HyperBEAM health probe based on the node's ~meta@1.0/info metadata
+import { getProxiedUrl } from '../node-proxy.js';
+
+// Node metadata endpoint, relative to the node URL
+const META_INFO_PATH = '~meta@1.0/info';
+
+// Metadata keys to look for, in order of preference (compared without case, '_' or '-')
+const METADATA_KEYS = {
+    version: ['version', 'hb-version', 'build-version', 'node-version'],
+    address: ['address', 'operator', 'node-address', 'wallet'],
+    devices: ['preloaded-devices', 'devices'],
+    processes: ['preloaded-processes', 'preload-processes', 'processes']
+};
+
+// Keys every HyperBEAM message carries; a body with one of them comes from a HyperBEAM node
+const HYPERBEAM_MARKER_KEYS = ['ao-types', 'commitments', 'hashpath'];
+
+/**
+ * Builds the metadata URL of a node
+ * @param {string} nodeUrl - The node URL
+ * @returns {string} The ~meta@1.0/info URL
+ */
+function getMetaInfoUrl(nodeUrl) {
+    return `${nodeUrl.replace(/\/?$/, '/')}${META_INFO_PATH}`;
+}
+
+/**
+ * Normalizes a metadata key for comparison
+ * @param {string} key - The key
+ * @returns {string} Lower case key with '-' separators
+ */
+function normalizeKey(key) {
+    return key.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * Parses a non-JSON response body into key/value pairs ("key: value" lines)
+ * @param {string} text - The response body
+ * @returns {Object} The parsed fields
+ */
+function parseTextFields(text) {
+    const fields = {};
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^([A-Za-z0-9_-]+):\s*(.+)$/);
+        if (match && !(match[1] in fields)) {
+            fields[match[1]] = match[2].trim();
+        }
+    });
+    return fields;
+}
+
+/**
+ * Turns a device or process listing into a list of names
+ * @param {*} value - Array, map or comma separated string
+ * @returns {Array<string>} The names
+ */
+function toNameList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) {
+        return value.map(item => typeof item === 'object' && item !== null
+            ? item.name || item.id || item.device || JSON.stringify(item)
+            : String(item));
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value);
+    }
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Extracts the known metadata fields of a node
+ * @param {Object} data - The parsed ~meta@1.0/info response
+ * @returns {Object|null} { version, address, devices, processes, keys }, or null if nothing is recognized
+ */
+function parseNodeMetadata(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const fields = new Map(Object.entries(data).map(([key, value]) => [normalizeKey(key), value]));
+    const find = candidates => candidates.map(key => fields.get(key)).find(value => value !== undefined);
+
+    const metadata = {
+        version: find(METADATA_KEYS.version) ?? null,
+        address: find(METADATA_KEYS.address) ?? null,
+        devices: toNameList(find(METADATA_KEYS.devices)),
+        processes: toNameList(find(METADATA_KEYS.processes)),
+        keys: fields.size
+    };
+
+    const recognized = metadata.version !== null || metadata.address !== null
+        || metadata.devices.length > 0 || metadata.processes.length > 0;
+
+    return recognized ? metadata : null;
+}
+
+/**
+ * Checks whether a parsed response body is a HyperBEAM message
+ * @param {Object} data - The parsed response body
+ * @returns {boolean} True if it carries one of HYPERBEAM_MARKER_KEYS
+ */
+function isHyperBeamMessage(data) {
+    if (!data || typeof data !== 'object') return false;
+    return Object.keys(data).some(key => HYPERBEAM_MARKER_KEYS.includes(normalizeKey(key)));
+}
+
+/**
+ * Reads a node's metadata directly
+ * @param {string} nodeUrl - The node URL
+ * @param {AbortSignal} signal - Abort signal of the probe
+ * @returns {Promise<Object>} { ok, metadata, via: 'direct' }
+ * @throws {TypeError} If the request is blocked (CORS) or the node cannot be reached
+ */
+async function probeDirect(nodeUrl, signal) {
+    const res = await fetch(getMetaInfoUrl(nodeUrl), {
+        method: 'GET',
+        signal,
+        mode: 'cors',
+        credentials: 'omit',
+        headers: { Accept: 'application/json' }
+    });
+
+    if (!res.ok) {
+        return { ok: false, metadata: null, via: 'direct', status: res.status };
+    }
+
+    const text = await res.text();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        data = parseTextFields(text);
+    }
+
+    // Healthy means a 2xx answer with recognized metadata or a HyperBEAM message; an empty body,
+    // an error page or any other JSON from a gateway in front of the node is not
+    const metadata = parseNodeMetadata(data);
+    return { ok: metadata !== null || isHyperBeamMessage(data), metadata, via: 'direct', status: res.status };
+}
+
+/**
+ * Checks a node's metadata endpoint through the node-checker proxy.
+ * The proxy reports reachability and status only, so no metadata is available.
+ * @param {string} nodeUrl - The node URL
+ * @param {AbortSignal} signal - Abort signal of the probe
+ * @returns {Promise<Object>} { ok, metadata: null, via: 'proxy' }
+ */
+async function probeViaProxy(nodeUrl, signal) {
+    const res = await fetch(getProxiedUrl(getMetaInfoUrl(nodeUrl)), {
+        method: 'GET',
+        signal,
+        mode: 'cors',
+        credentials: 'omit'
+    });
+    const data = await res.json();
+    const ok = data.online === true && data.status >= 200 && data.status < 300;
+    return { ok, metadata: null, via: 'proxy', status: data.status };
+}
+
+/**
+ * Creates a health probe for one check cycle of a HyperBEAM node.
+ * Each probe reads ~meta@1.0/info; once the browser cannot read the response (CORS),
+ * the remaining probes of the cycle go through the proxy. The probe that ran into CORS is
+ * retried through the proxy and timed from the start of the proxy request.
+ * @param {string} nodeUrl - The node URL
+ * @param {string} via - 'direct', or 'proxy' for nodes the browser cannot reach (plain HTTP)
+ * @returns {Object} { probe(signal, restartTiming) => Promise<boolean>, state: { via, metadata } }
+ */
+function createHealthProbe(nodeUrl, via = 'direct') {
+    const state = { via, metadata: null };
+
+    const probe = async (signal, restartTiming) => {
+        let result = null;
+
+        if (state.via === 'direct') {
+            try {
+                result = await probeDirect(nodeUrl, signal);
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`Cannot read ${getMetaInfoUrl(nodeUrl)} directly, using the proxy:`, error.message);
+                state.via = 'proxy';
+                if (restartTiming) restartTiming();
+            }
+        }
+
+        if (!result) {
+            result = await probeViaProxy(nodeUrl, signal);
+        }
+
+        if (result.metadata) {
+            state.metadata = result.metadata;
+        }
+        return result.ok;
+    };
+
+    return { probe, state };
+}
+
+/**
+ * Shows a node's metadata in an expandable section of its card
+ * @param {HTMLElement} nodeCard - The node card
+ * @param {Object|null} metadata - Result of parseNodeMetadata, or null if it could not be read
+ * @param {string} via - 'direct' or 'proxy'
+ */
+function renderNodeMetadata(nodeCard, metadata, via) {
+    nodeCard.querySelector('.node-metadata')?.remove();
+
+    const details = document.createElement('details');
+    details.className = 'node-metadata';
+
+    const summary = document.createElement('summary');
+    summary.textContent = 'Node info';
+    details.appendChild(summary);
+
+    if (!metadata) {
+        const note = document.createElement('div');
+        note.className = 'node-metadata-note';
+        note.textContent = via === 'proxy'
+            ? 'Checked through the proxy; metadata is not readable from the browser'
+            : 'No metadata returned';
+        details.appendChild(note);
+    } else {
+        const list = document.createElement('dl');
+        [
+            ['Version', metadata.version],
+            ['Address', metadata.address],
+            ['Devices', metadata.devices.length > 0 ? metadata.devices.join(', ') : null],
+            ['Preloaded processes', metadata.processes.length > 0 ? metadata.processes.join(', ') : null]
+        ].forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value === null || value === undefined ? '—' : String(value);
+            list.appendChild(term);
+            list.appendChild(description);
+        });
+        details.appendChild(list);
+    }
+
+    // Keep the section above the action links
+    const actions = nodeCard.querySelector('.node-actions');
+    if (actions) {
+        nodeCard.insertBefore(details, actions);
+    } else {
+        nodeCard.appendChild(details);
+    }
+}
+
+export {
+    getMetaInfoUrl,
+    createHealthProbe,
+    parseNodeMetadata,
+    isHyperBeamMessage,
+    renderNodeMetadata
+};
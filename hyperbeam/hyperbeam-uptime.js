@@ -4,6 +4,8 @@ import {
     removeCustomNode, 
     loadCustomNodes, 
     customNodes,
+    getCustomNodeEntries,
+    setCustomNodeEntries,
     loadAndDisplayCustomNodes
 } from './customnodes/custom.js';
 
@@ -14,9 +16,13 @@ import {
     getMainnetNodesOnline,
     getCuNodesTotal,
     getCuNodesOnline,
+    getMainnetLatencyStats,
     checkHyperBeamNodeStatus,
     checkCuNodeStatus
 } from './mainnet-nodes.js';
+import { formatLatencyStats } from './latency.js';
+import { setupProxyDisplay } from '../node-proxy.js';
+import { setupCustomNodeTransfer } from '../custom-node-transfer.js';
 
 // Added flag to track initialization state
 let appInitialized = false;
@@ -48,6 +54,17 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    // Import/export of the custom node list
+    setupCustomNodeTransfer('customNodeTransfer', {
+        network: 'hyperbeam',
+        getNodes: getCustomNodeEntries,
+        setNodes: setCustomNodeEntries,
+        onImport: () => {
+            customStatusContainer.innerHTML = '';
+            loadAndDisplayCustomNodes(customStatusContainer);
+        }
+    });
+    
     // Handle navigation highlighting
     handleNavigationHighlighting();
     
@@ -117,6 +134,9 @@ function initializeApp() {
     // Try to get the summary element again in case it wasn't available earlier
     summaryTextEl = document.getElementById('summaryText');
     
+    // Show which node-checker proxy is used and let the user change it
+    setupProxyDisplay('proxyInfo');
+    
     // Load custom nodes from localStorage if available
     loadCustomNodes();
     
@@ -234,12 +254,22 @@ function updateSummary() {
         ? ((validatedCUOnline / adjustedCUTotal) * 100).toFixed(1)
         : 0;
 
+    // Latency over every probe that got an answer this cycle
+    const latencyStats = getMainnetLatencyStats();
+    const hbLatency = latencyStats.hb
+        ? `<div class="latency-summary">Latency: ${formatLatencyStats(latencyStats.hb)} (${latencyStats.hb.nodes} nodes)</div>`
+        : '';
+    const cuLatency = latencyStats.cu
+        ? `<div class="latency-summary">Latency: ${formatLatencyStats(latencyStats.cu)} (${latencyStats.cu.nodes} nodes)</div>`
+        : '';
+
     summaryTextEl.innerHTML = `
         <div class="stats-section">
             <h3>HyperBEAM Nodes</h3>
             <strong>${validatedHBOnline}</strong> of <strong>${adjustedHBTotal}</strong> nodes available (${hbPercentage}%)
             <br>
             <progress value="${validatedHBOnline}" max="${adjustedHBTotal}" style="width: 70%; margin-top: 10px;"></progress>
+            ${hbLatency}
         </div>
         
         <div class="stats-section" style="margin-top: 15px;">
@@ -247,6 +277,7 @@ function updateSummary() {
             <strong>${validatedCUOnline}</strong> of <strong>${adjustedCUTotal}</strong> nodes available (${cuPercentage}%)
             <br>
             <progress value="${validatedCUOnline}" max="${adjustedCUTotal}" style="width: 70%; margin-top: 10px;"></progress>
+            ${cuLatency}
         </div>
     `;
 }
@@ -0,0 +1,145 @@
+// latency.js - Multi-probe latency measurement for HyperBEAM and CU checks
+
+// Share of failed probes above which a node that still answers counts as busy
+const BUSY_FAILURE_RATIO = 0.4;
+
+/**
+ * Runs several probes against a node, one after the other
+ * @param {Function} probe - (signal, restartTiming) => Promise<boolean>; resolves true if the node answered.
+ *   A probe that had to give up on a first request calls restartTiming() before its second one,
+ *   so the sample only measures the request that answered.
+ * @param {Object} options - { count, timeout } probes per check and timeout per probe (ms)
+ * @param {Function} onProbe - Optional (index, count) callback before each probe
+ * @returns {Promise<Array<Object>>} Samples: { ok, time, error } with time in ms (null for failed probes)
+ */
+async function runProbes(probe, options, onProbe) {
+    const samples = [];
+
+    for (let i = 0; i < options.count; i++) {
+        if (onProbe) onProbe(i + 1, options.count);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout);
+        let startTime = performance.now();
+        const restartTiming = () => {
+            startTime = performance.now();
+        };
+
+        try {
+            const ok = await probe(controller.signal, restartTiming);
+            const time = Math.round(performance.now() - startTime);
+            samples.push({ ok, time: ok ? time : null });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('Probe failed:', error.message);
+            }
+            samples.push({ ok: false, time: null, error: error.name === 'AbortError' ? 'Timeout' : error.message });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    return samples;
+}
+
+/**
+ * Gets a percentile of sorted values (nearest rank)
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number|null} The value, or null without values
+ */
+function getPercentile(sorted, percentile) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Calculates jitter as the mean absolute difference between consecutive samples
+ * @param {Array<number>} times - Response times in probe order
+ * @returns {number|null} Jitter in ms, or null with fewer than two samples
+ */
+function getJitter(times) {
+    if (times.length < 2) return null;
+
+    let total = 0;
+    for (let i = 1; i < times.length; i++) {
+        total += Math.abs(times[i] - times[i - 1]);
+    }
+    return Math.round(total / (times.length - 1));
+}
+
+/**
+ * Summarizes probe samples and derives the node status from them.
+ * A node is unavailable when no probe succeeded, busy when its median latency is above
+ * the busy threshold or more than BUSY_FAILURE_RATIO of its probes failed, and online otherwise.
+ * An occasional slow or failed probe only moves p95/max and the success count, not the status.
+ * @param {Array<Object>} samples - Result of runProbes
+ * @param {number} busyThreshold - Median latency above which a node is busy (ms)
+ * @returns {Object} { status, p50, p95, max, jitter, times, successes, count }
+ */
+function summarizeProbes(samples, busyThreshold) {
+    const times = samples.filter(sample => sample.ok).map(sample => sample.time);
+    const sorted = [...times].sort((a, b) => a - b);
+
+    const stats = {
+        p50: getPercentile(sorted, 50),
+        p95: getPercentile(sorted, 95),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+        jitter: getJitter(times),
+        times,
+        successes: times.length,
+        count: samples.length
+    };
+
+    if (stats.successes === 0) {
+        stats.status = 'unavailable';
+    } else if (stats.p50 > busyThreshold || (stats.count - stats.successes) / stats.count > BUSY_FAILURE_RATIO) {
+        stats.status = 'busy';
+    } else {
+        stats.status = 'online';
+    }
+
+    return stats;
+}
+
+/**
+ * Combines the statistics of several nodes for the summary
+ * @param {Array<Object>} statsList - Results of summarizeProbes
+ * @returns {Object|null} { p50, p95, max, jitter, nodes } over every successful probe, or null
+ */
+function combineLatencyStats(statsList) {
+    const answered = statsList.filter(stats => stats && stats.successes > 0);
+    if (answered.length === 0) return null;
+
+    const sorted = answered.flatMap(stats => stats.times).sort((a, b) => a - b);
+    const jitters = answered.map(stats => stats.jitter).filter(jitter => jitter !== null);
+
+    return {
+        p50: getPercentile(sorted, 50),
+        p95: getPercentile(sorted, 95),
+        max: sorted[sorted.length - 1],
+        jitter: jitters.length > 0 ? Math.round(jitters.reduce((sum, jitter) => sum + jitter, 0) / jitters.length) : null,
+        nodes: answered.length
+    };
+}
+
+/**
+ * Formats latency statistics for a card or the summary
+ * @param {Object} stats - Result of summarizeProbes or combineLatencyStats
+ * @returns {string} E.g. "p50 120ms · p95 340ms · max 410ms · jitter 35ms"
+ */
+function formatLatencyStats(stats) {
+    const parts = [`p50 ${stats.p50}ms`, `p95 ${stats.p95}ms`, `max ${stats.max}ms`];
+    if (stats.jitter !== null) {
+        parts.push(`jitter ${stats.jitter}ms`);
+    }
+    return parts.join(' · ');
+}
+
+export {
+    runProbes,
+    summarizeProbes,
+    combineLatencyStats,
+    formatLatencyStats
+};
@@ -1,11 +1,20 @@
 // mainnet-nodes.js - HyperBEAM mainnet node checking functionality
 import { mainnetNodes } from './mainnet-node-list.js';
 import { updateSummary } from './hyperbeam-uptime.js';
+import { recordAndRenderNodeCheck } from '../uptime-history.js';
+import { combineLatencyStats } from './latency.js';
+import { renderNodeMetadata } from './health.js';
+import { getProxiedUrl, unwrapProxiedUrl } from '../node-proxy.js';
+import { checkNode, setCheckConcurrency } from '../node-check.js';
+import { createHyperBeamNodeCard, renderCheckStarted, renderCheckProgress, renderCheckResult } from '../node-card.js';
 
 // Configuration
 const config = {
-    checkTimeout: 10000, // Timeout for each check (ms)
-    busyTimeout: 2000,   // Time to mark as busy (ms)
+    checkTimeout: 10000, // Timeout for each probe (ms)
+    busyTimeout: 2000,   // Median latency above which a node is busy (ms)
+    probeCount: 5,       // Probes per node and check cycle
+    retries: 0,          // No retries, the probes already ride out single failures
+    checkConcurrency: 6, // Nodes checked at the same time, for the whole page
     autoRefreshInterval: 1200000 // Auto-refresh every 20 minutes
 };
 
@@ -15,9 +24,15 @@ let mainnetNodesTotal = 0;
 let mainnetNodesOnline = 0;
 let cuNodesTotal = 0;
 let cuNodesOnline = 0;
+let hbLatencyStats = []; // Probe statistics of the HB nodes checked this cycle
+let cuLatencyStats = []; // Probe statistics of the CU nodes checked this cycle
+let checkCycle; // Aborts the queued checks of the previous cycle
 
 // Initialize mainnet nodes dashboard
 function initializeMainnetNodes() {
+    // Size the check pool shared by the mainnet and custom nodes
+    setCheckConcurrency(config.checkConcurrency);
+    
     // Initial check
     checkAllMainnetNodes();
     
@@ -72,6 +87,13 @@ function checkAllMainnetNodes() {
     // Update the global cuNodesTotal variable, not just create a local one
     cuNodesTotal = mainnetNodes.filter(node => node.cu && node.cu !== "--").length;
     cuNodesOnline = 0; // Will be incremented as nodes are checked
+    hbLatencyStats = [];
+    cuLatencyStats = [];
+    
+    // Drop the checks still queued from the previous cycle
+    if (checkCycle) checkCycle.abort();
+    checkCycle = new AbortController();
+    const signal = checkCycle.signal;
     
     let checkedHBcount = 0;
     let checkedCUcount = 0;
@@ -81,12 +103,12 @@ function checkAllMainnetNodes() {
     // Check all mainnet nodes and their corresponding CUs
     mainnetNodes.forEach((node, index) => {
         const hbNodeUrl = node.proxy
-            ? `https://node-checker-test.ravensnestx16r.workers.dev/?url=${node.hb}`
+            ? getProxiedUrl(node.hb)
             : node.hb;
     
         const cuNodeUrl = node.cu && node.cu !== "--"
             ? (node.proxy
-                ? `https://node-checker-test.ravensnestx16r.workers.dev/?url=${node.cu}`
+                ? getProxiedUrl(node.cu)
                 : node.cu)
             : "--";
     
@@ -98,14 +120,17 @@ function checkAllMainnetNodes() {
             node.hb,
             node.cu,
             mainnetStatusContainer,
-            (hbOnline, cuOnline) => {
+            signal,
+            (hbOnline, cuOnline, hbStats, cuStats) => {
           
             checkedHBcount++;
             if (hbOnline) mainnetNodesOnline++;
+            if (hbStats) hbLatencyStats.push(hbStats);
     
             if (node.cu !== "--") {
                 checkedCUcount++;
                 if (cuOnline) cuNodesOnline++;
+                if (cuStats) cuLatencyStats.push(cuStats);
             }
     
             updateSummary();
@@ -113,247 +138,89 @@ function checkAllMainnetNodes() {
     });
 }
 
-function checkMainnetNodePair(hbNodeUrl, cuNodeUrl, hbDisplayName, cuDisplayName, container, callback) {
+function checkMainnetNodePair(hbNodeUrl, cuNodeUrl, hbDisplayName, cuDisplayName, container, signal, callback) {
     // Create a card for this node pair
     const nodeId = `mainnet-${hbNodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
-    // Remove both protocol prefix and trailing slash from display names
-    const hbNodeName = hbDisplayName.replace(/^https?:\/\//, '').replace(/\/$/, '');
-    
-    // Get CU display name - also remove trailing slash
-    const cuNodeName = cuDisplayName && cuDisplayName !== "--"
-        ? cuDisplayName.replace(/^https?:\/\//, '').replace(/\/$/, '')
-        : "--";
-  
-    
-    // Create the node card
-    const nodeCard = document.createElement('div');
-    nodeCard.id = nodeId;
-    nodeCard.className = 'node-card';
-    
-    // Add to container
+    const nodeCard = createHyperBeamNodeCard(nodeId, {
+        url: hbDisplayName,
+        cu: cuNodeUrl === "--" ? null : cuDisplayName
+    });
     container.appendChild(nodeCard);
     
-    // Update card UI to loading state
-    nodeCard.innerHTML = `
-        <div class="node-name">${hbNodeName}</div>
-        <div class="status">
-            <span class="status-indicator loading"></span>
-            <span>Checking HyperBEAM...</span>
-        </div>
-        <div class="response-time">-</div>
-        <div class="cu-status-container">
-            <div class="cu-label">CU: ${cuNodeName}</div>
-            <div class="status">
-                <span class="status-indicator ${cuNodeUrl === "--" ? "unavailable" : "loading"}"></span>
-                <span>${cuNodeUrl === "--" ? "Not Available" : "Checking CU..."}</span>
-            </div>
-            <div class="response-time">${cuNodeUrl === "--" ? "-" : "-"}</div>
-        </div>
-        <div class="node-actions">
-            <a href="${unwrapProxiedUrl(hbDisplayName)}" target="_blank" title="Visit HyperBEAM Node">
-
-                <i class="fas fa-external-link-alt"></i>
-            </a>
-            <a href="${unwrapProxiedUrl(hbDisplayName)}~meta@1.0/info" target="_blank" title="View HyperBEAM Metadata">
-                <i class="fas fa-info-circle"></i>
-            </a>
-            ${cuNodeUrl !== "--" ? `
-            <a href="${unwrapProxiedUrl(cuDisplayName)}" target="_blank" title="Visit CU Node">
-                <i class="fas fa-server"></i>
-            </a>` : ''}
-        </div>
-    `;
-    
     // Check HyperBEAM node status
     let hbOnline = false;
     let cuOnline = false;
     
     // Check HB node first
-    checkHyperBeamNodeStatus(hbNodeUrl, nodeCard, (isHbOnline) => {
+    checkHyperBeamNodeStatus(hbNodeUrl, nodeCard, { signal }, (isHbOnline, responseTime, status, hbStats) => {
         hbOnline = isHbOnline;
         
         // After HB check is done, check CU if it exists
         if (cuNodeUrl !== "--") {
-            checkCuNodeStatus(cuNodeUrl, nodeCard, (isCuOnline) => {
+            checkCuNodeStatus(cuNodeUrl, nodeCard, { signal }, (isCuOnline, cuStats) => {
                 cuOnline = isCuOnline;
-                if (callback) callback(hbOnline, cuOnline);
+                if (callback) callback(hbOnline, cuOnline, hbStats, cuStats);
             });
         } else {
             // No CU to check
-            if (callback) callback(hbOnline, false);
+            if (callback) callback(hbOnline, false, hbStats, null);
         }
     });
 }
 
-function unwrapProxiedUrl(url) {
-    if (url.includes("node-checker-test.ravensnestx16r.workers.dev/?url=")) {
-        return decodeURIComponent(url.split("url=")[1]);
-    }
-    return url;
-}
-
-
-
-// Function to check HyperBEAM nodes
-function checkHyperBeamNodeStatus(nodeUrl, nodeCard, callback) {
-    const isProxied = nodeUrl.includes("node-checker");
-    const busyTimeout = config.busyTimeout;
-    const offlineTimeout = config.checkTimeout;
-    const startTime = performance.now();
-    const controller = new AbortController();
-
-    const statusIndicator = nodeCard.querySelector('.status-indicator');
-    const statusText = nodeCard.querySelector('.status span:last-child');
-    const responseTimeEl = nodeCard.querySelector('.response-time');
-
-    const busyTimeoutId = setTimeout(() => {
-        statusIndicator.className = 'status-indicator busy';
-        statusText.textContent = 'Busy';
-        responseTimeEl.textContent = 'Slow response...';
-    }, busyTimeout);
 
-    const offlineTimeoutId = setTimeout(() => {
-        controller.abort();
-        statusIndicator.className = 'status-indicator unavailable';
-        statusText.textContent = 'Unavailable';
-        responseTimeEl.textContent = 'Timeout';
-        if (callback) callback(false);
-    }, offlineTimeout);
 
-    const fetchOptions = {
-        method: isProxied ? 'GET' : 'HEAD',
-        signal: controller.signal,
-        mode: isProxied ? 'cors' : 'no-cors',
-        credentials: 'omit'
-    };
-
-    fetch(nodeUrl, fetchOptions)
-        .then(res => isProxied ? res.json() : res)
-        .then(data => {
-            clearTimeout(busyTimeoutId);
-            clearTimeout(offlineTimeoutId);
-            const endTime = performance.now();
-            const responseTime = (endTime - startTime).toFixed(0);
-
-            const isOnline = isProxied ? data.online === true : true;
-            const status = parseInt(responseTime) > busyTimeout ? 'busy' : 'online';
+// Function to check HyperBEAM nodes: several probes, status derived from their latency statistics.
+// Nodes are judged by their ~meta@1.0/info answer, read directly or through the proxy (2xx only).
+// options may set the queue priority and an abort signal; cancelled checks never call back.
+// Results are kept in the card's uptime history under the node URL.
+function checkHyperBeamNodeStatus(nodeUrl, nodeCard, options, callback) {
+    checkNode({ url: nodeUrl, kind: 'hyperbeam' }, getCheckOptions(nodeCard, 'Checking HyperBEAM...', options))
+        .then(result => {
+            if (result.cancelled) return;
 
-            if (isOnline) {
-                statusIndicator.className = `status-indicator ${status}`;
-                statusText.textContent = status === 'online' ? 'Online' : 'Busy';
-                responseTimeEl.textContent = `Response time: ${responseTime}ms`;
-                if (callback) callback(true);
-            } else {
-                statusIndicator.className = 'status-indicator unavailable';
-                statusText.textContent = 'Unavailable';
-                responseTimeEl.textContent = 'Offline';
-                if (callback) callback(false);
-            }
-        })
-        .catch(error => {
-            clearTimeout(busyTimeoutId);
-            clearTimeout(offlineTimeoutId);
-            console.error(`Error checking HB node ${nodeUrl}:`, error.message);
-            statusIndicator.className = 'status-indicator unavailable';
-            statusText.textContent = 'Unavailable';
-            responseTimeEl.textContent = 'Error';
-            if (callback) callback(false);
+            // The card's first status section is the HyperBEAM one
+            renderCheckResult(nodeCard, result);
+            renderNodeMetadata(nodeCard, result.metadata, result.via);
+            recordAndRenderNodeCheck(nodeCard, unwrapProxiedUrl(nodeUrl), result.status, result.responseTime);
+            if (callback) callback(result.online, result.responseTime, result.status, result.stats);
         });
 }
 
 
-function checkCuNodeStatus(nodeUrl, nodeCard, callback) {
-    if (nodeUrl.includes("node-checker")) {
-        checkCuViaWorker(nodeUrl, nodeCard, callback);
-    } else {
-        checkCuDirectHttps(nodeUrl, nodeCard, callback);
-    }
-}
-
-function checkCuViaWorker(nodeUrl, nodeCard, callback) {
-    const startTime = performance.now();
-    const controller = new AbortController();
-
-    fetch(nodeUrl, {
-        method: 'GET',
-        signal: controller.signal,
-        mode: 'cors',
-        credentials: 'omit'
-    })
-    .then(async res => {
-        const endTime = performance.now();
-        const responseTime = (endTime - startTime).toFixed(0);
-
-        let data;
-        try {
-            data = await res.json();
-        } catch {
-            console.warn(`⚠️ CU Proxy JSON invalid for ${nodeUrl}`);
-            return markCuOffline();
-        }
+// Function to check the CU paired with a HyperBEAM node. Its uptime history is kept apart from
+// the HB node's, under getCuHistoryKey, and shown in the card's CU section.
+function checkCuNodeStatus(nodeUrl, nodeCard, options, callback) {
+    const cuSection = nodeCard.querySelector('.cu-status-container');
 
-        const isOnline = data.online === true && data.status >= 200 && data.status < 500;
-        updateCuDisplay(isOnline, responseTime, nodeCard, callback);
-    })
-    .catch(err => {
-        console.error(`[CU Proxy ERROR] ${nodeUrl}`, err.message);
-        updateCuDisplay(false, 'Error', nodeCard, callback);
-    });
+    checkNode({ url: nodeUrl, kind: 'cu' }, getCheckOptions(cuSection, 'Checking CU...', options))
+        .then(result => {
+            if (result.cancelled) return;
 
-    function markCuOffline() {
-        updateCuDisplay(false, 'Offline', nodeCard, callback);
-    }
+            renderCheckResult(cuSection, result, 'CU Unavailable');
+            recordAndRenderNodeCheck(cuSection, getCuHistoryKey(nodeUrl), result.status, result.responseTime);
+            if (callback) callback(result.online, result.stats);
+        });
 }
 
 
-function checkCuDirectHttps(nodeUrl, nodeCard, callback) {
-    const startTime = performance.now();
-    const controller = new AbortController();
-
-    fetch(nodeUrl, {
-        method: 'HEAD',
-        signal: controller.signal,
-        mode: 'no-cors',
-        credentials: 'omit'
-    })
-    .then(() => {
-        const endTime = performance.now();
-        const responseTime = (endTime - startTime).toFixed(0);
-
-        updateCuDisplay(true, responseTime, nodeCard, callback);
-    })
-    .catch(err => {
-        const endTime = performance.now();
-        const responseTime = (endTime - startTime).toFixed(0);
-
-        // Treat opaque failures (CORS) as online
-        const isCorsRelated = [
-            'Failed to fetch',
-            'NotSameOrigin',
-            'CORS'
-        ].some(msg => err.message.includes(msg));
-
-        updateCuDisplay(isCorsRelated, responseTime, nodeCard, callback);
-    });
+// Uptime history key of a CU; prefixed so a CU never shares its history with a node at the same URL
+function getCuHistoryKey(cuUrl) {
+    return `cu:${unwrapProxiedUrl(cuUrl)}`;
 }
 
 
-function updateCuDisplay(isOnline, responseTime, nodeCard, callback) {
-    const statusIndicator = nodeCard.querySelector('.cu-status-container .status-indicator');
-    const statusText = nodeCard.querySelector('.cu-status-container .status span:last-child');
-    const responseTimeEl = nodeCard.querySelector('.cu-status-container .response-time');
-
-    if (isOnline) {
-        statusIndicator.className = 'status-indicator online';
-        statusText.textContent = 'Online';
-        responseTimeEl.textContent = `Response time: ${responseTime}ms`;
-        if (callback) callback(true);
-    } else {
-        statusIndicator.className = 'status-indicator unavailable';
-        statusText.textContent = 'CU Unavailable';
-        responseTimeEl.textContent = responseTime;
-        if (callback) callback(false);
-    }
+// Check options for the node-check engine, showing the check's progress in a status section
+function getCheckOptions(section, checkingText, options = {}) {
+    return {
+        timeout: config.checkTimeout,
+        busyThreshold: config.busyTimeout,
+        probeCount: config.probeCount,
+        retries: config.retries,
+        ...options,
+        onStart: () => renderCheckStarted(section, checkingText),
+        onProbe: (index, count) => renderCheckProgress(section, index, count)
+    };
 }
 
 
@@ -375,6 +242,14 @@ function getCuNodesOnline() {
     return cuNodesOnline;
 }
 
+// Latency statistics over every node that answered this cycle
+function getMainnetLatencyStats() {
+    return {
+        hb: combineLatencyStats(hbLatencyStats),
+        cu: combineLatencyStats(cuLatencyStats)
+    };
+}
+
 // Export functions
 export {
     initializeMainnetNodes,
@@ -383,6 +258,7 @@ export {
     getMainnetNodesOnline,
     getCuNodesTotal,
     getCuNodesOnline,
+    getMainnetLatencyStats,
     checkCuNodeStatus,
     checkHyperBeamNodeStatus,
     unwrapProxiedUrl
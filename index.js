@@ -1,5 +1,5 @@
-import { DATA_REFRESH_INTERVAL} from './config.js';
-import { PROCESSES } from './processes.js';
+import { DATA_REFRESH_INTERVAL, INTRADAY_BUCKET_MINUTES } from './config.js';
+import { PROCESSES, isQueryProcess, isWeeklyProcess, getDefaultPeriods } from './processes.js';
 import { 
     fetchNetworkInfo, 
     fetchBlockHistory, 
@@ -14,6 +14,9 @@ import {
     updateChartTimeRange,
     updateCombinedChart,
     fetchChartData,
+    intradayData,
+    setWeeklyRangeData,
+    hasWeeklyRangeData,
     charts
 } from './charts.js';
 import { 
@@ -22,8 +25,13 @@ import {
     toggleChartLoader, 
     updateNetworkInfoDisplay, 
     setupTimeRangeButtons,
+    setupCustomRangePickers,
+    renderVolumeChartCards,
     getChartTimeRange
 } from './ui.js';
+import { restoreUrlState } from './urlstate.js';
+import { evaluateAlerts } from './alerts.js';
+import { loadTokenRegistry, getStatsCharts, getVolumeCharts, getVolumeToken } from './tokens.js';
 import { 
     getDailyPeriods, 
     getWeeklyPeriods,
@@ -31,6 +39,9 @@ import {
     getLastSundayCheckpoint,
     findBlockNearDate,
     filterDataByTimeRange,
+    getCustomRangePeriods,
+    getIntradayPeriods,
+    isLongCustomRange,
     formatDate
 } from './utils.js';
 
@@ -41,7 +52,7 @@ import {
  * @returns {Promise<void>}
  */
 async function fetchAdditionalWeeklyData(processName, timeRange) {
-    if (!processName.includes('weekly')) return;
+    if (!isWeeklyProcess(processName)) return;
     
     try {
         // Fetch network info and block history if not already available
@@ -112,6 +123,10 @@ async function fetchAdditionalWeeklyData(processName, timeRange) {
                     const existingTime = new Date(mergedData[existingIndex].timestamp).getTime();
                     const newTime = new Date(newItem.timestamp).getTime();
                     
+                    if (isFailedOverSuccessful(mergedData[existingIndex], newItem)) {
+                        return;
+                    }
+                    
                     if (newTime >= existingTime || mergedData[existingIndex].count !== newItem.count) {
                         mergedData[existingIndex] = newItem;
                     }
@@ -219,11 +234,12 @@ export async function fetchAdditionalData(processName, timeRange) {
             return; // No additional data needed
         }
         
-        if (processName === 'wUSDCTransfer') {
-            // Similar handling for wUSDC/USDA
-            await fetchAndUpdateProcessData('wUSDCTransfer', extendedPeriods, currentHeight);
-            await fetchAndUpdateProcessData('USDATransfer', extendedPeriods, currentHeight);
-            updateChartTimeRange('wUSDCTransfer', timeRange);
+        const chart = PROCESSES[processName]?.chart;
+        if (chart?.type === 'combined') {
+            // Combined charts need both of their datasets extended
+            await fetchAndUpdateProcessData(processName, extendedPeriods, currentHeight);
+            await fetchAndUpdateProcessData(chart.secondary, extendedPeriods, currentHeight);
+            updateChartTimeRange(processName, timeRange);
             return;
         }
         
@@ -235,6 +251,144 @@ export async function fetchAdditionalData(processName, timeRange) {
     }
 }
 
+/**
+ * Fetches the data for a custom date range and shows it on a chart.
+ * The dates are resolved to block heights through the DailyBlocks history.
+ * Daily charts show ranges longer than CUSTOM_RANGE_WEEKLY_DAYS in weekly buckets,
+ * which are kept apart from their daily series.
+ * @param {string} processName - The chart's process name
+ * @param {Object} timeRange - Custom time range { from, to }
+ * @returns {Promise<void>}
+ * @throws {Error} If the block history does not cover the range
+ */
+export async function fetchCustomRangeData(processName, timeRange) {
+    // Stats and supply charts already hold their full history
+    if (getStatsCharts().includes(processName) || !isQueryProcess(processName)) {
+        updateChartTimeRange(processName, timeRange);
+        return;
+    }
+    
+    const networkInfo = window.currentNetworkInfo || await fetchNetworkInfo();
+    window.currentNetworkInfo = networkInfo;
+    
+    const blockData = window.currentBlockData || await fetchBlockHistory();
+    window.currentBlockData = blockData;
+    
+    const currentHeight = networkInfo.height;
+    const isWeekly = isWeeklyProcess(processName);
+    const weeklyBuckets = !isWeekly && isLongCustomRange(timeRange);
+    const periods = getCustomRangePeriods(currentHeight, blockData, timeRange, isWeekly || weeklyBuckets);
+    
+    if (periods.length === 0) {
+        throw new Error('The block history does not cover this date range');
+    }
+    
+    const chart = PROCESSES[processName]?.chart;
+    const processNames = chart?.type === 'combined' ? [processName, chart.secondary] : [processName];
+    
+    if (weeklyBuckets) {
+        for (const name of processNames) {
+            setWeeklyRangeData(name, timeRange, await fetchProcessData(name, periods, currentHeight));
+        }
+        updateChartTimeRange(processName, timeRange);
+        return;
+    }
+    
+    for (const name of processNames) {
+        if (isWeekly) {
+            const weekData = await fetchProcessData(name, periods, currentHeight);
+            mergeProcessData(name, weekData, true);
+        } else {
+            await fetchAndUpdateProcessData(name, periods, currentHeight);
+        }
+    }
+    
+    updateChartTimeRange(processName, timeRange);
+}
+
+/**
+ * Fetches intraday buckets of the last 24 hours for the 1D view of a chart.
+ * Bucket block heights are interpolated from the block history and the current height.
+ * @param {string} processName - The chart's process name
+ * @returns {Promise<void>}
+ */
+export async function fetchIntradayData(processName) {
+    // Refresh the height so the open bucket ends at the current block
+    const networkInfo = await fetchNetworkInfo();
+    window.currentNetworkInfo = networkInfo;
+    
+    const blockData = window.currentBlockData || await fetchBlockHistory();
+    window.currentBlockData = blockData;
+    
+    const currentHeight = networkInfo.height;
+    const periods = getIntradayPeriods(currentHeight, blockData);
+    
+    const chart = PROCESSES[processName]?.chart;
+    const processNames = chart?.type === 'combined' ? [processName, chart.secondary] : [processName];
+    
+    await Promise.all(processNames.map(async name => {
+        intradayData[name] = await fetchProcessData(name, periods, currentHeight);
+    }));
+    
+    updateChartTimeRange(processName, '1D');
+}
+
+/**
+ * Fetches the counts of the window preceding a chart's plotted window
+ * @param {string} processName - The process name
+ * @param {Object} precedingWindow - Window from getPrecedingWindow
+ * @param {boolean} intraday - Whether the chart shows intraday buckets
+ * @returns {Promise<Array>} Data points of the preceding window
+ */
+export async function fetchComparisonData(processName, precedingWindow, intraday = false) {
+    const networkInfo = window.currentNetworkInfo || await fetchNetworkInfo();
+    window.currentNetworkInfo = networkInfo;
+    
+    const blockData = window.currentBlockData || await fetchBlockHistory();
+    window.currentBlockData = blockData;
+    
+    const currentHeight = networkInfo.height;
+    // Charts in weekly buckets (weekly processes and long custom ranges) compare whole weeks
+    const weekly = isWeeklyProcess(processName) || precedingWindow.step >= 7 * 24 * 60 * 60 * 1000;
+    const periods = intraday
+        ? getIntradayPeriods(currentHeight, blockData, INTRADAY_BUCKET_MINUTES, precedingWindow)
+        : getCustomRangePeriods(currentHeight, blockData, precedingWindow, weekly);
+    
+    if (periods.length === 0) {
+        console.warn(`Block history does not cover the comparison window for ${processName}`);
+        return [];
+    }
+    
+    return fetchProcessData(processName, periods, currentHeight);
+}
+
+/**
+ * Loads the periods a chart's historical data lacks over the last days, without changing
+ * what the chart shows. Used for the baselines of anomaly alert rules.
+ * @param {string} processName - The process name
+ * @param {number} days - How many days back the data should reach
+ * @returns {Promise<void>}
+ */
+export async function fetchAlertBaseline(processName, days) {
+    const networkInfo = window.currentNetworkInfo || await fetchNetworkInfo();
+    window.currentNetworkInfo = networkInfo;
+    
+    const blockData = window.currentBlockData || await fetchBlockHistory();
+    window.currentBlockData = blockData;
+    
+    const currentHeight = networkInfo.height;
+    const to = new Date();
+    const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    const isWeekly = isWeeklyProcess(processName);
+    const periods = getCustomRangePeriods(currentHeight, blockData, { from, to }, isWeekly);
+    
+    if (isWeekly) {
+        mergeProcessData(processName, await fetchProcessData(processName, periods, currentHeight), true);
+    } else {
+        await fetchAndUpdateProcessData(processName, periods, currentHeight);
+    }
+}
+
 // Helper function to fetch and update data for a single process
 async function fetchAndUpdateProcessData(processName, periods, currentHeight) {
     // Helper function to format date as YYYY-MM-DD for comparison
@@ -253,10 +407,10 @@ async function fetchAndUpdateProcessData(processName, periods, currentHeight) {
         existingDateMap.set(dateKey, item);
     });
     
-    // Filter out periods we already have data for
+    // Filter out periods we already have data for, refetching ones that failed before
     const newPeriods = periods.filter(period => {
         const dateKey = formatDateForComparison(period.endTime);
-        return !existingDateMap.has(dateKey);
+        return !existingDateMap.has(dateKey) || existingDateMap.get(dateKey).failed;
     });
     
     if (newPeriods.length === 0) {
@@ -282,7 +436,9 @@ async function fetchAndUpdateProcessData(processName, periods, currentHeight) {
             
             if (existingIndex >= 0) {
                 // Update existing entry instead of adding a duplicate
-                mergedData[existingIndex] = newItem;
+                if (!isFailedOverSuccessful(mergedData[existingIndex], newItem)) {
+                    mergedData[existingIndex] = newItem;
+                }
             } else {
                 // Add new entry if we don't have data for this date yet
                 mergedData.push(newItem);
@@ -420,7 +576,7 @@ export async function updateStargridChart() {
 
 /**
  * Updates volume charts with data from cache
- * @param {string} processName - The chart to update ('AOVolume', 'wARVolume', or 'wUSDCVolume')
+ * @param {string} processName - The volume chart to update, e.g. 'AOVolume'
  * @returns {Promise<Object>} The volume data
  */
 export async function updateVolumeChart(processName) {
@@ -428,10 +584,10 @@ export async function updateVolumeChart(processName) {
         // Get all volume data
         const volumeData = await fetchVolumeData();
         
-        // Map process names to their data keys
-        const tokenType = processName.replace('Volume', '');
+        // Volume series are keyed by token ticker
+        const tokenType = getVolumeToken(processName)?.ticker;
         
-        if (!volumeData[tokenType]) {
+        if (!tokenType || !volumeData[tokenType]) {
             throw new Error(`No data found for ${tokenType}`);
         }
         
@@ -440,6 +596,8 @@ export async function updateVolumeChart(processName) {
         // Format the data
         const formattedData = volumeData[tokenType].map(entry => ({
             timestamp: new Date(entry.timestamp).toISOString(),
+            startHeight: entry.startHeight,
+            endHeight: entry.endHeight,
             value: entry.value
         }));
 
@@ -479,7 +637,7 @@ async function updateProcessData(processName, periods, currentHeight) {
             historicalData[processName] = periodData;
         } else {
             // Merge with existing data, preserving the newest timestamps
-            mergeProcessData(processName, periodData, processName.includes('weekly'));
+            mergeProcessData(processName, periodData, isWeeklyProcess(processName));
         }
         
         // Update the chart
@@ -526,6 +684,11 @@ function mergeProcessData(processName, newData, isWeekly = false) {
             const existingTime = new Date(existingData[existingIndex].timestamp).getTime();
             const newTime = new Date(newItem.timestamp).getTime();
             
+            // Never replace a good count with a failed fetch
+            if (isFailedOverSuccessful(existingData[existingIndex], newItem)) {
+                return;
+            }
+            
             // Update if the new item has a newer timestamp or different count
             if (newTime > existingTime || existingData[existingIndex].count !== newItem.count) {
                 existingData[existingIndex] = newItem;
@@ -572,33 +735,28 @@ async function fetchAllData() {
         const latestPeriod = dailyPeriods[dailyPeriods.length - 1];
         updateNetworkInfoDisplay(currentHeight, latestPeriod);
         
-        // Update supply chart
-        await updateSupplyChart();
-        
-        // Process all daily and weekly data in parallel
-        const processPromises = [];
+        // Each process refreshes its default periods, all in parallel
+        const periodSets = { daily: dailyPeriods, oneWeek: oneWeekPeriods, weekly: weeklyPeriods };
+        const processPromises = Object.keys(PROCESSES)
+            .filter(isQueryProcess)
+            .map(processName => updateProcessData(processName, periodSets[getDefaultPeriods(processName)], currentHeight));
+        
+        // The supply and volume charts reload their series; every chart keeps its current range
+        const seriesPromises = [
+            loadSupplyChart(),
+            ...getVolumeCharts().map(processName => loadVolumeChart(processName))
+        ];
+
+        // Wait for all charts to update
+        await Promise.allSettled([...processPromises, ...seriesPromises]);
         
-        // Add daily process data fetches
-        Object.keys(PROCESSES).forEach(processName => {
-            if (!processName.includes('weekly') && processName !== 'wARTotalSupply') {
-                // Use 1-week periods for standard charts that need less initial data
-                const periods = ['AOTransfer', 'permaswap', 'botega', 'llamaLand'].includes(processName) 
-                    ? oneWeekPeriods 
-                    : dailyPeriods;
-                    
-                processPromises.push(updateProcessData(processName, periods, currentHeight));
-            }
-        });
+        // Combined charts draw both datasets once both are refreshed
+        Object.keys(PROCESSES)
+            .filter(processName => PROCESSES[processName].chart?.type === 'combined')
+            .forEach(processName => updateChartTimeRange(processName, getChartTimeRange(processName)));
         
-        // Add weekly process data fetches
-        Object.keys(PROCESSES).forEach(processName => {
-            if (processName.includes('weekly')) {
-                processPromises.push(updateProcessData(processName, weeklyPeriods, currentHeight));
-            }
-        });
-
-        // Wait for all processes to update
-        await Promise.allSettled(processPromises);
+        // Check the alert rules against the refreshed data
+        await evaluateAlerts();
         
         // Hide main loader after first data fetch
         toggleMainLoader(false);
@@ -639,7 +797,8 @@ async function updateTodayProcessData(processName, periods, currentHeight) {
                 const newTime = new Date(todayData[0].timestamp).getTime();
                 
                 // Only update if the new data is more recent or has a different count
-                if (newTime >= existingTime || existingData[todayIndex].count !== todayData[0].count) {
+                if (!isFailedOverSuccessful(existingData[todayIndex], todayData[0]) &&
+                    (newTime >= existingTime || existingData[todayIndex].count !== todayData[0].count)) {
                     existingData[todayIndex] = todayData[0];
                 }
             } else {
@@ -695,7 +854,8 @@ async function updateCurrentWeekData(processName, periods, currentHeight) {
                 const newTime = new Date(weekData[0].timestamp).getTime();
                 
                 // Only update if the new data is more recent or has a different count
-                if (newTime >= existingTime || existingData[currentWeekIndex].count !== weekData[0].count) {
+                if (!isFailedOverSuccessful(existingData[currentWeekIndex], weekData[0]) &&
+                    (newTime >= existingTime || existingData[currentWeekIndex].count !== weekData[0].count)) {
                     existingData[currentWeekIndex] = weekData[0];
                 }
             } else {
@@ -723,6 +883,73 @@ async function updateCurrentWeekData(processName, periods, currentHeight) {
     }
 }
 
+/**
+ * Checks if merging would replace a successfully fetched count with a failed fetch
+ * @param {Object} existingItem - The stored data point
+ * @param {Object} newItem - The newly fetched data point
+ * @returns {boolean} True if the existing item should be kept
+ */
+function isFailedOverSuccessful(existingItem, newItem) {
+    return Boolean(newItem.failed) && !existingItem.failed;
+}
+
+/**
+ * Refetches the periods of a chart whose previous fetch failed
+ * @param {string} processName - The process name of the chart
+ * @returns {Promise<void>}
+ */
+export async function retryFailedPeriods(processName) {
+    const chart = PROCESSES[processName]?.chart;
+    const processNames = chart?.type === 'combined' ? [processName, chart.secondary] : [processName];
+    
+    try {
+        toggleChartLoader(processName, true);
+        
+        // The 1D view refetches its buckets, keeping the ones that already succeeded cached
+        if (getChartTimeRange(processName) === '1D' && intradayData[processName]) {
+            await fetchIntradayData(processName);
+            return;
+        }
+        
+        // So do the weekly buckets of long custom ranges
+        if (hasWeeklyRangeData(processName, getChartTimeRange(processName))) {
+            await fetchCustomRangeData(processName, getChartTimeRange(processName));
+            return;
+        }
+        
+        const networkInfo = window.currentNetworkInfo || await fetchNetworkInfo();
+        window.currentNetworkInfo = networkInfo;
+        
+        await Promise.all(processNames.map(async name => {
+            const failedItems = (historicalData[name] || []).filter(d => d && d.failed);
+            if (failedItems.length === 0) return;
+            
+            // Rebuild the periods from the block ranges stored on the failed points
+            const periods = failedItems.map(d => ({
+                startTime: d.startTime,
+                endTime: d.timestamp,
+                startHeight: d.startHeight,
+                endHeight: d.endHeight
+            }));
+            
+            console.log(`Retrying ${periods.length} failed periods for ${name}`);
+            const retriedData = await fetchProcessData(name, periods, networkInfo.height);
+            
+            // Replace the failed points with whatever came back
+            historicalData[name] = historicalData[name].map(d => {
+                if (!d || !d.failed) return d;
+                return retriedData.find(item => item.timestamp === d.timestamp) || d;
+            });
+        }));
+        
+        updateChartTimeRange(processName, getChartTimeRange(processName));
+    } catch (error) {
+        console.error(`Error retrying failed periods for ${processName}:`, error);
+    } finally {
+        toggleChartLoader(processName, false);
+    }
+}
+
 /**
  * Helper function to format a date as YYYY-MM-DD for comparison
  * @param {Date|string} date - The date to format
@@ -759,14 +986,18 @@ function isSameWeek(date1, date2) {
  */
 async function initializeDashboard() {
     try {
-        // Initialize UI components first
+        // Add a volume chart card per registered token before the UI is wired up
+        renderVolumeChartCards(await loadTokenRegistry());
+        
+        // Initialize UI components
         initializeUI();
         
         // Initialize chart instances
         initializeCharts();
         
         // Set up time range button handlers
-        setupTimeRangeButtons(fetchChartData, fetchAdditionalWeeklyData);
+        setupTimeRangeButtons(fetchChartData, fetchAdditionalWeeklyData, fetchIntradayData);
+        setupCustomRangePickers(fetchCustomRangeData);
         
         // First fetch critical data - network info and block history
         console.log("Fetching network info and block history...");
@@ -799,6 +1030,9 @@ async function initializeDashboard() {
         const latestPeriod = dailyPeriods[dailyPeriods.length - 1];
         updateNetworkInfoDisplay(currentHeight, latestPeriod);
         
+        // Initial load of each chart, used to restore the URL state once a chart is ready
+        const chartLoads = {};
+        
         // Load a high-priority chart first (wAR transfers) and wait for it
         // This ensures users see meaningful data before removing the main loader
         try {
@@ -812,56 +1046,42 @@ async function initializeDashboard() {
         toggleMainLoader(false);
         
         // Start loading the supply chart
-        loadSupplyChart().catch(error => {
+        chartLoads['wARTotalSupply'] = loadSupplyChart().catch(error => {
             console.error("Error loading supply chart:", error);
             toggleChartLoader('wARTotalSupply', false);
         });
         
-        // Load remaining standard daily process charts
+        // Load the remaining process charts independently, each with its default periods
+        const periodSets = { daily: dailyPeriods, oneWeek: oneWeekPeriods, weekly: weeklyPeriods };
         Object.keys(PROCESSES).forEach(processName => {
-            if (!processName.includes('weekly') && processName !== 'wARTotalSupply' && processName !== 'wARTransfer') {
-                // Use appropriate periods based on chart type
-                const periods = ['AOTransfer', 'permaswap', 'botega', 'llamaLand'].includes(processName) 
-                    ? oneWeekPeriods 
-                    : dailyPeriods;
-                
-                // Load each chart independently
-                loadProcessChart(processName, periods, currentHeight).catch(error => {
+            if (isQueryProcess(processName) && processName !== 'wARTransfer') {
+                const periods = periodSets[getDefaultPeriods(processName)];
+                chartLoads[processName] = loadProcessChart(processName, periods, currentHeight).catch(error => {
                     console.error(`Error loading ${processName} chart:`, error);
                     toggleChartLoader(processName, false);
                 });
             }
         });
         
-        // Weekly process charts - load independently
-        Object.keys(PROCESSES).forEach(processName => {
-            if (processName.includes('weekly')) {
-                loadProcessChart(processName, weeklyPeriods, currentHeight).catch(error => {
-                    console.error(`Error loading ${processName} chart:`, error);
-                    toggleChartLoader(processName, false);
-                });
-            }
-        });
-        
-        loadStargridChart().catch(error => {
+        chartLoads['stargrid'] = loadStargridChart().catch(error => {
             console.error("Error loading Stargrid chart:", error);
             toggleChartLoader('stargrid', false);
         });
 
-        loadVolumeChart('AOVolume').catch(error => {
-            console.error("Error loading AO Volume chart:", error);
-            toggleChartLoader('AOVolume', false);
-        });
-
-        loadVolumeChart('wARVolume').catch(error => {
-            console.error("Error loading wAR Volume chart:", error);
-            toggleChartLoader('wARVolume', false);
-        });
-
-        loadVolumeChart('wUSDCVolume').catch(error => {
-            console.error("Error loading wUSDC Volume chart:", error);
-            toggleChartLoader('wUSDCVolume', false);
+        // One volume chart per registered token
+        getVolumeCharts().forEach(processName => {
+            chartLoads[processName] = loadVolumeChart(processName).catch(error => {
+                console.error(`Error loading ${processName} chart:`, error);
+                toggleChartLoader(processName, false);
+            });
         });
+        
+        // Reopen the view encoded in a shared link
+        restoreUrlState(chartLoads);
+        
+        // Check the alert rules once the initial loads are in, then refresh periodically
+        Promise.allSettled(Object.values(chartLoads)).then(evaluateAlerts);
+        setInterval(fetchAllData, DATA_REFRESH_INTERVAL);
 
     } catch (error) {
         console.error('Error initializing dashboard:', error);
@@ -898,8 +1118,8 @@ async function loadStargridChart() {
 
 
 /**
- * Loads volume charts (AO, wAR, wUSDC) with data from the API
- * @param {string} processName - The chart to load ('AOVolume', 'wARVolume', or 'wUSDCVolume')
+ * Loads a token volume chart with data from the API
+ * @param {string} processName - The volume chart to load, e.g. 'AOVolume'
  * @returns {Promise<void>} Resolves when chart is loaded
  */
 async function loadVolumeChart(processName) {
@@ -909,14 +1129,8 @@ async function loadVolumeChart(processName) {
         
         const volumeData = await fetchVolumeData();
                
-        // Map process names to their data keys
-        const dataKeys = {
-            'AOVolume': 'AO',
-            'wARVolume': 'wAR',
-            'wUSDCVolume': 'wUSDC'
-        };
-        
-        const dataKey = dataKeys[processName];
+        // Volume series are keyed by token ticker
+        const dataKey = getVolumeToken(processName)?.ticker;
         if (!dataKey || !volumeData[dataKey]) {
             throw new Error(`No data found for ${processName}`);
         }
@@ -948,40 +1162,43 @@ async function loadVolumeChart(processName) {
  */
 async function loadProcessChart(processName, periods, currentHeight) {
     try {
-        // Skip if this is USDATransfer (handled with wUSDC)
-        if (processName === 'USDATransfer') return;
+        const chart = PROCESSES[processName]?.chart;
+        
+        // Skip secondary processes (loaded together with their primary chart)
+        if (chart?.type === 'secondary') return;
         
         toggleChartLoader(processName, true);
         
-        // Special handling for wUSDC/USDA combined chart
-        if (processName === 'wUSDCTransfer') {
-            // Fetch data for both wUSDC and USDA transfers
-            const wUSDCPromise = fetchProcessData('wUSDCTransfer', periods, currentHeight)
+        // Combined charts fetch both of their datasets
+        if (chart?.type === 'combined') {
+            const secondaryProcess = chart.secondary;
+            
+            const primaryPromise = fetchProcessData(processName, periods, currentHeight)
                 .catch(error => {
-                    console.error("Error fetching wUSDCTransfer data:", error);
+                    console.error(`Error fetching ${processName} data:`, error);
                     return [];
                 });
                 
-            const USDAPromise = fetchProcessData('USDATransfer', periods, currentHeight)
+            const secondaryPromise = fetchProcessData(secondaryProcess, periods, currentHeight)
                 .catch(error => {
-                    console.error("Error fetching USDATransfer data:", error);
+                    console.error(`Error fetching ${secondaryProcess} data:`, error);
                     return [];
                 });
             
-            const [wUSDCData, USDAData] = await Promise.all([wUSDCPromise, USDAPromise]);
+            const [primaryData, secondaryData] = await Promise.all([primaryPromise, secondaryPromise]);
             
             // Update historical data
-            if (wUSDCData.length > 0) {
-                historicalData['wUSDCTransfer'] = wUSDCData;
+            if (primaryData.length > 0) {
+                historicalData[processName] = primaryData;
             }
             
-            if (USDAData.length > 0) {
-                historicalData['USDATransfer'] = USDAData;
+            if (secondaryData.length > 0) {
+                historicalData[secondaryProcess] = secondaryData;
             }
             
             // Update the chart
-            const timeRange = getChartTimeRange('wUSDCTransfer');
-            updateCombinedChart('wUSDCTransfer', 'USDATransfer', timeRange);
+            const timeRange = getChartTimeRange(processName);
+            updateCombinedChart(processName, secondaryProcess, timeRange);
             toggleChartLoader(processName, false);
             
         } else {
@@ -0,0 +1,242 @@
+/**
+ * Token leaderboards (largest transfers, most active wallets and top holders) for the Eye of AO dashboard.
+ * The daily top lists and the current holders come from data/leaderboards.json, written by the
+ * volume script; the panel merges the days inside the volume chart's selected time range.
+ */
+import { LEADERBOARD_SIZE, EXPLORER_URLS } from './config.js';
+import { fetchLeaderboards } from './api.js';
+import { filterDataByTimeRange, formatTimeRangeLabel } from './utils.js';
+import { getVolumeToken, denominate } from './tokens.js';
+import { getChartTimeRange } from './ui.js';
+
+/**
+ * Compares two raw token quantities (integer strings), largest first
+ * @param {string} a - Raw quantity
+ * @param {string} b - Raw quantity
+ * @returns {number} Sort order
+ */
+function compareQuantities(a, b) {
+    const difference = BigInt(b) - BigInt(a);
+    return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+}
+
+/**
+ * Merges the daily leaderboards of a token over a time range.
+ * Days only list their most active wallets, so a wallet's total over several days is known
+ * exactly only where it made every day's list. A wallet missing from a cut-off list moved
+ * at most that list's smallest volume on that day, which bounds the totals; the ranking is
+ * marked exact when those bounds cannot change it.
+ * @param {Object} days - Map of YYYY-MM-DD to { topTransfers, topWallets, walletCount }
+ * @param {string|Object} timeRange - Preset key or custom { from, to } range
+ * @returns {Object} { days, topTransfers, topWallets, walletsExact } for the range
+ */
+export function mergeLeaderboards(days, timeRange) {
+    const dayPoints = Object.entries(days || {}).map(([date, entry]) => ({
+        timestamp: new Date(date).getTime(),
+        ...entry
+    }));
+    const selectedDays = filterDataByTimeRange(dayPoints, timeRange);
+
+    // Each day keeps its largest transfers, so the largest overall are among them
+    const topTransfers = selectedDays
+        .flatMap(day => day.topTransfers || [])
+        .sort((a, b) => compareQuantities(a.quantity, b.quantity))
+        .slice(0, LEADERBOARD_SIZE);
+
+    // Wallet volumes are summed over the days each wallet made a daily list. cutoffTotal is the
+    // most a wallet can have moved on the days it is missing from (days without walletCount
+    // predate complete lists and count as cut off when full).
+    const wallets = new Map();
+    let cutoffTotal = 0n;
+    selectedDays.forEach(day => {
+        const list = day.topWallets || [];
+        const walletCount = day.walletCount ?? (list.length < LEADERBOARD_SIZE ? list.length : Infinity);
+        const cutoff = walletCount > list.length ? BigInt(list[list.length - 1].volume) : 0n;
+        cutoffTotal += cutoff;
+
+        list.forEach(wallet => {
+            const total = wallets.get(wallet.address) || { address: wallet.address, volume: 0n, transfers: 0, listedCutoff: 0n };
+            total.volume += BigInt(wallet.volume);
+            total.transfers += wallet.transfers;
+            total.listedCutoff += cutoff;
+            wallets.set(wallet.address, total);
+        });
+    });
+
+    const ranked = [...wallets.values()]
+        .map(wallet => ({ ...wallet, upperBound: wallet.volume + cutoffTotal - wallet.listedCutoff }))
+        .sort((a, b) => compareQuantities(a.volume.toString(), b.volume.toString()));
+    const shown = ranked.slice(0, LEADERBOARD_SIZE);
+
+    // Exact when every shown total is complete and no other wallet (listed or not) can reach the last one
+    const lowestShown = shown.length > 0 ? shown[shown.length - 1].volume : 0n;
+    const walletsExact = shown.every(wallet => wallet.upperBound === wallet.volume) &&
+        ranked.slice(LEADERBOARD_SIZE).every(wallet => wallet.upperBound <= lowestShown) &&
+        (shown.length === 0 || cutoffTotal <= lowestShown);
+
+    const topWallets = shown.map(wallet => ({
+        address: wallet.address,
+        volume: wallet.volume.toString(),
+        transfers: wallet.transfers
+    }));
+
+    return { days: selectedDays.length, topTransfers, topWallets, walletsExact };
+}
+
+/**
+ * Shortens an address or message id for display
+ * @param {string} value - The address
+ * @returns {string} Shortened address
+ */
+function shortenAddress(value) {
+    if (!value) return '—';
+    return value.length > 12 ? `${value.slice(0, 5)}…${value.slice(-5)}` : value;
+}
+
+/**
+ * Creates a link to an explorer page
+ * @param {string} baseUrl - Explorer URL prefix
+ * @param {string} value - The id appended to the URL
+ * @returns {HTMLElement} The link, or a dash if the value is missing
+ */
+function createExplorerLink(baseUrl, value) {
+    if (!value) {
+        return document.createTextNode('—');
+    }
+
+    const link = document.createElement('a');
+    link.href = `${baseUrl}${encodeURIComponent(value)}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.title = value;
+    link.textContent = shortenAddress(value);
+    return link;
+}
+
+/**
+ * Formats a raw quantity in whole tokens
+ * @param {string} quantity - Raw quantity
+ * @param {Object} token - The token registry entry
+ * @returns {string} Formatted amount with ticker
+ */
+function formatQuantity(quantity, token) {
+    const amount = denominate(Number(quantity), token);
+    return `${amount.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${token.ticker}`;
+}
+
+/**
+ * Creates a leaderboard table
+ * @param {string} caption - The table caption
+ * @param {Array<string>} headings - Column headings
+ * @param {Array<Array>} rows - Cells per row (strings or nodes)
+ * @param {string} note - Optional explanation shown as the caption's tooltip
+ * @param {string} emptyText - Text shown when there are no rows
+ * @returns {HTMLElement} The table
+ */
+function createTable(caption, headings, rows, note = '', emptyText = 'No transfers recorded for this range') {
+    const table = document.createElement('table');
+    table.className = 'leaderboard-table';
+    table.createCaption().textContent = caption;
+    table.caption.title = note;
+
+    const headRow = table.createTHead().insertRow();
+    headings.forEach(heading => {
+        const cell = document.createElement('th');
+        cell.textContent = heading;
+        headRow.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    if (rows.length === 0) {
+        const cell = body.insertRow().insertCell();
+        cell.colSpan = headings.length;
+        cell.className = 'leaderboard-empty';
+        cell.textContent = emptyText;
+    }
+
+    rows.forEach(cells => {
+        const row = body.insertRow();
+        cells.forEach(content => {
+            const cell = row.insertCell();
+            cell.append(content);
+        });
+    });
+
+    return table;
+}
+
+/**
+ * Renders a token's leaderboard into its panel
+ * @param {HTMLElement} panel - The leaderboard panel
+ * @param {Object} token - The token registry entry
+ * @param {Object} leaderboard - Result of mergeLeaderboards
+ * @param {Object|undefined} holders - The token's { updatedAt, holderCount, topHolders }
+ * @param {string|Object} timeRange - The selected time range
+ */
+function renderLeaderboard(panel, token, leaderboard, holders, timeRange) {
+    const transferRows = leaderboard.topTransfers.map(transfer => [
+        formatQuantity(transfer.quantity, token),
+        createExplorerLink(EXPLORER_URLS.entity, transfer.sender),
+        createExplorerLink(EXPLORER_URLS.entity, transfer.recipient),
+        transfer.block !== null && transfer.block !== undefined ? transfer.block.toLocaleString() : '—',
+        createExplorerLink(EXPLORER_URLS.message, transfer.id)
+    ]);
+
+    const walletRows = leaderboard.topWallets.map((wallet, index) => [
+        `${index + 1}`,
+        createExplorerLink(EXPLORER_URLS.entity, wallet.address),
+        formatQuantity(wallet.volume, token),
+        wallet.transfers.toLocaleString()
+    ]);
+
+    const holderRows = (holders?.topHolders || []).map((holder, index) => [
+        `${index + 1}`,
+        createExplorerLink(EXPLORER_URLS.entity, holder.address),
+        formatQuantity(holder.balance, token)
+    ]);
+
+    const walletsCaption = leaderboard.walletsExact
+        ? 'Most active wallets by volume'
+        : 'Most active wallets by volume (approximate)';
+    const walletsNote = leaderboard.walletsExact
+        ? ''
+        : 'Ranked from each day\'s most active wallets; wallets outside a day\'s list may be missing or ranked too low';
+    const holdersCaption = holders?.updatedAt
+        ? `Top holders (${holders.holderCount.toLocaleString()} holders, ${new Date(holders.updatedAt).toLocaleDateString()})`
+        : 'Top holders';
+
+    const summary = document.createElement('div');
+    summary.className = 'leaderboard-summary';
+    summary.textContent = `${token.ticker} · ${formatTimeRangeLabel(timeRange)} · ${leaderboard.days} days`;
+
+    panel.replaceChildren(
+        summary,
+        createTable('Largest transfers', ['Quantity', 'Sender', 'Recipient', 'Block', 'Message'], transferRows),
+        createTable(walletsCaption, ['#', 'Wallet', 'Volume', 'Transfers'], walletRows, walletsNote),
+        createTable(holdersCaption, ['#', 'Wallet', 'Balance'], holderRows,
+            'Current balances, not limited to the selected range', 'No holder data yet')
+    );
+}
+
+/**
+ * Reloads the leaderboard of a volume chart if its panel is open
+ * @param {string} chartName - The volume chart name, e.g. 'AOVolume'
+ * @returns {Promise<void>}
+ */
+export async function refreshLeaderboard(chartName) {
+    const token = getVolumeToken(chartName);
+    const panel = document.getElementById(`${chartName}Leaderboard`);
+    if (!token || !panel || panel.hidden) return;
+
+    const timeRange = getChartTimeRange(chartName);
+
+    try {
+        panel.textContent = 'Loading leaderboard...';
+        const leaderboards = await fetchLeaderboards();
+        const leaderboard = mergeLeaderboards(leaderboards.tokens?.[token.ticker], timeRange);
+        renderLeaderboard(panel, token, leaderboard, leaderboards.holders?.[token.ticker], timeRange);
+    } catch (error) {
+        console.error(`Error loading leaderboard for ${token.ticker}:`, error);
+        panel.textContent = 'Leaderboard unavailable';
+    }
+}
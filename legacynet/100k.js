@@ -1,22 +1,27 @@
 // super.js - Super clusters node checking functionality
 import { hundredknodes } from './hundredknodes.js';
+import { checkNode, checkNodes, CHECK_PRIORITY } from '../node-check.js';
+import { createNodeCard, renderCheckStarted, renderCheckResult } from '../node-card.js';
+import { recordAndRenderNodeCheck } from '../uptime-history.js';
 
 // Configuration
 const config = {
     testnet: {
         nodeSuffix: '.ao-testnet.xyz/',
     },
-    checkTimeout: 15000, // Timeout for each check (ms)
-    busyTimeout: 2000,  // Time to mark as busy (ms)
     autoRefreshInterval: 1200000 // Auto-refresh every 20 minutes
 };
 
 // State
 let autoRefreshTimer;
 let currentNetwork = 'testnet';
+let checkCycle; // Aborts the queued checks of the previous refresh
+let onResultsChanged; // Re-renders the page summary as super cluster results come in
 
-// Initialize super clusters dashboard
-function initializehundredThouNodes() {
+// Initialize super clusters dashboard; onUpdate is called after every super cluster result
+function initializehundredThouNodes(onUpdate) {
+    onResultsChanged = onUpdate;
+    
     // Initial check
     checkAllSuperNodes();
     
@@ -54,118 +59,56 @@ function checkAllSuperNodes() {
     hundredKNodesTotal = hundredknodes.length;
     hundredKNodesOnline = 0; // Will be incremented as nodes are checked
     
-    // Check all super cluster nodes
-    hundredknodes.forEach(nodeName => {
-        const nodeUrl = `https://${nodeName}${config[currentNetwork].nodeSuffix}`;
-        checkSuperNode(nodeUrl, superStatusContainer);
+    // Drop the checks still queued from the previous refresh
+    if (checkCycle) checkCycle.abort();
+    checkCycle = new AbortController();
+    
+    // Create the cards first so they stay in order, then check the nodes
+    const nodes = hundredknodes.map(nodeName => ({
+        url: `https://${nodeName}${config[currentNetwork].nodeSuffix}`,
+        kind: 'http'
+    }));
+    const nodeCards = hundredknodes.map((nodeName, index) => {
+        const nodeCard = createNodeCard(getSuperNodeId(nodes[index].url), nodeName);
+        superStatusContainer.appendChild(nodeCard);
+        return nodeCard;
     });
+    
+    // The super clusters are a long secondary list, check them after the main nodes
+    const options = {
+        priority: CHECK_PRIORITY.LOW,
+        signal: checkCycle.signal,
+        onStart: index => renderCheckStarted(nodeCards[index])
+    };
+    checkNodes(nodes, options, (result, index) => showSuperNodeResult(nodeCards[index], result));
 }
 
-function checkSuperNode(nodeUrl, container) {
-    // Create a card for this node
-    const nodeId = `super-${nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
-    const nodeName = nodeUrl.match(/\/\/([^.]+)/)[1] || nodeUrl;
-    
-    // Create the node card
-    const nodeCard = document.createElement('div');
-    nodeCard.id = nodeId;
-    nodeCard.className = 'node-card';
-    
-    // Add to container
-    container.appendChild(nodeCard);
-    
-    // Update card UI to loading state
-    nodeCard.innerHTML = `
-        <div class="node-name">${nodeName}</div>
-        <div class="status">
-            <span class="status-indicator loading"></span>
-            <span>Checking...</span>
-        </div>
-        <div class="response-time">-</div>
-    `;
-    
-    // Check the node status
-    const startTime = performance.now();
-    
-    // Define timeouts
-    const busyTimeout = config.busyTimeout;
-    const offlineTimeout = config.checkTimeout;
-    
-    // Create an AbortController to handle the final timeout
-    const controller = new AbortController();
-    
-    // Setup the busy timeout - if node doesn't respond in set time, mark as busy
-    const busyTimeoutId = setTimeout(() => {
-        updateSuperNodeCard(nodeCard, 'busy');
-    }, busyTimeout);
-    
-    // Setup the unavailable timeout - if node doesn't respond in set time, mark as unavailable
-    const offlineTimeoutId = setTimeout(() => {
-        controller.abort();
-        updateSuperNodeCard(nodeCard, 'unavailable');
-    }, offlineTimeout);
-    
-    fetch(nodeUrl, { 
-        method: 'HEAD',
-        signal: controller.signal 
-    })
-    .then(response => {
-        // Clear both timeouts
-        clearTimeout(busyTimeoutId);
-        clearTimeout(offlineTimeoutId);
-        
-        const endTime = performance.now();
-        const responseTime = (endTime - startTime).toFixed(0);
-        
-        // Determine status based on response time
-        let status = 'online';
-        if (parseInt(responseTime) > busyTimeout) {
-            status = 'busy';
-        }
-        if (status === 'online' || status === 'busy') {
-            hundredKNodesOnline++;
-        }
-        
-        updateSuperNodeCard(nodeCard, status, responseTime);
-    })
-    .catch(error => {
-        // Clear both timeouts
-        clearTimeout(busyTimeoutId);
-        clearTimeout(offlineTimeoutId);
-        
-        // If it's an abort error, we've already handled it with the timeout
-        if (error.name === 'AbortError') {
-            return;
-        }
-        
-        // Update card to unavailable status
-        updateSuperNodeCard(nodeCard, 'unavailable');
-    });
+function getSuperNodeId(nodeUrl) {
+    return `super-${nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
 }
 
-function updateSuperNodeCard(nodeCard, status, responseTime = null) {
-    const statusIndicator = nodeCard.querySelector('.status-indicator');
-    const statusText = nodeCard.querySelector('.status span:last-child');
-    const responseTimeEl = nodeCard.querySelector('.response-time');
+function showSuperNodeResult(nodeCard, result) {
+    if (result.cancelled) return;
     
-    // Set appropriate status class and text
-    switch(status) {
-        case 'online':
-            statusIndicator.className = 'status-indicator online';
-            statusText.textContent = 'Online';
-            responseTimeEl.textContent = `Response time: ${responseTime}ms`;
-            break;
-        case 'busy':
-            statusIndicator.className = 'status-indicator busy';
-            statusText.textContent = 'Busy';
-            responseTimeEl.textContent = responseTime ? `Response time: ${responseTime}ms` : 'Slow response...';
-            break;
-        case 'unavailable':
-            statusIndicator.className = 'status-indicator unavailable';
-            statusText.textContent = 'Unavailable';
-            responseTimeEl.textContent = 'Timeout';
-            break;
+    if (result.online) {
+        hundredKNodesOnline++;
     }
+    renderCheckResult(nodeCard, result);
+    recordAndRenderNodeCheck(nodeCard, result.node.url, result.status, result.responseTime);
+    if (onResultsChanged) onResultsChanged();
+}
+
+// Check a single super node and add its card to the container
+function checkSuperNode(nodeUrl, container) {
+    const nodeName = nodeUrl.match(/\/\/([^.]+)/)[1] || nodeUrl;
+    const nodeCard = createNodeCard(getSuperNodeId(nodeUrl), nodeName);
+    container.appendChild(nodeCard);
+    
+    const options = {
+        priority: CHECK_PRIORITY.LOW,
+        onStart: () => renderCheckStarted(nodeCard)
+    };
+    checkNode({ url: nodeUrl, kind: 'http' }, options).then(result => showSuperNodeResult(nodeCard, result));
 }
 
 function getHundredKNodesTotal() {
@@ -1,99 +1,64 @@
 
 
 
-// A separate function to check custom nodes
-function checkCustomNode(nodeUrl, nodeCard) {
-    // Set to loading state
-    const statusIndicator = nodeCard.querySelector('.status-indicator');
-    const statusText = nodeCard.querySelector('.status span:last-child');
-    const responseTimeEl = nodeCard.querySelector('.response-time');
-    
-    statusIndicator.className = 'status-indicator loading';
-    statusText.textContent = 'Checking...';
-    
-    // Check the node status
-    const startTime = performance.now();
-    
-    // Define timeouts to match the main page
-    const busyTimeout = 2000;    // 2 seconds - mark as busy
-    const offlineTimeout = 15000; // 15 seconds - mark as unavailable
-    
-    // Create an AbortController to handle the final timeout
-    const controller = new AbortController();
-    
-    // Setup the busy timeout - if node doesn't respond in 2 seconds, mark as busy
-    const busyTimeoutId = setTimeout(() => {
-        statusIndicator.className = 'status-indicator busy';
-        statusText.textContent = 'Busy';
-        responseTimeEl.textContent = 'Slow response...';
-    }, busyTimeout);
-    
-    // Setup the unavailable timeout - if node doesn't respond in 15 seconds, mark as unavailable
-    const offlineTimeoutId = setTimeout(() => {
-        controller.abort();
-        statusIndicator.className = 'status-indicator unavailable';
-        statusText.textContent = 'Unavailable';
-        responseTimeEl.textContent = 'Timeout';
-    }, offlineTimeout);
+import { checkNode, CHECK_PRIORITY } from '../../node-check.js';
+import { createNodeCard, renderCheckStarted, renderCheckResult } from '../../node-card.js';
+import { recordAndRenderNodeCheck } from '../../uptime-history.js';
+import { normalizeCustomNodeUrl } from '../../custom-node-transfer.js';
+
+// Check a custom node ahead of the other nodes and show the result on its card
+function checkCustomNode(nodeUrl, nodeCard, signal) {
+    const options = {
+        priority: CHECK_PRIORITY.HIGH,
+        signal,
+        onStart: () => renderCheckStarted(nodeCard)
+    };
     
-    fetch(nodeUrl, { 
-        method: 'HEAD',
-        signal: controller.signal 
-    })
-    .then(response => {
-        // Clear both timeouts
-        clearTimeout(busyTimeoutId);
-        clearTimeout(offlineTimeoutId);
-        
-        const endTime = performance.now();
-        const responseTime = (endTime - startTime).toFixed(0);
-        
-        // Determine status based on response time
-        if (parseInt(responseTime) > busyTimeout) {
-            statusIndicator.className = 'status-indicator busy';
-            statusText.textContent = 'Busy';
-        } else {
-            statusIndicator.className = 'status-indicator online';
-            statusText.textContent = 'Online';
-        }
-        
-        responseTimeEl.textContent = `Response time: ${responseTime}ms`;
-    })
-    .catch(error => {
-        // Clear both timeouts
-        clearTimeout(busyTimeoutId);
-        clearTimeout(offlineTimeoutId);
+    checkNode({ url: nodeUrl, kind: 'http' }, options).then(result => {
+        if (result.cancelled) return;
         
-        // If it's an abort error, we've already handled it with the timeout
-        if (error.name === 'AbortError') {
-            return;
-        }
-        
-        statusIndicator.className = 'status-indicator unavailable';
-        statusText.textContent = 'Unavailable';
-        responseTimeEl.textContent = 'Timeout';
+        renderCheckResult(nodeCard, result);
+        recordAndRenderNodeCheck(nodeCard, nodeUrl, result.status, result.responseTime);
     });
 }
 
 // Variables to export
 let customNodes = [];
+let customNodeLabels = {}; // Optional labels by node URL, set by imports
 
 function saveCustomNodes() {
     localStorage.setItem('aoTrackerCustomNodes', JSON.stringify(customNodes));
+    localStorage.setItem('aoTrackerNodeLabels', JSON.stringify(customNodeLabels));
+}
+
+function getCustomNodeLabel(nodeUrl) {
+    return customNodeLabels[nodeUrl] || null;
+}
+
+// Custom nodes as { url, label } entries, for export
+function getCustomNodeEntries() {
+    return customNodes.map(url => ({ url, label: getCustomNodeLabel(url) }));
 }
 
-function addCustomNode(additionalNodeInput, customStatusContainer, checkNode) {
+// Replace the custom nodes with imported { url, label } entries
+function setCustomNodeEntries(entries) {
+    customNodes = entries.map(entry => entry.url);
+    customNodeLabels = {};
+    entries.forEach(entry => {
+        if (entry.label) customNodeLabels[entry.url] = entry.label;
+    });
+    saveCustomNodes();
+}
+
+function addCustomNode(additionalNodeInput, customStatusContainer) {
     const nodeInput = additionalNodeInput.value.trim();
     if (!nodeInput) return;
     
-    // Format the node URL - use input as is with protocol added if needed
-    let nodeUrl;
-    if (nodeInput.startsWith('http')) {
-        // Full URL provided
-        nodeUrl = nodeInput;
-    } else {
-        // Add the protocol but no suffix
-        nodeUrl = `https://${nodeInput}`;
+    // Store the URL the way imports do (https:// added if missing)
+    const { url: nodeUrl, error } = normalizeCustomNodeUrl('legacynet', nodeInput);
+    if (error) {
+        alert(`Cannot add node "${nodeInput}": ${error}`);
+        return;
     }
     
     if (!customNodes.includes(nodeUrl)) {
@@ -102,22 +67,12 @@ function addCustomNode(additionalNodeInput, customStatusContainer, checkNode) {
         saveCustomNodes();
         
         // Create and insert the node card
-        const nodeCard = document.createElement('div');
         const nodeId = `custom-${nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
         
         // Use the original input name instead of extracting from URL
         const nodeName = nodeUrl.replace(/^https?:\/\//, '');
         
-        nodeCard.id = nodeId;
-        nodeCard.className = 'node-card';
-        nodeCard.innerHTML = `
-            <div class="node-name">${nodeName}</div>
-            <div class="status">
-                <span class="status-indicator loading"></span>
-                <span>Checking...</span>
-            </div>
-            <div class="response-time">-</div>
-        `;
+        const nodeCard = createNodeCard(nodeId, nodeName);
         
         // Insert at the beginning of the container
         if (customStatusContainer.firstChild) {
@@ -126,7 +81,7 @@ function addCustomNode(additionalNodeInput, customStatusContainer, checkNode) {
             customStatusContainer.appendChild(nodeCard);
         }
         
-        // Check the node with our custom check function
+        // Check the node
         checkCustomNode(nodeUrl, nodeCard);
         additionalNodeInput.value = '';
     }
@@ -137,12 +92,7 @@ function removeCustomNode(additionalNodeInput) {
     if (!nodeInput) return;
     
     // Format the node URL the same way as in addCustomNode
-    let nodeUrl;
-    if (nodeInput.startsWith('http')) {
-        nodeUrl = nodeInput;
-    } else {
-        nodeUrl = `https://${nodeInput}`;
-    }
+    const nodeUrl = normalizeCustomNodeUrl('legacynet', nodeInput).url || nodeInput;
     
     // Find the node in the customNodes array
     const nodeIndex = customNodes.indexOf(nodeUrl);
@@ -150,6 +100,7 @@ function removeCustomNode(additionalNodeInput) {
     if (nodeIndex !== -1) {
         // Remove from array
         customNodes.splice(nodeIndex, 1);
+        delete customNodeLabels[nodeUrl];
         
         // Save updated list
         saveCustomNodes();
@@ -180,6 +131,7 @@ function loadCustomNodes() {
     if (savedNodes) {
         customNodes = JSON.parse(savedNodes);
     }
+    customNodeLabels = JSON.parse(localStorage.getItem('aoTrackerNodeLabels')) || {};
     return customNodes;
 }
 
@@ -190,5 +142,8 @@ export {
     saveCustomNodes,
     loadCustomNodes,
     checkCustomNode,
+    getCustomNodeLabel,
+    getCustomNodeEntries,
+    setCustomNodeEntries,
     customNodes
 };
\ No newline at end of file
@@ -2,8 +2,10 @@ import {
     addCustomNode, 
     removeCustomNode, 
     loadCustomNodes, 
-    customNodes,
-    checkCustomNode
+    checkCustomNode,
+    getCustomNodeLabel,
+    getCustomNodeEntries,
+    setCustomNodeEntries
 } from './customnodes/custom.js';
 
 import { 
@@ -13,6 +15,11 @@ import {
     getHundredKNodesOnline
 } from './100k.js';
 
+import { recordAndRenderNodeCheck } from '../uptime-history.js';
+import { checkNodes, setCheckConcurrency } from '../node-check.js';
+import { createNodeCard, renderNodeLabel, renderCheckStarted, renderCheckResult } from '../node-card.js';
+import { setupCustomNodeTransfer } from '../custom-node-transfer.js';
+
 
 // Configuration
 const config = {
@@ -22,6 +29,7 @@ const config = {
         nodeSuffix: '.ao-testnet.xyz/',
         initialNodes: 75, // Check CU1 - CU75
     },
+    checkConcurrency: 6, // Nodes checked at the same time, for the whole page
     autoRefreshInterval: 1200000 // Auto-refresh every 20 minutes
 };
 
@@ -35,7 +43,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Add event listeners for nodes
     if (addNodeBtn) {
         addNodeBtn.addEventListener('click', function() {
-            addCustomNode(additionalNodeInput, customStatusContainer, checkNode);
+            addCustomNode(additionalNodeInput, customStatusContainer);
         });
     }
     
@@ -45,6 +53,17 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
+    // Import/export of the custom node list
+    setupCustomNodeTransfer('customNodeTransfer', {
+        network: 'legacynet',
+        getNodes: getCustomNodeEntries,
+        setNodes: setCustomNodeEntries,
+        onImport: () => {
+            customStatusContainer.innerHTML = '';
+            loadAndDisplayCustomNodes(customStatusContainer);
+        }
+    });
+    
     // Handle navigation highlighting
     handleNavigationHighlighting();
     
@@ -70,6 +89,9 @@ function handleNavigationHighlighting() {
 // State
 let currentNetwork = 'testnet';
 let autoRefreshTimer;
+let checkCycle; // Aborts the queued checks of the previous refresh
+let mainNodesChecked = 0; // Numbered nodes checked in the current refresh
+let mainNodesOnline = 0;
 
 // DOM Elements
 const statusContainer = document.getElementById('statusContainer');
@@ -85,6 +107,9 @@ function initializeApp() {
     // Load custom nodes from localStorage if available
     loadCustomNodes();
     
+    // Size the check pool shared by every section of the page
+    setCheckConcurrency(config.checkConcurrency);
+    
     // Set up event listeners
     refreshBtn.addEventListener('click', () => {
         checkAllNodes();
@@ -99,7 +124,7 @@ function initializeApp() {
     
     // Initialize super clusters if the section exists
     if (document.getElementById('hundredThouNodesContent')) {
-        initializehundredThouNodes();
+        initializehundredThouNodes(updateSummary);
     }
     
     // Set up auto-refresh
@@ -120,38 +145,55 @@ function checkAllNodes() {
     // Update last checked time
     updateLastCheckedTime();
     
+    // Drop the checks still queued from the previous refresh
+    if (checkCycle) checkCycle.abort();
+    checkCycle = new AbortController();
+    
     // Get network config
     const networkConfig = config[currentNetwork];
     
-    // First create cards for custom nodes at the top
-    const customNodesCount = customNodes.length;
+    mainNodesChecked = 0;
+    mainNodesOnline = 0;
     
-    // Then check default nodes
-    let checkedCount = 0;
-    let onlineCount = 0;
-    let initialToCheck = networkConfig.initialNodes;
-    let totalToCheck = initialToCheck + customNodes.length;
-
-    
-    // Check all the numbered nodes (after custom nodes)
+    // Create the cards first so they stay in order, then check the numbered nodes
+    const nodes = [];
+    const nodeCards = [];
     for (let i = 1; i <= networkConfig.initialNodes; i++) {
         const nodeUrl = `${networkConfig.nodePrefix}${i}${networkConfig.nodeSuffix}`;
-        checkNode(nodeUrl, (isOnline) => {
-            checkedCount++;
-            if (isOnline) onlineCount++;
-            updateSummary(onlineCount, checkedCount, totalToCheck);
-            
-        });
+        const nodeId = nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '');
+        const nodeName = nodeUrl.match(/\/\/([^.]+)/)[1] || nodeUrl;
+        
+        const nodeCard = createNodeCard(nodeId, nodeName);
+        statusContainer.appendChild(nodeCard);
+        
+        nodes.push({ url: nodeUrl, kind: 'http' });
+        nodeCards.push(nodeCard);
     }
+    
+    const options = {
+        signal: checkCycle.signal,
+        onStart: index => renderCheckStarted(nodeCards[index])
+    };
+    
+    checkNodes(nodes, options, (result, index) => {
+        if (result.cancelled) return;
+        
+        renderCheckResult(nodeCards[index], result);
+        recordAndRenderNodeCheck(nodeCards[index], result.node.url, result.status, result.responseTime);
+        
+        mainNodesChecked++;
+        if (result.online) mainNodesOnline++;
+        updateSummary();
+    });
 
     const customStatusContainer = document.getElementById('customStatusContainer');
     if (customStatusContainer) {
-        loadAndDisplayCustomNodes(customStatusContainer, checkNode);
+        loadAndDisplayCustomNodes(customStatusContainer, checkCycle.signal);
     }
 }
 
 // Function to load and display saved nodes in the custom section
-function loadAndDisplayCustomNodes(customStatusContainer, checkNode) {
+function loadAndDisplayCustomNodes(customStatusContainer, signal) {
     const savedNodes = loadCustomNodes();
     
     // Display any saved custom nodes in the custom section
@@ -167,186 +209,27 @@ function loadAndDisplayCustomNodes(customStatusContainer, checkNode) {
             const nodeId = `custom-${nodeUrl.replace(/^https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '')}`;
             
             // Get display name (full URL without protocol)
-            let nodeName = nodeUrl.replace(/^https?:\/\//, '');
-            let nodeCard = document.createElement('div');
-            nodeCard.id = nodeId;
-            nodeCard.className = 'node-card';
-            nodeCard.innerHTML = `
-                <div class="node-name">${nodeName}</div>
-                <div class="status">
-                    <span class="status-indicator loading"></span>
-                    <span>Checking...</span>
-                </div>
-                <div class="response-time">-</div>
-            `;
+            const nodeCard = createNodeCard(nodeId, nodeUrl.replace(/^https?:\/\//, ''));
+            renderNodeLabel(nodeCard, getCustomNodeLabel(nodeUrl));
             
             // Add to custom container
             customStatusContainer.appendChild(nodeCard);
             
-            // Check the node with our custom check function instead of the regular checkNode
-            checkCustomNode(nodeUrl, nodeCard);
+            checkCustomNode(nodeUrl, nodeCard, signal);
         });
     }
     
     return savedNodes;
 }
 
-
-function checkNode(nodeUrl, callback) {
-    // Create a card for this node
-    const nodeId = nodeUrl.replace(/https?:\/\//, '').replace(/\./g, '-').replace(/\//g, '');
-    const nodeName = nodeUrl.match(/\/\/([^.]+)/)[1] || nodeUrl;
-    
-    // Create or update the node card
-    let nodeCard = document.getElementById(nodeId);
-    if (!nodeCard) {
-        nodeCard = document.createElement('div');
-        nodeCard.id = nodeId;
-        nodeCard.className = 'node-card';
-        
-        // If this is a custom node, insert at the top
-        const isCustomNode = customNodes.includes(nodeUrl);
-        if (isCustomNode) {
-            // Find the first non-custom node card and insert before it
-            const firstRegularNode = Array.from(statusContainer.children).find(card => {
-                const cardNodeUrl = 'https://' + card.id.replace(/-/g, '.') + '/';
-                return !customNodes.includes(cardNodeUrl);
-            });
-            
-            if (firstRegularNode) {
-                statusContainer.insertBefore(nodeCard, firstRegularNode);
-            } else {
-                statusContainer.appendChild(nodeCard);
-            }
-        } else {
-            // Regular node goes after custom nodes
-            statusContainer.appendChild(nodeCard);
-        }
-    }
-    
-    // Update card UI to loading state
-    nodeCard.innerHTML = `
-        <div class="node-name">${nodeName}</div>
-        <div class="status">
-            <span class="status-indicator loading"></span>
-            <span>Checking...</span>
-        </div>
-        <div class="response-time">-</div>
-    `;
-    
-    // Check the node status
-    const startTime = performance.now();
-    
-    // Define timeouts
-    const busyTimeout = 2000;    // 3 seconds - mark as busy
-    const offlineTimeout = 15000; // 10 seconds - mark as unavailable
-    
-    // Create an AbortController to handle the final timeout
-    const controller = new AbortController();
-    
-    // Setup the busy timeout - if node doesn't respond in 3 seconds, mark as busy
-    const busyTimeoutId = setTimeout(() => {
-        updateNodeCard(nodeCard, 'busy');
-    }, busyTimeout);
-    
-    // Setup the unavailable timeout - if node doesn't respond in 10 seconds, mark as unavailable
-    const offlineTimeoutId = setTimeout(() => {
-        controller.abort();
-        updateNodeCard(nodeCard, 'unavailable');
-        if (callback) callback(false);
-    }, offlineTimeout);
-    
-    fetch(nodeUrl, { 
-        method: 'HEAD',
-        signal: controller.signal 
-    })
-    .then(response => {
-        // Clear both timeouts
-        clearTimeout(busyTimeoutId);
-        clearTimeout(offlineTimeoutId);
-        
-        const endTime = performance.now();
-        const responseTime = (endTime - startTime).toFixed(0);
-        
-        updateNodeCard(nodeCard, 'online', responseTime);
-        if (callback) callback(true);
-    })
-    .catch(error => {
-        // Clear both timeouts
-        clearTimeout(busyTimeoutId);
-        clearTimeout(offlineTimeoutId);
-        
-        // If it's an abort error, we've already handled it with the timeout
-        if (error.name === 'AbortError') {
-            return;
-        }
-        
-        // Check if the error is due to the node not existing
-        const isNonExistent = error.message && (
-            error.message.includes('ERR_NAME_NOT_RESOLVED') || 
-            error.message.includes('Failed to fetch')
-        );
-        
-        // Only remove non-existent nodes that aren't in the first 150
-        const isStandardNode = nodeUrl.includes(config[currentNetwork].nodePrefix);
-        const nodeNumber = isStandardNode ? parseInt(nodeUrl.match(/cu(\d+)/)[1]) : 0;
-        const isInInitialSet = nodeNumber > 0 && nodeNumber <= config[currentNetwork].initialNodes;
-        const isCustom = customNodes.includes(nodeUrl);
-        
-        if (isNonExistent && !isInInitialSet && !isCustom) {
-            // Remove card for non-existent nodes that aren't custom or in the initial set
-            nodeCard.remove();
-        } else {
-            // Node exists but is unavailable
-            updateNodeCard(nodeCard, 'unavailable');
-        }
-        
-        if (callback) callback(false);
-    });
-}
-
-// Updated function to handle three states with response time consideration
-function updateNodeCard(nodeCard, status, responseTime = null) {
-    const statusIndicator = nodeCard.querySelector('.status-indicator');
-    const statusText = nodeCard.querySelector('.status span:last-child');
-    const responseTimeEl = nodeCard.querySelector('.response-time');
-    
-    // If we have a response time, determine status based on that
-    if (responseTime !== null) {
-        const busyThreshold = 2000; // 2 seconds
-        
-        if (parseInt(responseTime) > busyThreshold) {
-            status = 'busy'; // Override the status if response time exceeds threshold
-        }
-    }
-    
-    // Set appropriate status class and text
-    switch(status) {
-        case 'online':
-            statusIndicator.className = 'status-indicator online';
-            statusText.textContent = 'Online';
-            responseTimeEl.textContent = `Response time: ${responseTime}ms`;
-            break;
-        case 'busy':
-            statusIndicator.className = 'status-indicator busy';
-            statusText.textContent = 'Busy';
-            responseTimeEl.textContent = responseTime ? `Response time: ${responseTime}ms` : 'Slow response...';
-            break;
-        case 'unavailable':
-            statusIndicator.className = 'status-indicator unavailable';
-            statusText.textContent = 'Unavailable';
-            responseTimeEl.textContent = 'Timeout';
-            break;
-    }
-}
-
-function updateSummary(onlineCount, checkedCount, totalCount) {
-
+// Show the combined results of the numbered nodes and the super clusters; called after every
+// result of either list
+function updateSummary() {
     const hundredKTotal = getHundredKNodesTotal() || 0;
     const hundredKOnline = getHundredKNodesOnline() || 0;
     // Add the hundredK nodes to our totals
-    const grandTotalCount = checkedCount + hundredKTotal;
-    const grandOnlineCount = onlineCount + hundredKOnline;
+    const grandTotalCount = mainNodesChecked + hundredKTotal;
+    const grandOnlineCount = mainNodesOnline + hundredKOnline;
     
     // Calculate percentage based on all nodes
     const percentage = ((grandOnlineCount / grandTotalCount) * 100).toFixed(1);
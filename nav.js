@@ -17,6 +17,20 @@ document.addEventListener('DOMContentLoaded', function () {
         }
     ];
 
+    // The section comes from the "section" query parameter, falling back to the hash for older links
+    function getRequestedSection() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('section') || window.location.hash.replace('#', '');
+    }
+
+    // Keeps the other query parameters (chart state) when switching sections
+    function buildSectionUrl(sectionId) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('section', sectionId);
+        url.hash = sectionId;
+        return url;
+    }
+
     function findSectionConfigByHash(hash) {
         return sections.find(config =>
             config.links.some(linkId => hash.includes(linkId.replace('Link', '')))
@@ -41,7 +55,7 @@ document.addEventListener('DOMContentLoaded', function () {
         if (activeContent) activeContent.classList.add('active');
 
         // Push state
-        window.history.pushState({ section: sectionId }, '', `#${sectionId}`);
+        window.history.pushState({ section: sectionId }, '', buildSectionUrl(sectionId));
     }
 
     // Bind click handlers
@@ -60,18 +74,18 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Handle browser nav
     window.addEventListener('popstate', function (e) {
-        const hash = window.location.hash.replace('#', '');
+        const hash = getRequestedSection();
         const config = findSectionConfigByHash(hash) || sections[0];
         switchSection(hash || config.default, config);
     });
 
     // Load correct section on page load
-    const hash = window.location.hash.replace('#', '');
+    const hash = getRequestedSection();
     const config = findSectionConfigByHash(hash) || sections.find(cfg =>
         cfg.links.some(id => document.getElementById(id))
     ) || sections[0];
     const initial = hash || config.default;
 
     switchSection(initial, config);
-    window.history.replaceState({ section: initial }, '', `#${initial}`);
+    window.history.replaceState({ section: initial }, '', buildSectionUrl(initial));
 });
@@ -0,0 +1,188 @@
+/**
+ * Node card rendering for the uptime pages, fed by the results of node-check.js.
+ * A status section is any element holding a .status-indicator, a .status text span and a
+ * .response-time line: a whole Legacynet card, or the HB / CU part of a HyperBEAM card.
+ * Cards are built here with node names as text, never as markup.
+ */
+import { formatLatencyStats } from './hyperbeam/latency.js';
+import { getMetaInfoUrl } from './hyperbeam/health.js';
+
+const STATUS_LABELS = {
+    online: 'Online',
+    busy: 'Busy',
+    unavailable: 'Unavailable'
+};
+
+/**
+ * Creates a node card waiting for its check
+ * @param {string} id - The card id
+ * @param {string} name - The node name shown on the card
+ * @returns {HTMLElement} The card
+ */
+export function createNodeCard(id, name) {
+    const nodeCard = document.createElement('div');
+    nodeCard.id = id;
+    nodeCard.className = 'node-card';
+    nodeCard.innerHTML = `
+        <div class="node-name"></div>
+        <div class="status">
+            <span class="status-indicator loading"></span>
+            <span>Queued</span>
+        </div>
+        <div class="response-time">-</div>
+    `;
+    nodeCard.querySelector('.node-name').textContent = name;
+    return nodeCard;
+}
+
+/**
+ * Gets the name shown for a node URL
+ * @param {string} url - The node URL
+ * @returns {string} The URL without protocol and trailing slash
+ */
+function getDisplayName(url) {
+    return url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Creates an HTTP / HTTPS tag
+ * @param {string} protocol - 'http' or 'https'
+ * @returns {HTMLElement} The tag
+ */
+function createProtocolTag(protocol) {
+    const tag = document.createElement('span');
+    tag.className = `protocol-tag ${protocol}`;
+    tag.textContent = protocol.toUpperCase();
+    return tag;
+}
+
+/**
+ * Creates a link of a card's action row
+ * @param {string} href - The link target
+ * @param {string} title - The link title
+ * @param {string} icon - Font Awesome icon class
+ * @returns {HTMLElement} The link
+ */
+function createActionLink(href, title, icon) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.title = title;
+    link.innerHTML = `<i class="fas ${icon}"></i>`;
+    return link;
+}
+
+/**
+ * Creates a HyperBEAM node card with a section for its paired CU, waiting for its checks
+ * @param {string} id - The card id
+ * @param {Object} node - { url, cu, protocol, cuProtocol }; cu is null without a CU, protocol tags are shown when set
+ * @returns {HTMLElement} The card
+ */
+export function createHyperBeamNodeCard(id, { url, cu = null, protocol = null, cuProtocol = null }) {
+    const nodeCard = document.createElement('div');
+    nodeCard.id = id;
+    nodeCard.className = 'node-card';
+    nodeCard.innerHTML = `
+        <div class="node-name"></div>
+        <div class="status">
+            <span class="status-indicator loading"></span>
+            <span>Queued</span>
+        </div>
+        <div class="response-time">-</div>
+        <div class="cu-status-container">
+            <div class="cu-label"></div>
+            <div class="status">
+                <span class="status-indicator ${cu ? 'loading' : 'unavailable'}"></span>
+                <span>${cu ? 'Queued' : 'Not Available'}</span>
+            </div>
+            <div class="response-time">-</div>
+        </div>
+        <div class="node-actions"></div>
+    `;
+
+    const name = nodeCard.querySelector('.node-name');
+    name.textContent = getDisplayName(url);
+    if (protocol) name.append(' ', createProtocolTag(protocol));
+
+    const cuLabel = nodeCard.querySelector('.cu-label');
+    cuLabel.textContent = `CU: ${cu ? getDisplayName(cu) : '--'}`;
+    if (cu && cuProtocol) cuLabel.append(' ', createProtocolTag(cuProtocol));
+
+    const actions = nodeCard.querySelector('.node-actions');
+    actions.appendChild(createActionLink(url, 'Visit HyperBEAM Node', 'fa-external-link-alt'));
+    actions.appendChild(createActionLink(getMetaInfoUrl(url), 'View HyperBEAM Metadata', 'fa-info-circle'));
+    if (cu) actions.appendChild(createActionLink(cu, 'Visit CU Node', 'fa-server'));
+
+    return nodeCard;
+}
+
+/**
+ * Shows a user-given label above the node name
+ * @param {HTMLElement} nodeCard - The node card
+ * @param {string|null} label - The label, if any
+ */
+export function renderNodeLabel(nodeCard, label) {
+    nodeCard.querySelector('.node-label')?.remove();
+    if (!label) return;
+
+    const labelEl = document.createElement('div');
+    labelEl.className = 'node-label';
+    labelEl.textContent = label;
+    nodeCard.insertBefore(labelEl, nodeCard.firstChild);
+}
+
+/**
+ * Shows that a queued check has started
+ * @param {HTMLElement} section - The status section
+ * @param {string} text - The status text
+ */
+export function renderCheckStarted(section, text = 'Checking...') {
+    const statusText = section.querySelector('.status span:last-child');
+    if (statusText) {
+        statusText.textContent = text;
+    }
+}
+
+/**
+ * Shows which probe of a multi-probe check is running
+ * @param {HTMLElement} section - The status section
+ * @param {number} index - The current probe
+ * @param {number} count - Probes per attempt
+ */
+export function renderCheckProgress(section, index, count) {
+    const responseTimeEl = section.querySelector('.response-time');
+    if (responseTimeEl && count > 1) {
+        responseTimeEl.textContent = `Probing ${index}/${count}...`;
+    }
+}
+
+/**
+ * Shows the result of a node check
+ * @param {HTMLElement} section - The status section
+ * @param {Object} result - Result of checkNode
+ * @param {string} unavailableText - Status text for unavailable nodes
+ */
+export function renderCheckResult(section, result, unavailableText = STATUS_LABELS.unavailable) {
+    const statusIndicator = section.querySelector('.status-indicator');
+    const statusText = section.querySelector('.status span:last-child');
+    const responseTimeEl = section.querySelector('.response-time');
+    const stats = result.stats;
+
+    statusIndicator.className = `status-indicator ${result.status}`;
+
+    if (!result.online) {
+        statusText.textContent = unavailableText;
+        responseTimeEl.textContent = stats && stats.count > 1
+            ? `No response (${stats.count} probes)`
+            : result.error === 'Timeout' ? 'Timeout' : 'No response';
+        responseTimeEl.title = result.error || '';
+        return;
+    }
+
+    statusText.textContent = STATUS_LABELS[result.status];
+    responseTimeEl.textContent = stats.count > 1
+        ? formatLatencyStats(stats)
+        : `Response time: ${result.responseTime}ms`;
+    responseTimeEl.title = `${stats.successes} of ${stats.count} probes answered`
+        + (result.attempts > 1 ? ` after ${result.attempts} attempts` : '');
+}
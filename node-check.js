@@ -0,0 +1,291 @@
+/**
+ * Node-check engine shared by the Legacynet and HyperBEAM uptime pages.
+ * Checks node descriptors and resolves with structured results; it never touches the DOM,
+ * rendering is left to node-card.js and the pages.
+ *
+ * A descriptor is { url, kind, proxy }:
+ * - kind 'http': plain HEAD request, any HTTP response counts (Legacynet CUs)
+ * - kind 'hyperbeam': ~meta@1.0/info health probe (see hyperbeam/health.js)
+ * - kind 'cu': HyperBEAM-paired CU, opaque (no-cors) responses count
+ * Through the proxy, 'http' and 'cu' nodes must answer below 500 (a 502 from a gateway in front of
+ * the node is not an answer) and 'hyperbeam' nodes must answer ~meta@1.0/info with a 2xx.
+ * - proxy: check through the node-checker proxy; URLs that already point at it are detected
+ *
+ * Checks run through one page-wide pool in priority order. Browsers only open a few connections
+ * per host and queue the rest, which would count as latency; a check's probes are timed from
+ * when its slot in the pool starts, so waiting in the queue is not measured.
+ */
+import { runProbes, summarizeProbes } from './hyperbeam/latency.js';
+import { createHealthProbe } from './hyperbeam/health.js';
+import { getProxiedUrl, isProxiedUrl, unwrapProxiedUrl } from './node-proxy.js';
+
+// Queue priorities: lower values are checked first, in request order within a priority
+export const CHECK_PRIORITY = {
+    HIGH: 0,   // Nodes the user added
+    NORMAL: 1, // The page's main node list
+    LOW: 2     // Large secondary lists
+};
+
+// Defaults for every check; pages override them per call
+export const NODE_CHECK_DEFAULTS = {
+    timeout: 10000,       // Timeout for each probe (ms)
+    busyThreshold: 2000,  // Median latency above which a node is busy (ms)
+    probeCount: 1,        // Probes per attempt
+    retries: 1,           // Extra attempts when no probe of an attempt succeeded
+    retryDelay: 1000,     // Wait before a retry (ms)
+    priority: CHECK_PRIORITY.NORMAL
+};
+
+// Checks running at the same time, page-wide; browsers open about 6 connections per host
+const DEFAULT_CONCURRENCY = 6;
+
+// Page-wide check pool
+const pool = {
+    concurrency: DEFAULT_CONCURRENCY,
+    running: 0,
+    queue: []
+};
+
+/**
+ * Reads a node-checker proxy answer
+ * @param {Response} res - The proxy response
+ * @returns {Promise<Object>} { online, status } as reported by the proxy
+ */
+async function readProxyReport(res) {
+    try {
+        return await res.json();
+    } catch {
+        return { online: false, status: null };
+    }
+}
+
+/**
+ * Checks a node through the proxy
+ * @param {string} checkUrl - The proxied URL
+ * @param {Object} fetchOptions - Options for fetch, including the probe's signal
+ * @returns {Promise<boolean>} True if the node sent an HTTP response below 500
+ */
+async function probeProxiedUrl(checkUrl, fetchOptions) {
+    const report = await readProxyReport(await fetch(checkUrl, fetchOptions));
+    return report.online === true && report.status >= 200 && report.status < 500;
+}
+
+/**
+ * Creates the probe function for a node
+ * @param {Object} node - The node descriptor
+ * @param {string} checkUrl - The URL to request (proxied if needed)
+ * @param {boolean} proxied - Whether checkUrl goes through the proxy
+ * @returns {Object} { probe(signal) => Promise<boolean>, health } with health set for HyperBEAM checks
+ * @throws {Error} For unknown node kinds
+ */
+function createProbe(node, checkUrl, proxied) {
+    const fetchOptions = { method: 'GET', mode: 'cors', credentials: 'omit' };
+
+    switch (node.kind) {
+        case 'http':
+            return {
+                probe: async signal => {
+                    if (!proxied) {
+                        await fetch(checkUrl, { method: 'HEAD', signal });
+                        return true;
+                    }
+                    return probeProxiedUrl(checkUrl, { ...fetchOptions, signal });
+                },
+                health: null
+            };
+        case 'hyperbeam': {
+            // The health probe builds its own proxied ~meta@1.0/info URL from the node URL
+            const health = createHealthProbe(unwrapProxiedUrl(checkUrl), proxied ? 'proxy' : 'direct');
+            return { probe: health.probe, health };
+        }
+        case 'cu':
+            return {
+                probe: async signal => {
+                    if (proxied) {
+                        return probeProxiedUrl(checkUrl, { ...fetchOptions, signal });
+                    }
+                    try {
+                        await fetch(checkUrl, { method: 'HEAD', signal, mode: 'no-cors', credentials: 'omit' });
+                        return true;
+                    } catch (error) {
+                        if (error.name === 'AbortError') throw error;
+                        // Treat opaque failures (CORS) as online
+                        return ['Failed to fetch', 'NotSameOrigin', 'CORS'].some(msg => error.message.includes(msg));
+                    }
+                },
+                health: null
+            };
+        default:
+            throw new Error(`Unknown node kind: ${node.kind}`);
+    }
+}
+
+/**
+ * Waits before a retry
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sets how many checks may run at the same time
+ * @param {number} concurrency - The pool size
+ */
+export function setCheckConcurrency(concurrency) {
+    pool.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    runQueuedChecks();
+}
+
+/**
+ * Gets the number of running and queued checks
+ * @returns {Object} { running, queued }
+ */
+export function getCheckQueueState() {
+    return { running: pool.running, queued: pool.queue.length };
+}
+
+/**
+ * Starts queued checks while the pool has free slots
+ */
+function runQueuedChecks() {
+    while (pool.running < pool.concurrency && pool.queue.length > 0) {
+        const job = pool.queue.shift();
+        pool.running++;
+        job.run().finally(() => {
+            pool.running--;
+            runQueuedChecks();
+        });
+    }
+}
+
+/**
+ * Queues a check by priority
+ * @param {Function} run - () => Promise; starts the check
+ * @param {number} priority - Queue priority, lower runs first
+ * @param {AbortSignal} signal - Optional signal that drops the check while it is queued
+ * @returns {Promise<boolean>} Resolves true once the check ran, false if it was dropped
+ */
+function scheduleCheck(run, priority, signal) {
+    return new Promise(resolve => {
+        const job = {
+            priority,
+            run: () => run().then(() => resolve(true))
+        };
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                const index = pool.queue.indexOf(job);
+                if (index !== -1) {
+                    pool.queue.splice(index, 1);
+                    resolve(false);
+                }
+            }, { once: true });
+        }
+
+        // After every queued check of the same or a higher priority
+        const index = pool.queue.findIndex(queued => queued.priority > priority);
+        if (index === -1) {
+            pool.queue.push(job);
+        } else {
+            pool.queue.splice(index, 0, job);
+        }
+        runQueuedChecks();
+    });
+}
+
+/**
+ * Checks one node once it gets a slot in the pool. Runs probeCount probes per attempt and retries
+ * while no probe succeeds. Never rejects: errors end up as an unavailable result.
+ * Results of checks whose signal was aborted (e.g. by a refresh) are marked cancelled.
+ * @param {Object} node - The node descriptor { url, kind, proxy }
+ * @param {Object} options - Overrides of NODE_CHECK_DEFAULTS, plus optional signal, onStart() and onProbe(index, count)
+ * @returns {Promise<Object>} { node, url, status, online, responseTime, stats, attempts, proxied, via, metadata, error, cancelled }
+ */
+export async function checkNode(node, options = {}) {
+    const settings = { ...NODE_CHECK_DEFAULTS, ...options };
+    const proxied = Boolean(node.proxy) || isProxiedUrl(node.url);
+    const checkUrl = node.proxy && !isProxiedUrl(node.url) ? getProxiedUrl(node.url) : node.url;
+
+    const result = {
+        node,
+        url: checkUrl,
+        status: 'unavailable',
+        online: false,
+        responseTime: null,
+        stats: null,
+        attempts: 0,
+        proxied,
+        via: proxied ? 'proxy' : 'direct',
+        metadata: null,
+        error: null,
+        cancelled: false
+    };
+
+    const ran = !settings.signal?.aborted
+        && await scheduleCheck(() => runCheck(node, settings, result), settings.priority, settings.signal);
+
+    if (!ran) {
+        result.error = 'Cancelled';
+    }
+    result.cancelled = Boolean(settings.signal?.aborted);
+    return result;
+}
+
+/**
+ * Runs the probes of a check and fills in its result
+ * @param {Object} node - The node descriptor
+ * @param {Object} settings - The check settings
+ * @param {Object} result - The result to fill in
+ * @returns {Promise<void>}
+ */
+async function runCheck(node, settings, result) {
+    try {
+        if (settings.onStart) settings.onStart();
+
+        const { probe, health } = createProbe(node, result.url, result.proxied);
+        let samples = [];
+
+        while (result.attempts <= settings.retries) {
+            if (result.attempts > 0) await delay(settings.retryDelay);
+            result.attempts++;
+
+            samples = await runProbes(probe, { count: settings.probeCount, timeout: settings.timeout }, settings.onProbe);
+            if (samples.some(sample => sample.ok)) break;
+        }
+
+        const stats = summarizeProbes(samples, settings.busyThreshold);
+        result.stats = stats;
+        result.status = stats.status;
+        result.online = stats.status !== 'unavailable';
+        result.responseTime = stats.p50;
+        result.error = result.online ? null : samples.map(sample => sample.error).filter(Boolean).pop() || 'No response';
+
+        if (health) {
+            result.via = health.state.via;
+            result.metadata = health.state.metadata;
+        }
+    } catch (error) {
+        console.error(`Error checking node ${node.url}:`, error.message);
+        result.error = error.message;
+    }
+}
+
+/**
+ * Checks a list of nodes through the pool; results stream in as each check finishes
+ * @param {Array<Object>} nodes - The node descriptors, in the order to check them
+ * @param {Object} options - Options for checkNode; onStart and onProbe get the node index first
+ * @param {Function} onResult - Optional (result, index) callback as each check finishes
+ * @returns {Promise<Array<Object>>} The results, in the order of nodes
+ */
+export function checkNodes(nodes, options = {}, onResult) {
+    return Promise.all(nodes.map((node, index) => checkNode(node, {
+        ...options,
+        onStart: options.onStart && (() => options.onStart(index)),
+        onProbe: options.onProbe && ((probe, count) => options.onProbe(index, probe, count))
+    }).then(result => {
+        if (onResult) onResult(result, index);
+        return result;
+    })));
+}
@@ -0,0 +1,122 @@
+/**
+ * Node-checker proxy settings shared by the uptime pages.
+ * The proxy fetches a node server-side and answers { online, status, latency }, for nodes the
+ * browser cannot reach itself (plain HTTP, CORS). Run your own with scripts/node-checker-proxy.js.
+ */
+
+// Public proxy used unless another one is configured
+export const DEFAULT_PROXY_URL = 'https://node-checker-test.ravensnestx16r.workers.dev/';
+
+// localStorage key for a user-supplied proxy URL
+const PROXY_URL_KEY = 'eyeOfAoNodeProxyUrl';
+
+// Query parameter that sets the proxy for this visit, e.g. ?proxy=http://localhost:8787/
+const PROXY_QUERY_PARAM = 'proxy';
+
+/**
+ * Normalizes a proxy base URL so query strings can be appended to it
+ * @param {string} url - The proxy URL
+ * @returns {string} The URL with a trailing slash
+ */
+function normalizeProxyUrl(url) {
+    return url.trim().replace(/\/?$/, '/');
+}
+
+/**
+ * Gets the user-supplied proxy URL, if any
+ * @returns {string|null} The stored URL
+ */
+export function getCustomProxyUrl() {
+    if (typeof localStorage === 'undefined') return null;
+    return localStorage.getItem(PROXY_URL_KEY);
+}
+
+/**
+ * Stores a user-supplied proxy URL; an empty value restores the default
+ * @param {string} url - The proxy URL
+ * @throws {Error} If the URL is not http(s)
+ */
+export function setCustomProxyUrl(url) {
+    if (typeof localStorage === 'undefined') return;
+
+    if (!url || !url.trim()) {
+        localStorage.removeItem(PROXY_URL_KEY);
+        return;
+    }
+
+    const parsed = new URL(url.trim());
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Unsupported proxy URL: ${url}`);
+    }
+    localStorage.setItem(PROXY_URL_KEY, normalizeProxyUrl(parsed.href));
+}
+
+/**
+ * Gets the proxy base URL: the ?proxy= parameter, then the stored URL, then the default
+ * @returns {string} The proxy URL, with a trailing slash
+ */
+export function getProxyUrl() {
+    const fromQuery = typeof window !== 'undefined'
+        ? new URLSearchParams(window.location.search).get(PROXY_QUERY_PARAM)
+        : null;
+    return normalizeProxyUrl(fromQuery || getCustomProxyUrl() || DEFAULT_PROXY_URL);
+}
+
+/**
+ * Builds the proxy URL that checks a node
+ * @param {string} nodeUrl - The node URL
+ * @returns {string} The proxied URL
+ */
+export function getProxiedUrl(nodeUrl) {
+    return `${getProxyUrl()}?url=${encodeURIComponent(nodeUrl)}`;
+}
+
+/**
+ * Checks whether a URL goes through the proxy
+ * @param {string} url - The URL
+ * @returns {boolean} True for proxied URLs
+ */
+export function isProxiedUrl(url) {
+    return url.startsWith(`${getProxyUrl()}?url=`);
+}
+
+/**
+ * Gets the node URL behind a proxied URL
+ * @param {string} url - A proxied or plain URL
+ * @returns {string} The node URL
+ */
+export function unwrapProxiedUrl(url) {
+    if (isProxiedUrl(url)) {
+        return decodeURIComponent(url.slice(`${getProxyUrl()}?url=`.length));
+    }
+    return url;
+}
+
+/**
+ * Shows the active proxy in an element and lets the user set a custom one by clicking it
+ * @param {string} elementId - The id of the display element
+ */
+export function setupProxyDisplay(elementId) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    element.textContent = `Node-checker proxy: ${new URL(getProxyUrl()).host}`;
+    element.title = 'Click to use your own node-checker proxy';
+
+    element.addEventListener('click', () => {
+        const url = prompt(
+            'Node-checker proxy URL (e.g. http://localhost:8787/). Leave empty to use the default.',
+            getCustomProxyUrl() || ''
+        );
+
+        // Cancelled
+        if (url === null) return;
+
+        try {
+            setCustomProxyUrl(url);
+            window.location.reload();
+        } catch (error) {
+            alert(error.message);
+        }
+    });
+}
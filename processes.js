@@ -1,13 +1,32 @@
 /**
  * Process definitions and query generation for Eye of AO dashboard
  */
+import { queryGraphQL } from './graphql.js';
 
-// Define processes with their query parameters
+// Define processes declaratively. Each entry describes:
+//  - tags: the GraphQL tag filters for the count query
+//  - fromProcess / spawnerProcess: where the "From-Process" addresses come from,
+//    either a static list or discovery through a spawner's "Spawned" messages
+//  - granularity: 'daily' (default) or 'weekly' periods
+//  - defaultPeriods: the periods loaded on start (default 'daily', or 'weekly' for weekly processes)
+//      'daily'             the last two weeks, one period per day
+//      'oneWeek'           the last week only, for charts whose queries are expensive
+//      'weekly'            the last twelve weeks, one period per week
+//  - metric: what is measured per period (default 'count')
+//      'count'             number of matching messages (GraphQL count query)
+//      'uniqueAddresses'   distinct wallets in the messages' Sender/Recipient tags (paged query)
+//  - chart: how the process is shown on the dashboard
+//      { type: 'line' }                          standard single-line chart
+//      { type: 'combined', secondary: <key> }    chart that also plots <key>
+//      { type: 'secondary', primary: <key> }     plotted inside <key>'s chart
+//      { type: 'supply' }                        supply history chart (not query based)
 export const PROCESSES = {
     permaswap: {
         description: "Permaswap Order Notice Processes",
-        protocol: "ao",
-        action: "Order-Notice",
+        tags: [
+            { name: "Data-Protocol", values: ["ao"] },
+            { name: "Action", values: ["Order-Notice"] }
+        ],
         spawnerProcess: "5G5_ftQT6f2OsmJ8EZ4-84eRcIMNEmUyH9aQSD85f9I",
         defaultAddresses: [
             "xZwIYa2DapmKmOpqOn9iMN0YQnYV4hgtwKadiKBpbt8",
@@ -18,56 +37,128 @@ export const PROCESSES = {
             "-9lYCEgMbASuQMr76ddhnaT3H996UFjMPc5jOs3kiAk",
             "qhMOXu9ANdOmOE38fHC3PnJuRsAQ6JzGFNq09oBSmpM",
             "7AOIMfTZVpX52-XYBDS7VHsXdqEYYsGdYND_MoEVEwg",
-        ]
+        ],
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'line' }
     },
     botega: {
         description: "Botega Order Confirmation Processes",
-        protocol: "ao",
-        action: "Order-Confirmation",
+        tags: [
+            { name: "Data-Protocol", values: ["ao"] },
+            { name: "Action", values: ["Order-Confirmation"] }
+        ],
         spawnerProcess: "3XBGLrygs11K63F_7mldWz4veNx6Llg6hI2yZs8LKHo",
-        defaultAddresses: []
+        defaultAddresses: [],
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'line' }
     },
     wARTransfer: {
         description: "wAR Token Transfer",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
         fromProcess: ["xU9zFkq3X2ZQ6olwNVvr1vUWIjc3kXTWr7xKQD6dh10"],
-        action: "Credit-Notice",
-        displayName: "wAR Transfers"
+        displayName: "wAR Transfers",
+        chart: { type: 'line' }
     },
     wARweeklyTransfer: {
         description: "wAR Weekly Token Transfer",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
         fromProcess: ["xU9zFkq3X2ZQ6olwNVvr1vUWIjc3kXTWr7xKQD6dh10"],
-        action: "Credit-Notice",
-        displayName: "wAR Weekly Transfers"
+        displayName: "wAR Weekly Transfers",
+        granularity: 'weekly',
+        chart: { type: 'line' }
     },
     wUSDCTransfer: {
         description: "wUSDC Token Transfer",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
         fromProcess: ["7zH9dlMNoxprab9loshv3Y7WG45DOny_Vrq9KrXObdQ"],
-        action: "Credit-Notice",
-        displayName: "wUSDC Transfers"
+        displayName: "wUSDC Transfers",
+        chart: { type: 'combined', secondary: 'USDATransfer' }
     },
     USDATransfer: {
         description: "USDA Token Transfer",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
         fromProcess: ["o2eqRo_mwJrvToPyeZf7igiJOJz-efODYq3m6ufb4HM"],
-        action: "Credit-Notice",
-        displayName: "USDA Transfers"
+        displayName: "USDA Transfers",
+        chart: { type: 'secondary', primary: 'wUSDCTransfer' }
     },
     AOTransfer: {
         description: "AO Token Transfer",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
+        fromProcess: ["0syT13r0s0tgPmIed95bJnuSqaD29HQNN8D3ElLSrsc"],
+        displayName: "AO Transfers",
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'line' }
+    },
+    AOActiveWallets: {
+        description: "AO Unique Active Addresses",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
         fromProcess: ["0syT13r0s0tgPmIed95bJnuSqaD29HQNN8D3ElLSrsc"],
-        action: "Credit-Notice",
-        displayName: "AO Transfers"
+        metric: 'uniqueAddresses',
+        displayName: "AO Active Wallets",
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'line' }
+    },
+    wARActiveWallets: {
+        description: "wAR Unique Active Addresses",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
+        fromProcess: ["xU9zFkq3X2ZQ6olwNVvr1vUWIjc3kXTWr7xKQD6dh10"],
+        metric: 'uniqueAddresses',
+        displayName: "wAR Active Wallets",
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'line' }
+    },
+    wUSDCActiveWallets: {
+        description: "wUSDC Unique Active Addresses",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
+        fromProcess: ["7zH9dlMNoxprab9loshv3Y7WG45DOny_Vrq9KrXObdQ"],
+        metric: 'uniqueAddresses',
+        displayName: "wUSDC Active Wallets",
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'combined', secondary: 'USDAActiveWallets' }
+    },
+    USDAActiveWallets: {
+        description: "USDA Unique Active Addresses",
+        tags: [
+            { name: "Action", values: ["Credit-Notice"] }
+        ],
+        fromProcess: ["o2eqRo_mwJrvToPyeZf7igiJOJz-efODYq3m6ufb4HM"],
+        metric: 'uniqueAddresses',
+        displayName: "USDA Active Wallets",
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'secondary', primary: 'wUSDCActiveWallets' }
     },
     wARTotalSupply: {
         description: "wAR Total Supply",
         wARProcess: "Bi6bSPz-IyOCX9ZNedmLzv7Z6yxsrj9nHE1TnZzm_ks",
-        action: "SupplyHistory"
+        action: "SupplyHistory",
+        chart: { type: 'supply' }
     },
     llamaLand: {
         description: "LlamaLand Login Info",
+        tags: [
+            { name: "Action", values: ["Login-Info"] },
+            { name: "Message", values: ["No Reward"] }
+        ],
         fromProcess: ["2dFSGGlc5xJb0sWinAnEFHM-62tQEbhDzi1v5ldWX5k"],
-        action: "Login-Info",
-        message: "No Reward",
-        displayName: "LlamaLand"
+        displayName: "LlamaLand",
+        defaultPeriods: 'oneWeek',
+        chart: { type: 'line' }
     }
 };
 
@@ -121,6 +212,7 @@ async function fetchProcessAddresses(spawnerProcess, defaultAddresses = []) {
         let cursor = null;
         let pageCount = 0;
         const MAX_PAGES = 10; // Limit pages to avoid excessive queries
+        const session = {}; // Keeps every page on the gateway that issued the cursor
 
         console.log(`Fetching process addresses for spawner ${spawnerProcess}...`);
 
@@ -128,19 +220,7 @@ async function fetchProcessAddresses(spawnerProcess, defaultAddresses = []) {
         while (hasNextPage && pageCount < MAX_PAGES) {
             pageCount++;
             
-            const response = await fetch('https://arweave-search.goldsky.com/graphql', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({ query: buildQuery(cursor) }),
-            });
-
-            if (!response.ok) {
-                throw new Error(`Network error: ${response.status}`);
-            }
-
-            const result = await response.json();
+            const result = await queryGraphQL(buildQuery(cursor), { session });
 
             if (result.errors) {
                 console.error('GraphQL errors:', result.errors);
@@ -189,103 +269,279 @@ async function fetchProcessAddresses(spawnerProcess, defaultAddresses = []) {
 }
 
 /**
- * Generates a GraphQL query for a specific process and block range
- * @param {string} processType - The process type
- * @param {number} startHeight - The starting block height
- * @param {number} endHeight - The ending block height
- * @param {number} currentHeight - The current block height
- * @returns {Promise<string>} The generated GraphQL query
+ * Resolves the "From-Process" addresses for a process definition
+ * @param {Object} process - The process definition from PROCESSES
+ * @returns {Promise<Array>} Array of process addresses
  */
-export async function generateQuery(processType, startHeight, endHeight, currentHeight) {
-    const process = PROCESSES[processType];
-    
-    if (!process) {
-        throw new Error(`Unknown process type: ${processType}`);
+async function resolveProcessAddresses(process) {
+    if (process.spawnerProcess) {
+        return fetchProcessAddresses(process.spawnerProcess, process.defaultAddresses);
     }
+    return process.fromProcess || [];
+}
 
-    // If endHeight is current block height, only use min for live data
-    const blockRange = endHeight === currentHeight 
-        ? `block: { min: ${startHeight} }`
-        : `block: { min: ${startHeight}, max: ${endHeight} }`;
+/**
+ * Builds a GraphQL count query from a block range and tag filters
+ * @param {string} blockRange - The block range clause
+ * @param {Array} tags - Array of { name, values } tag filters
+ * @returns {string} The GraphQL query
+ */
+function buildCountQuery(blockRange, tags) {
+    const tagFilters = tags
+        .map(tag => `{ name: "${tag.name}", values: ${JSON.stringify(tag.values)} }`)
+        .join('\n                        ');
 
-    switch(processType) {
-        case 'permaswap': {
-            // Fetch addresses for Permaswap
-            const addresses = await fetchProcessAddresses(
-                process.spawnerProcess, 
-                process.defaultAddresses
-            );
-            
-            return `query {
-                transactions (
-                    ${blockRange}
-                    tags: [
-                        { name: "Data-Protocol", values: ["${process.protocol}"] }
-                        { name: "Action", values: ["${process.action}"] }
-                        { name: "From-Process", values: ${JSON.stringify(addresses)} }
-                    ]
-                ) {
-                    count
-                }
-            }`;
-        }
-            
-        case 'botega': {
-            // Fetch addresses for Botega
-            const addresses = await fetchProcessAddresses(
-                process.spawnerProcess,
-                process.defaultAddresses
-            );
-            
-            return `query {
+    return `query {
                 transactions (
                     ${blockRange}
                     tags: [
-                        { name: "Data-Protocol", values: ["${process.protocol}"] }
-                        { name: "Action", values: ["${process.action}"] }
-                        { name: "From-Process", values: ${JSON.stringify(addresses)} }
+                        ${tagFilters}
                     ]
                 ) {
                     count
                 }
             }`;
-        }
-            
-        case 'wARTransfer':
-        case 'wARweeklyTransfer':
-        case 'wUSDCTransfer':
-        case 'USDATransfer':
-        case 'AOTransfer':
-            return `query {
+}
+
+/**
+ * Builds a GraphQL query for one page of transactions from a block range and tag filters
+ * @param {string} blockRange - The block range clause
+ * @param {Array} tags - Array of { name, values } tag filters
+ * @param {string|null} cursor - Cursor of the last edge of the previous page
+ * @returns {string} The GraphQL query
+ */
+function buildPageQuery(blockRange, tags, cursor) {
+    const tagFilters = tags
+        .map(tag => `{ name: "${tag.name}", values: ${JSON.stringify(tag.values)} }`)
+        .join('\n                        ');
+
+    return `query {
                 transactions (
-                    ${blockRange}
-                    tags:[
-                        { name:"Action", values: ["${process.action}"]},
-                        { name: "From-Process", values: ${JSON.stringify(process.fromProcess)}},
-                    ]
-                ) {
-                    count
-                }
-            }`;
-            
-        case 'llamaLand':
-            return `query {
-                transactions(
                     ${blockRange}
                     tags: [
-                        { name: "From-Process", values: ${JSON.stringify(process.fromProcess)}}
-                        { name: "Action", values: "${process.action}" },
-                        { name: "Message", values: "${process.message}" },
+                        ${tagFilters}
                     ],
-                    sort: HEIGHT_DESC
+                    first: 100,
+                    after: ${cursor ? `"${cursor}"` : null}
                 ) {
-                    count
+                    edges {
+                        node {
+                            id
+                            recipient
+                            tags {
+                                name
+                                value
+                            }
+                        }
+                        cursor
+                    }
+                    pageInfo {
+                        hasNextPage
+                    }
                 }
             }`;
+}
+
+/**
+ * Resolves the block range clause and tag filters of a process query
+ * @param {string} processType - The process type
+ * @param {number} startHeight - The starting block height
+ * @param {number} endHeight - The ending block height
+ * @param {number} currentHeight - The current block height
+ * @returns {Promise<Object>} { blockRange, tags }
+ */
+async function resolveQueryFilters(processType, startHeight, endHeight, currentHeight) {
+    const process = PROCESSES[processType];
+    
+    if (!process) {
+        throw new Error(`Unknown process type: ${processType}`);
+    }
+
+    if (!process.tags) {
+        throw new Error(`Query template not found for process type: ${processType}`);
+    }
+
+    // If endHeight is current block height, only use min for live data
+    const blockRange = endHeight === currentHeight 
+        ? `block: { min: ${startHeight} }`
+        : `block: { min: ${startHeight}, max: ${endHeight} }`;
+
+    const addresses = await resolveProcessAddresses(process);
+
+    return {
+        blockRange,
+        tags: [
+            ...process.tags,
+            { name: "From-Process", values: addresses }
+        ]
+    };
+}
+
+/**
+ * Generates a GraphQL query for a specific process and block range
+ * @param {string} processType - The process type
+ * @param {number} startHeight - The starting block height
+ * @param {number} endHeight - The ending block height
+ * @param {number} currentHeight - The current block height
+ * @returns {Promise<string>} The generated GraphQL query
+ */
+export async function generateQuery(processType, startHeight, endHeight, currentHeight) {
+    const { blockRange, tags } = await resolveQueryFilters(processType, startHeight, endHeight, currentHeight);
+    return buildCountQuery(blockRange, tags);
+}
+
+/**
+ * Generates a GraphQL query for one page of a process's transactions in a block range
+ * @param {string} processType - The process type
+ * @param {number} startHeight - The starting block height
+ * @param {number} endHeight - The ending block height
+ * @param {number} currentHeight - The current block height
+ * @param {string|null} cursor - Cursor of the last edge of the previous page, null for the first page
+ * @returns {Promise<string>} The generated GraphQL query
+ */
+export async function generatePageQuery(processType, startHeight, endHeight, currentHeight, cursor = null) {
+    const { blockRange, tags } = await resolveQueryFilters(processType, startHeight, endHeight, currentHeight);
+    return buildPageQuery(blockRange, tags, cursor);
+}
+
+/**
+ * Counts the distinct wallets active in a process's messages over a block range.
+ * Pages through every matching transaction and reads its Sender and Recipient tags
+ * (falling back to the transaction recipient when there is no Recipient tag).
+ * @param {string} processName - The name of the process
+ * @param {Object} period - The time period with start/end heights
+ * @param {number} currentHeight - Current blockchain height
+ * @returns {Promise<Object>} { count, senders, recipients }; count is the number of distinct addresses on either side
+ * @throws {Error} If a page cannot be fetched
+ */
+export async function fetchUniqueAddresses(processName, period, currentHeight) {
+    const senders = new Set();
+    const recipients = new Set();
+    let cursor = null;
+    let hasNextPage = true;
+    // Pages after the first stay on the gateway that issued the cursor
+    const session = {};
+    
+    while (hasNextPage) {
+        const query = await generatePageQuery(
+            processName,
+            period.startHeight,
+            period.endHeight,
+            currentHeight,
+            cursor
+        );
+        
+        const result = await queryGraphQL(query, { session });
+        if (result.errors) {
+            throw new Error(`GraphQL errors: ${result.errors.map(e => e.message).join('; ')}`);
+        }
+        
+        const { edges, pageInfo } = result.data.transactions;
+        edges.forEach(edge => {
+            const tags = edge.node.tags || [];
+            const sender = tags.find(tag => tag.name === 'Sender')?.value;
+            const recipient = tags.find(tag => tag.name === 'Recipient')?.value || edge.node.recipient;
             
-        default:
-            throw new Error(`Query template not found for process type: ${processType}`);
+            if (sender) senders.add(sender);
+            if (recipient) recipients.add(recipient);
+        });
+        
+        hasNextPage = pageInfo.hasNextPage && edges.length > 0;
+        if (hasNextPage) {
+            cursor = edges[edges.length - 1].cursor;
+        }
     }
+    
+    return {
+        count: new Set([...senders, ...recipients]).size,
+        senders: senders.size,
+        recipients: recipients.size
+    };
+}
+
+/**
+ * Describes what a process's queries match: its metric, tag filters and resolved
+ * "From-Process" addresses (including the ones discovered through a spawner)
+ * @param {string} processType - The process type
+ * @returns {Promise<string>} The signature; it changes whenever the built queries would
+ */
+export async function getQuerySignature(processType) {
+    const process = PROCESSES[processType];
+    const addresses = await resolveProcessAddresses(process);
+
+    return JSON.stringify({
+        metric: getProcessMetric(processType),
+        tags: process.tags,
+        fromProcess: [...addresses].sort()
+    });
+}
+
+/**
+ * Checks whether a process is fetched through GraphQL count queries
+ * @param {string} processName - The process name
+ * @returns {boolean} True if the process declares query tags
+ */
+export function isQueryProcess(processName) {
+    return Boolean(PROCESSES[processName]?.tags);
+}
+
+/**
+ * Gets what a process measures per period
+ * @param {string} processName - The process name
+ * @returns {string} 'count' or 'uniqueAddresses'
+ */
+export function getProcessMetric(processName) {
+    return PROCESSES[processName]?.metric || 'count';
+}
+
+/**
+ * Checks whether a process is counted per week instead of per day
+ * @param {string} processName - The process name
+ * @returns {boolean} True for weekly processes
+ */
+export function isWeeklyProcess(processName) {
+    return PROCESSES[processName]?.granularity === 'weekly';
+}
+
+/**
+ * Gets the set of periods a process loads on start
+ * @param {string} processName - The process name
+ * @returns {string} 'daily', 'oneWeek' or 'weekly'
+ */
+export function getDefaultPeriods(processName) {
+    return PROCESSES[processName]?.defaultPeriods || (isWeeklyProcess(processName) ? 'weekly' : 'daily');
+}
+
+/**
+ * Gets the names of all processes that own a chart on the dashboard.
+ * Secondary processes are plotted inside their primary's chart and are excluded.
+ * @returns {Array<string>} Array of process names
+ */
+export function getChartProcesses() {
+    return Object.keys(PROCESSES).filter(processName => {
+        const chart = PROCESSES[processName].chart;
+        return chart && chart.type !== 'secondary';
+    });
+}
+
+/**
+ * Gets the processes plotted on a chart, in dataset order
+ * @param {string} chartName - The chart's process name
+ * @returns {Array<string>} Array of process names
+ */
+export function getChartSeriesProcesses(chartName) {
+    const chart = PROCESSES[chartName]?.chart;
+    return chart?.type === 'combined' ? [chartName, chart.secondary] : [chartName];
+}
+
+/**
+ * Gets the name of the chart a process is shown in
+ * @param {string} processName - The process name
+ * @returns {string} The process name that owns the chart
+ */
+export function getChartOwner(processName) {
+    const chart = PROCESSES[processName]?.chart;
+    return chart?.type === 'secondary' ? chart.primary : processName;
 }
 
 /**
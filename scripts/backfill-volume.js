@@ -0,0 +1,245 @@
+// scripts/backfill-volume.js
+//
+// Fills the gaps in data/volume-stats.json (and the matching days of data/leaderboards.json)
+// left by missed hourly runs.
+// For every registered token it looks for dates without a volume entry, resolves each
+// missing day to a block range and computes its volume. Existing entries are never changed.
+//
+//   node scripts/backfill-volume.js [--dry-run] [--token=<ticker>] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--repo=<path>]
+//
+// --dry-run  only print the planned work
+// --token    backfill a single token (default: every token in tokens.json)
+// --from     first date to check (default: the token's first entry, or the file's for a new token)
+// --to       last date to check (default: yesterday, today belongs to the hourly run)
+// --repo     repository holding the data files (default: VOLUME_REPO_PATH, else this checkout),
+//            the same one calculate-daily-volume.js writes to
+const fs = require('fs');
+const path = require('path');
+const { VOLUME_TOKENS, calculateTokenVolume } = require('./volume-calculator');
+const { fetchBlockHistory } = require('./block-history');
+const { LEADERBOARD_FILE_PATH, LEADERBOARD_OPTIONS, loadLeaderboards, setLeaderboardEntry, saveLeaderboards } = require('./leaderboards');
+
+// Constants
+const DATA_FILE_PATH = 'data/volume-stats.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse --name=value arguments
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return args;
+}
+
+// Helper function to format date as YYYY-MM-DD
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Shift a YYYY-MM-DD date by a number of days
+function addDays(dateStr, days) {
+  return formatDate(new Date(new Date(`${dateStr}T00:00:00Z`).getTime() + days * DAY_MS));
+}
+
+// All dates from `from` to `to`, inclusive
+function listDates(from, to) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Build a lookup of the block height at the end of each day.
+// Heights from the file itself (blockHeights, then the volume entries) win so backfilled ranges
+// join seamlessly with the hourly runs; the DailyBlocks history (height at 00:00 UTC) covers
+// days the file knows nothing about.
+function createEndHeightLookup(volumeStats, blockHistory) {
+  const endHeights = new Map();
+
+  blockHistory.forEach(block => {
+    // The height at 00:00 UTC of a day is the end height of the day before
+    const date = formatDate(new Date(block.date));
+    endHeights.set(addDays(date, -1), block.blockHeight);
+  });
+
+  Object.values(volumeStats.volumeData).flat().forEach(entry => {
+    if (typeof entry.endHeight === 'number') {
+      endHeights.set(entry.date, entry.endHeight);
+    }
+  });
+
+  volumeStats.blockHeights.forEach(entry => {
+    endHeights.set(entry.date, entry.endHeight);
+  });
+
+  return date => endHeights.get(date);
+}
+
+// Dates in [from, to] that a token has no entry for
+function findMissingDates(entries, from, to) {
+  const present = new Set(entries.map(entry => entry.date));
+  return listDates(from, to).filter(date => !present.has(date));
+}
+
+// Plan the backfill: one job per token and missing day with a resolvable block range
+function planBackfill(volumeStats, getEndHeight, tokens, options) {
+  const allDates = Object.values(volumeStats.volumeData).flat().map(entry => entry.date).sort();
+  const jobs = [];
+  const unresolved = [];
+
+  tokens.forEach(ticker => {
+    const entries = volumeStats.volumeData[ticker] || [];
+    const firstDate = entries.map(entry => entry.date).sort()[0] || allDates[0];
+    const from = options.from || firstDate;
+
+    if (!from) {
+      console.log(`${ticker}: no entries and no --from date, nothing to backfill`);
+      return;
+    }
+
+    findMissingDates(entries, from, options.to).forEach(date => {
+      const startHeight = getEndHeight(addDays(date, -1));
+      const endHeight = getEndHeight(date);
+
+      if (startHeight === undefined || endHeight === undefined || endHeight <= startHeight) {
+        unresolved.push({ ticker, date });
+      } else {
+        jobs.push({ ticker, date, startHeight, endHeight });
+      }
+    });
+  });
+
+  return { jobs, unresolved };
+}
+
+// Insert an entry into a list sorted by date
+function insertByDate(entries, entry) {
+  const index = entries.findIndex(existing => existing.date > entry.date);
+  if (index === -1) {
+    entries.push(entry);
+  } else {
+    entries.splice(index, 0, entry);
+  }
+}
+
+// Main function; argv are the command line arguments, services replace the network calls in tests
+async function backfillVolume(argv, services = {}) {
+  const { fetchBlockHistory: fetchHistory = fetchBlockHistory, calculateTokenVolume: calculate = calculateTokenVolume } = services;
+  const args = parseArgs(argv);
+  const dryRun = Boolean(args['dry-run']);
+  const options = {
+    from: args.from,
+    to: args.to || formatDate(new Date(Date.now() - DAY_MS))
+  };
+
+  [options.from, options.to].forEach(date => {
+    if (date !== undefined && !DATE_PATTERN.test(date)) {
+      throw new Error(`Invalid date "${date}", expected YYYY-MM-DD`);
+    }
+  });
+
+  const repoPath = path.resolve(args.repo || process.env.VOLUME_REPO_PATH || path.join(__dirname, '..'));
+  const dataFile = path.join(repoPath, DATA_FILE_PATH);
+  const leaderboardFile = path.join(repoPath, LEADERBOARD_FILE_PATH);
+
+  const tokens = args.token ? [args.token] : Object.keys(VOLUME_TOKENS);
+  tokens.forEach(ticker => {
+    if (!VOLUME_TOKENS[ticker]) {
+      throw new Error(`Unknown token: ${ticker} (registered: ${Object.keys(VOLUME_TOKENS).join(', ')})`);
+    }
+  });
+
+  console.log(`Starting volume backfill${dryRun ? ' (dry run)' : ''}...`);
+
+  if (!fs.existsSync(dataFile)) {
+    throw new Error(`No volume data found at ${dataFile}`);
+  }
+  const volumeStats = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+  let blockHistory = [];
+  try {
+    blockHistory = await fetchHistory();
+    console.log(`Loaded ${blockHistory.length} days of block history`);
+  } catch (error) {
+    console.warn('Block history unavailable, using the heights in the volume file only:', error.message);
+  }
+
+  const getEndHeight = createEndHeightLookup(volumeStats, blockHistory);
+  const { jobs, unresolved } = planBackfill(volumeStats, getEndHeight, tokens, options);
+
+  unresolved.forEach(({ ticker, date }) => {
+    console.warn(`⚠️ ${ticker} ${date}: no block range found, skipping`);
+  });
+
+  if (jobs.length === 0) {
+    console.log('✅ No gaps to backfill.');
+    return;
+  }
+
+  console.log(`Planned ${jobs.length} backfill jobs:`);
+  jobs.forEach(job => {
+    console.log(`  ${job.ticker} ${job.date}: blocks ${job.startHeight} -> ${job.endHeight}`);
+  });
+
+  if (dryRun) {
+    console.log('Dry run, nothing written.');
+    return;
+  }
+
+  const leaderboards = loadLeaderboards(leaderboardFile);
+  let completed = 0;
+  for (const job of jobs) {
+    try {
+      const result = await calculate(job.ticker, job.startHeight, job.endHeight, LEADERBOARD_OPTIONS);
+
+      if (!volumeStats.volumeData[job.ticker]) {
+        volumeStats.volumeData[job.ticker] = [];
+      }
+      insertByDate(volumeStats.volumeData[job.ticker], {
+        date: job.date,
+        startHeight: job.startHeight,
+        endHeight: job.endHeight,
+        volume: result.volume
+      });
+
+      if (!volumeStats.blockHeights.some(entry => entry.date === job.date)) {
+        insertByDate(volumeStats.blockHeights, { date: job.date, endHeight: job.endHeight });
+      }
+
+      completed++;
+      console.log(`✓ ${job.ticker} ${job.date}: ${result.rawTotal}`);
+
+      setLeaderboardEntry(leaderboards, job.ticker, job.date, result);
+
+      // Save after every day so an interrupted backfill keeps its progress
+      fs.writeFileSync(dataFile, JSON.stringify(volumeStats, null, 2));
+      saveLeaderboards(leaderboardFile, leaderboards);
+    } catch (error) {
+      console.error(`❌ ${job.ticker} ${job.date} failed:`, error.message);
+    }
+  }
+
+  console.log(`Backfill complete: ${completed} of ${jobs.length} days written to ${dataFile}`);
+}
+
+if (require.main === module) {
+  backfillVolume(process.argv.slice(2)).catch(error => {
+    console.error('Error in volume backfill:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DATA_FILE_PATH,
+  createEndHeightLookup,
+  findMissingDates,
+  planBackfill,
+  insertByDate,
+  backfillVolume
+};
@@ -0,0 +1,47 @@
+// scripts/block-history.js
+//
+// DailyBlocks history of the block tracking process: the Arweave block height at 00:00 UTC
+// of each day. Same data as api.js#fetchBlockHistory, fetched without aoconnect.
+const fetch = require('node-fetch');
+
+// Constants
+const BLOCK_TRACKING_PROCESS = 'V5Pm1eScgJo1Ue6R0NL_qVUM53leE_B3zavwf1Z5zPk';
+const CU_URL = process.env.AO_CU_URL || 'https://cu.ao-testnet.xyz';
+
+// Fetch the DailyBlocks history, sorted by date (descending) as the browser does
+async function fetchBlockHistory() {
+  const response = await fetch(`${CU_URL}/dry-run?process-id=${BLOCK_TRACKING_PROCESS}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      Id: '1234',
+      Owner: '1234',
+      Target: BLOCK_TRACKING_PROCESS,
+      Anchor: '0',
+      Data: '',
+      Tags: [
+        { name: 'Action', value: 'BlocksHistory' },
+        { name: 'Data-Protocol', value: 'ao' },
+        { name: 'Type', value: 'Message' },
+        { name: 'Variant', value: 'ao.TN.1' }
+      ]
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Dry run failed: ${response.status} ${response.statusText}`);
+  }
+
+  const result = await response.json();
+  const dailyBlocksTag = result.Messages?.[0]?.Tags?.find(tag => tag.name === 'DailyBlocks');
+  if (!dailyBlocksTag) {
+    throw new Error('No DailyBlocks tag found in the response');
+  }
+
+  return JSON.parse(dailyBlocksTag.value).sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+module.exports = {
+  BLOCK_TRACKING_PROCESS,
+  fetchBlockHistory
+};
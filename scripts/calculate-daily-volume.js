@@ -1,28 +1,34 @@
 // scripts/calculate-daily-volume.js
+//
+// Updates data/volume-stats.json and data/leaderboards.json, then hands them to a publishing target.
+//
+//   node scripts/calculate-daily-volume.js [--publish=file|git|hook] [--no-publish] [--repo=<path>]
+//
+// --publish     file (default): keep the data file local, or copy it to --output=<dir>
+//               git: sync with --remote/--branch (default origin/main) by fast-forward, then commit and push
+//               hook: call the module given by --hook=<path> (see publishers.js)
+// --no-publish  only update the data file, e.g. for local runs
+// --repo        repository holding data/volume-stats.json (default: this checkout)
+//
+// The repository, remote and branch can also be set with VOLUME_REPO_PATH, VOLUME_GIT_REMOTE
+// and VOLUME_GIT_BRANCH.
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
 const fetch = require('node-fetch');
-
-try {
-  console.log('🧼 Resetting repo to remote state (brutal mode)...');
-  execSync('git fetch origin main', { cwd: '/root/the_eye_of_AO', stdio: 'inherit' });
-  execSync('git reset --hard origin/main', { cwd: '/root/the_eye_of_AO', stdio: 'inherit' });
-  console.log('✅ Local repo now matches remote exactly.');
-} catch (err) {
-  console.error('❌ Git reset/pull failed:', err.message);
-}
+const { VOLUME_TOKENS, calculateTokenVolume } = require('./volume-calculator');
+const { createPublisher } = require('./publishers');
+const {
+  LEADERBOARD_FILE_PATH, LEADERBOARD_OPTIONS, loadLeaderboards, setLeaderboardEntry, setHoldersEntry, saveLeaderboards
+} = require('./leaderboards');
+const { fetchTopHolders } = require('./holders');
 
 // Constants
-const DATA_FILE = path.join(__dirname, '../data/volume-stats.json');
+const DATA_FILE_PATH = 'data/volume-stats.json';
+const COMMIT_MESSAGE = 'Hourly Volume Update';
 const DEFAULT_DATA = {
   lastUpdated: new Date().toISOString(),
   blockHeights: [],
-  volumeData: {
-    wAR: [],
-    AO: [],
-    wUSDC: []
-  }
+  volumeData: Object.fromEntries(Object.keys(VOLUME_TOKENS).map(ticker => [ticker, []]))
 };
 
 // Helper function to format date as YYYY-MM-DD
@@ -96,36 +102,6 @@ function getAttributionDate() {
   return now;
 }
 
-// Extract volume from PowerShell output
-function extractVolumeFromOutput(output) {
-  console.log("Raw script output sample: " + output.substring(0, 500) + "...");
-  
-  // Try to find "Final total: X" pattern
-  const finalTotalMatch = output.match(/Final total: ([0-9,]+)/);
-  if (finalTotalMatch && finalTotalMatch[1]) {
-    const volume = parseFloat(finalTotalMatch[1].replace(/,/g, ''));
-    console.log(`Found final total pattern: ${finalTotalMatch[1]} → ${volume}`);
-    return volume;
-  }
-
-  // Look for last number in output as fallback
-  const lines = output.trim().split('\n');
-  for (let i = lines.length - 1; i >= 0; i--) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    
-    const numberMatch = line.match(/[0-9,]+(\.[0-9]+)?$/);
-    if (numberMatch) {
-      const volume = parseFloat(numberMatch[0].replace(/,/g, ''));
-      console.log(`Found number at end of line: "${line}" → ${volume}`);
-      return volume;
-    }
-  }
-  
-  console.warn("Could not extract volume from output.");
-  return null;
-}
-
 // Find most recent entry before given date
 function findPreviousEntry(entries, dateStr) {
   const sortedEntries = [...entries].sort((a, b) => {
@@ -135,8 +111,32 @@ function findPreviousEntry(entries, dateStr) {
   return sortedEntries.find(entry => entry.date < dateStr);
 }
 
+// Parse --name=value arguments
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return args;
+}
+
+// Resolve the publishing configuration from CLI flags and environment
+function getConfig(args) {
+  return {
+    repoPath: path.resolve(args.repo || process.env.VOLUME_REPO_PATH || path.join(__dirname, '..')),
+    remote: args.remote || process.env.VOLUME_GIT_REMOTE || 'origin',
+    branch: args.branch || process.env.VOLUME_GIT_BRANCH || 'main',
+    publish: args['no-publish'] ? null : (args.publish || 'file'),
+    output: args.output,
+    hook: args.hook
+  };
+}
+
 // Main function
-async function calculateDailyVolume() {
+async function calculateDailyVolume(dataFile, leaderboardFile) {
   console.log('Starting daily volume calculation process...');
   console.log('Current time (UTC):', new Date().toISOString());
   
@@ -147,13 +147,14 @@ async function calculateDailyVolume() {
   try {
     // 1. Load existing data or create default structure
     let volumeStats = DEFAULT_DATA;
-    if (fs.existsSync(DATA_FILE)) {
-      console.log(`Loading existing data from ${DATA_FILE}`);
-      volumeStats = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    if (fs.existsSync(dataFile)) {
+      console.log(`Loading existing data from ${dataFile}`);
+      volumeStats = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
     } else {
-      console.log(`No existing data file found at ${DATA_FILE}, creating new structure`);
-      fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+      console.log(`No existing data file found at ${dataFile}, creating new structure`);
+      fs.mkdirSync(path.dirname(dataFile), { recursive: true });
     }
+    const leaderboards = loadLeaderboards(leaderboardFile);
     
     // 2. Get current Arweave block height
     console.log('Fetching current Arweave block height...');
@@ -228,11 +229,11 @@ async function calculateDailyVolume() {
     
     // Skip processing if start and end heights are the same
     if (startHeight === currentHeight) {
-      console.log(`Start height equals end height (${startHeight}). No blocks to process. Skipping scripts.`);
+      console.log(`Start height equals end height (${startHeight}). No blocks to process. Skipping volume calculation.`);
       
       // Still update lastUpdated timestamp
       volumeStats.lastUpdated = new Date().toISOString();
-      fs.writeFileSync(DATA_FILE, JSON.stringify(volumeStats, null, 2));
+      fs.writeFileSync(dataFile, JSON.stringify(volumeStats, null, 2));
       
       console.log('Updated lastUpdated timestamp and saved file.');
       return;
@@ -240,74 +241,45 @@ async function calculateDailyVolume() {
     
     console.log(`FINAL HEIGHT VALUES - Start: ${startHeight}, End: ${currentHeight}`);
     
-    // 5. Run each PowerShell script with the appropriate heights
-    const scripts = ['wAR.ps1', 'AO.ps1', 'wUSDC.ps1'];
-    
-    for (const script of scripts) {
+    // 5. Calculate the volume of each token
+    for (const tokenKey of Object.keys(VOLUME_TOKENS)) {
       console.log(`------------------------------------------------------------`);
-      console.log(`Running ${script} with heights: ${startHeight} -> ${currentHeight}`);
+      console.log(`Calculating ${tokenKey} volume with heights: ${startHeight} -> ${currentHeight}`);
+      
+      if (!volumeStats.volumeData[tokenKey]) {
+        volumeStats.volumeData[tokenKey] = [];
+      }
+      
+      const volumeEntryIndex = volumeStats.volumeData[tokenKey].findIndex(entry => 
+        entry.date === attributionDateStr
+      );
       
       try {
-        // Construct the command with proper path resolution
-        const scriptPath = path.resolve(__dirname, script);
-        console.log(`Full script path: ${scriptPath}`);
-        
-        if (!fs.existsSync(scriptPath)) {
-          throw new Error(`Script ${scriptPath} does not exist!`);
-        }
-        
-        const command = `powershell -Command "& '${scriptPath}' ${startHeight} ${currentHeight}"`;
-        console.log(`Executing: ${command}`);
-        console.log(`Waiting for script execution...`);
-        
         const startTime = Date.now();
-        // Increase timeout to 10 minutes
-        const result = execSync(command, { 
-          encoding: 'utf8',
-          timeout: 600000, // 10 minute timeout
-          maxBuffer: 10 * 1024 * 1024 // 10MB buffer
-        });
+        const result = await calculateTokenVolume(tokenKey, startHeight, currentHeight, LEADERBOARD_OPTIONS);
+        setLeaderboardEntry(leaderboards, tokenKey, attributionDateStr, result);
         const executionTime = (Date.now() - startTime) / 1000;
-        console.log(`Script execution completed in ${executionTime.toFixed(2)} seconds`);
-        
-        // Extract volume from output properly
-        const volume = extractVolumeFromOutput(result);
-        
-        // Determine which token this is for the data structure
-        const tokenKey = script.replace('.ps1', '');
+        console.log(`Calculation completed in ${executionTime.toFixed(2)} seconds (${result.pages} pages, ${result.transfers} transfers)`);
         
         // Update or add volume data entry
-        const volumeEntryIndex = volumeStats.volumeData[tokenKey].findIndex(entry => 
-          entry.date === attributionDateStr
-        );
+        const entry = {
+          date: attributionDateStr,
+          startHeight: startHeight,
+          endHeight: currentHeight,
+          volume: result.volume
+        };
         
         if (volumeEntryIndex >= 0) {
           console.log(`Updating existing ${tokenKey} volume entry for ${attributionDateStr}`);
-          volumeStats.volumeData[tokenKey][volumeEntryIndex] = {
-            date: attributionDateStr,
-            startHeight: startHeight,
-            endHeight: currentHeight,
-            volume: volume
-          };
+          volumeStats.volumeData[tokenKey][volumeEntryIndex] = entry;
         } else {
           console.log(`Adding new ${tokenKey} volume entry for ${attributionDateStr}`);
-          volumeStats.volumeData[tokenKey].push({
-            date: attributionDateStr,
-            startHeight: startHeight,
-            endHeight: currentHeight,
-            volume: volume
-          });
+          volumeStats.volumeData[tokenKey].push(entry);
         }
         
-        console.log(`Successfully processed ${script}: Volume = ${volume}`);
-      } catch (scriptError) {
-        console.error(`Error running ${script}:`, scriptError);
-        
-        // Add placeholder with error flag if needed
-        const tokenKey = script.replace('.ps1', '');
-        const volumeEntryIndex = volumeStats.volumeData[tokenKey].findIndex(entry => 
-          entry.date === attributionDateStr
-        );
+        console.log(`Successfully processed ${tokenKey}: Volume = ${result.rawTotal} (${result.denominated.toLocaleString()} ${tokenKey})`);
+      } catch (volumeError) {
+        console.error(`Error calculating ${tokenKey} volume:`, volumeError);
         
         if (volumeEntryIndex < 0) {
           // Only add error entry if no entry exists for this attribution date
@@ -322,13 +294,27 @@ async function calculateDailyVolume() {
       }
     }
     
-    // 6. Update lastUpdated timestamp
+    // 6. Refresh the top holders; a token whose balances cannot be read keeps its previous list
+    for (const tokenKey of Object.keys(VOLUME_TOKENS)) {
+      try {
+        const holders = await fetchTopHolders(VOLUME_TOKENS[tokenKey].processId);
+        setHoldersEntry(leaderboards, tokenKey, holders);
+        console.log(`Top holders of ${tokenKey} updated (${holders.holderCount} holders)`);
+      } catch (holdersError) {
+        console.error(`Error fetching ${tokenKey} holders:`, holdersError.message);
+      }
+    }
+    
+    // 7. Update lastUpdated timestamp
     volumeStats.lastUpdated = new Date().toISOString();
     
-    // 7. Write updated data back to file
+    // 8. Write updated data back to file
     console.log('Writing updated data to file...');
-    fs.writeFileSync(DATA_FILE, JSON.stringify(volumeStats, null, 2));
-    console.log('Volume calculation complete and saved to data/volume-stats.json');
+    fs.writeFileSync(dataFile, JSON.stringify(volumeStats, null, 2));
+    console.log(`Volume calculation complete and saved to ${dataFile}`);
+    
+    saveLeaderboards(leaderboardFile, leaderboards);
+    console.log(`Leaderboards saved to ${leaderboardFile}`);
     
   } catch (error) {
     console.error('Error in volume calculation process:', error);
@@ -337,24 +323,57 @@ async function calculateDailyVolume() {
 }
 
 
-(async () => {
-  await calculateDailyVolume();
+// Create and prepare the configured publisher; null when publishing is disabled
+async function setupPublisher(config) {
+  if (!config.publish) {
+    return null;
+  }
+  const publisher = createPublisher(config.publish, config);
+  await publisher.prepare();
+  return publisher;
+}
+
+// Run the volume update and publish the data files
+async function main(argv) {
+  const config = getConfig(parseArgs(argv));
+  const dataFile = path.join(config.repoPath, DATA_FILE_PATH);
 
+  let publisher = null;
   try {
-    console.log("📤 Committing and pushing changes...");
-    execSync(
-      'git add data/volume-stats.json && git commit -m "Hourly Volume Update" && git push origin main',
-      { cwd: '/root/the_eye_of_AO', stdio: 'inherit' }
-    );
-    console.log("✅ Git push complete.");
+    publisher = await setupPublisher(config);
   } catch (err) {
-    if (err.message.includes("nothing to commit")) {
-      console.log("ℹ️ No changes to commit.");
-    } else {
-      console.error("❌ Git Push Error:", err.message);
-    }
+    console.error(`❌ Publish setup failed (${config.publish}):`, err.message);
+    process.exit(1);
+  }
+
+  const leaderboardFile = path.join(config.repoPath, LEADERBOARD_FILE_PATH);
+  await calculateDailyVolume(dataFile, leaderboardFile);
+
+  if (!publisher) {
+    console.log('ℹ️ Publishing disabled (--no-publish).');
+    return;
   }
-})();
 
+  try {
+    const files = [dataFile, leaderboardFile].filter(file => fs.existsSync(file));
+    await publisher.publish({ files, message: COMMIT_MESSAGE });
+  } catch (err) {
+    console.error(`❌ Publish Error (${publisher.name}):`, err.message);
+    process.exit(1);
+  }
+}
 
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
 
+module.exports = {
+  DATA_FILE_PATH,
+  parseArgs,
+  getConfig,
+  setupPublisher,
+  getAttributionDate,
+  findPreviousEntry,
+  calculateDailyVolume,
+  main
+};
@@ -0,0 +1,181 @@
+// scripts/collect-dashboard-data.mjs
+//
+// Headless collector for the dashboard's query-based charts.
+// Computes every query-based chart series (transaction counts and unique addresses) with the
+// same query and period code the browser uses (processes.js, utils.js) and writes the settled
+// periods to data/dashboard-stats.json. The dashboard reads that snapshot first and only
+// queries live for periods the snapshot does not cover (such as the open period). Unique
+// address series page through every transaction, so precomputing them matters most.
+//
+// Runs on a schedule in .github/workflows/dashboard-data.yml (after `npm install`, which brings
+// node-fetch for block-history.js), or by hand:
+//   node scripts/collect-dashboard-data.mjs [--days=<n>] [--output=<file>]
+//
+// --days   also collect the last <n> days (default: the 14 days of getDailyPeriods)
+// --output where to write the snapshot (default: data/dashboard-stats.json)
+//
+// Needs Node 20.19+ so the browser ES modules can be imported without a build step.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { SNAPSHOT_VERSION } from '../config.js';
+import {
+  PROCESSES, generateQuery, fetchUniqueAddresses, isQueryProcess, isWeeklyProcess, getProcessMetric, getQuerySignature
+} from '../processes.js';
+import { hashQuerySignature, isSettledPeriod } from '../cache.js';
+import { getDailyPeriods, getWeeklyPeriods, getCustomRangePeriods } from '../utils.js';
+import { queryGraphQL } from '../graphql.js';
+import { fetchBlockHistory } from './block-history.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Constants
+const DEFAULT_OUTPUT = path.join(__dirname, '../data/dashboard-stats.json');
+const CHUNK_SIZE = 5;
+
+// Parse --name=value arguments
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return args;
+}
+
+// Get the current Arweave block height
+async function fetchCurrentHeight() {
+  const response = await fetch('https://arweave.net/info');
+  if (!response.ok) {
+    throw new Error(`Network error: ${response.status} ${response.statusText}`);
+  }
+  const data = await response.json();
+  return data.height;
+}
+
+// An empty snapshot, for the first run and after a SNAPSHOT_VERSION change
+function createEmptySnapshot() {
+  return { version: SNAPSHOT_VERSION, queryHashes: {}, series: {} };
+}
+
+// Load the existing snapshot so the history keeps growing between runs
+export function loadSnapshot(file) {
+  if (!fs.existsSync(file)) {
+    console.log(`No existing snapshot at ${file}, creating a new one`);
+    return createEmptySnapshot();
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    console.log(`Snapshot version ${snapshot.version} differs from ${SNAPSHOT_VERSION}, starting over`);
+    return createEmptySnapshot();
+  }
+  return { queryHashes: {}, ...snapshot };
+}
+
+// Measure one period: the transaction count, or the unique addresses with their sender and recipient counts
+async function measurePeriod(processName, period, currentHeight) {
+  if (getProcessMetric(processName) === 'uniqueAddresses') {
+    return fetchUniqueAddresses(processName, period, currentHeight);
+  }
+
+  const query = await generateQuery(processName, period.startHeight, period.endHeight, currentHeight);
+  const result = await queryGraphQL(query);
+  if (result.errors) {
+    throw new Error(result.errors.map(e => e.message).join('; '));
+  }
+  return { count: result.data.transactions.count };
+}
+
+// Measure one process for the given periods
+async function collectProcess(processName, periods, currentHeight, existing) {
+  const entries = new Map(existing.map(entry => [`${entry.startHeight}-${entry.endHeight}`, entry]));
+  const missing = periods.filter(period => !entries.has(`${period.startHeight}-${period.endHeight}`));
+  let failed = 0;
+
+  for (let i = 0; i < missing.length; i += CHUNK_SIZE) {
+    const chunk = missing.slice(i, i + CHUNK_SIZE);
+
+    await Promise.all(chunk.map(async period => {
+      try {
+        const measured = await measurePeriod(processName, period, currentHeight);
+
+        entries.set(`${period.startHeight}-${period.endHeight}`, {
+          startTime: new Date(period.startTime).toISOString(),
+          endTime: new Date(period.endTime).toISOString(),
+          startHeight: period.startHeight,
+          endHeight: period.endHeight,
+          ...measured
+        });
+      } catch (error) {
+        // Failed periods are left out so the dashboard queries them live
+        failed++;
+        console.error(`Error counting ${processName} ${period.startHeight}-${period.endHeight}:`, error.message);
+      }
+    }));
+  }
+
+  console.log(`${processName}: ${missing.length - failed} new periods, ${failed} failed, ${entries.size} total`);
+
+  return [...entries.values()].sort((a, b) => a.startHeight - b.startHeight);
+}
+
+// Main function; argv are the command line arguments after the script name
+export async function collectDashboardData(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+  const outputFile = args.output ? path.resolve(args.output) : DEFAULT_OUTPUT;
+
+  console.log('Starting dashboard data collection...');
+  console.log('Current time (UTC):', new Date().toISOString());
+
+  const [currentHeight, blockData] = await Promise.all([fetchCurrentHeight(), fetchBlockHistory()]);
+  console.log(`Current Arweave block height: ${currentHeight}`);
+
+  let dailyPeriods = getDailyPeriods(currentHeight, blockData);
+  if (args.days) {
+    const to = new Date();
+    const from = new Date(to.getTime() - Number(args.days) * 24 * 60 * 60 * 1000);
+    dailyPeriods = getCustomRangePeriods(currentHeight, blockData, { from, to });
+  }
+  const weeklyPeriods = getWeeklyPeriods(currentHeight, blockData);
+
+  // Only settled periods go into the snapshot; recent ones are always queried live
+  const isSnapshotPeriod = period => isSettledPeriod(period, currentHeight);
+
+  const snapshot = loadSnapshot(outputFile);
+  const series = {};
+  const queryHashes = {};
+
+  for (const processName of Object.keys(PROCESSES)) {
+    if (!isQueryProcess(processName)) continue;
+
+    // A series collected with another query (changed tags or addresses) starts over
+    queryHashes[processName] = hashQuerySignature(await getQuerySignature(processName));
+    const existing = snapshot.queryHashes[processName] === queryHashes[processName] ? snapshot.series[processName] || [] : [];
+
+    const periods = (isWeeklyProcess(processName) ? weeklyPeriods : dailyPeriods).filter(isSnapshotPeriod);
+    series[processName] = await collectProcess(processName, periods, currentHeight, existing);
+  }
+
+  const output = {
+    version: SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    currentHeight,
+    queryHashes,
+    series
+  };
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(output, null, 2));
+  console.log(`Snapshot written to ${outputFile}`);
+}
+
+// Run when started directly, not when imported by the tests
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  collectDashboardData().catch(error => {
+    console.error('Error in dashboard data collection:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,76 @@
+// scripts/holders.js
+//
+// Current top holders of a token, read from the Balances of its process with a dry run
+// (the standard token Balances action answers with a JSON map of address to raw balance).
+const fetch = require('node-fetch');
+
+// Constants
+const CU_URL = process.env.AO_CU_URL || 'https://cu.ao-testnet.xyz';
+const HOLDERS_SIZE = 10;
+const TIMEOUT_MS = 120000;
+
+// Dry-run the Balances action of a token process
+async function fetchBalances(processId) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    const response = await fetch(`${CU_URL}/dry-run?process-id=${processId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        Id: '1234',
+        Owner: '1234',
+        Target: processId,
+        Anchor: '0',
+        Data: '',
+        Tags: [
+          { name: 'Action', value: 'Balances' },
+          { name: 'Data-Protocol', value: 'ao' },
+          { name: 'Type', value: 'Message' },
+          { name: 'Variant', value: 'ao.TN.1' }
+        ]
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Dry run failed: ${response.status} ${response.statusText}`);
+    }
+
+    const result = await response.json();
+    const data = result.Messages?.[0]?.Data;
+    if (!data) {
+      throw new Error('No Balances data in the response');
+    }
+    return JSON.parse(data);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Rank a Balances map; resolves to { holderCount, topHolders: [{ address, balance }] }
+// with balances as raw strings, largest first
+function rankHolders(balances, size = HOLDERS_SIZE) {
+  const holders = Object.entries(balances)
+    .filter(([, balance]) => /^\d+$/.test(String(balance)) && BigInt(balance) > 0n)
+    .map(([address, balance]) => ({ address, balance: BigInt(balance) }));
+
+  return {
+    holderCount: holders.length,
+    topHolders: holders
+      .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0))
+      .slice(0, size)
+      .map(holder => ({ address: holder.address, balance: holder.balance.toString() }))
+  };
+}
+
+// Fetch and rank the holders of a token process
+async function fetchTopHolders(processId, size = HOLDERS_SIZE) {
+  return rankHolders(await fetchBalances(processId), size);
+}
+
+module.exports = {
+  rankHolders,
+  fetchTopHolders
+};
@@ -0,0 +1,90 @@
+// scripts/leaderboards.js
+//
+// data/leaderboards.json: each token's largest transfers and most active wallets per day,
+// from the same Credit-Notice walk that computes the volume, and its current top holders.
+//
+// { lastUpdated,
+//   tokens: { <ticker>: { <YYYY-MM-DD>: { startHeight, endHeight, topTransfers, topWallets, walletCount } } },
+//   holders: { <ticker>: { updatedAt, holderCount, topHolders: [{ address, balance }] } } }
+//
+// Days keep far more wallets than the dashboard shows, so rankings over several days can be
+// merged from the daily lists; walletCount tells whether a day's list is complete.
+const fs = require('fs');
+const path = require('path');
+
+// Constants
+const LEADERBOARD_FILE_PATH = 'data/leaderboards.json';
+const RETENTION_DAYS = 180;
+
+// Options for calculateTokenVolume: wallets kept per day (transfers keep the default 10)
+const LEADERBOARD_OPTIONS = { walletListSize: 100 };
+
+// Load the leaderboards, or an empty structure if there is no file yet
+function loadLeaderboards(file) {
+  if (!fs.existsSync(file)) {
+    return { lastUpdated: null, tokens: {}, holders: {} };
+  }
+  return { holders: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+// Store a day's leaderboard from a calculateTokenVolume result
+function setLeaderboardEntry(leaderboards, ticker, date, result) {
+  if (!leaderboards.tokens[ticker]) {
+    leaderboards.tokens[ticker] = {};
+  }
+
+  leaderboards.tokens[ticker][date] = {
+    startHeight: result.startHeight,
+    endHeight: result.endHeight,
+    topTransfers: result.topTransfers,
+    topWallets: result.topWallets,
+    walletCount: result.walletCount
+  };
+}
+
+// Store a token's current top holders from a fetchTopHolders result
+function setHoldersEntry(leaderboards, ticker, result) {
+  leaderboards.holders[ticker] = {
+    updatedAt: new Date().toISOString(),
+    holderCount: result.holderCount,
+    topHolders: result.topHolders
+  };
+}
+
+// Drop days older than the retention window (the longest range the dashboard can show)
+function pruneLeaderboards(leaderboards, now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  Object.values(leaderboards.tokens).forEach(days => {
+    Object.keys(days).forEach(date => {
+      if (date < cutoff) {
+        delete days[date];
+      }
+    });
+  });
+}
+
+// Write the leaderboards, days in date order
+function saveLeaderboards(file, leaderboards) {
+  pruneLeaderboards(leaderboards);
+
+  Object.keys(leaderboards.tokens).forEach(ticker => {
+    const days = leaderboards.tokens[ticker];
+    leaderboards.tokens[ticker] = Object.fromEntries(
+      Object.keys(days).sort().map(date => [date, days[date]])
+    );
+  });
+
+  leaderboards.lastUpdated = new Date().toISOString();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(leaderboards, null, 2));
+}
+
+module.exports = {
+  LEADERBOARD_FILE_PATH,
+  LEADERBOARD_OPTIONS,
+  loadLeaderboards,
+  setLeaderboardEntry,
+  setHoldersEntry,
+  saveLeaderboards
+};
@@ -0,0 +1,245 @@
+// scripts/node-checker-proxy.js
+//
+// Self-hostable node-checker proxy for the uptime pages. Fetches a node server-side (no CORS,
+// plain HTTP allowed) and answers with JSON the pages understand:
+//
+//   GET /?url=<node url>  ->  { online, status, latency }
+//
+// online is true when the node sent any HTTP response, status is its HTTP status and latency the
+// time to the response headers in ms. Unreachable nodes answer { online: false, status: null, latency, error }.
+//
+// Only allowed hosts are checked, and redirects are followed only while they stay on allowed
+// hosts, so the proxy cannot be used to reach arbitrary servers.
+//
+//   node scripts/node-checker-proxy.js [--port=8787] [--timeout=10000] [--allow=host1,host2] [--origins=url1,url2]
+//
+// --port     port to listen on (default: env PORT or 8787)
+// --timeout  per-request timeout in ms (default: env PROXY_TIMEOUT_MS or 10000)
+// --allow    only proxy these hosts (default: env PROXY_ALLOWED_HOSTS, or the hosts of the
+//            HyperBEAM mainnet node list); add the hosts of your own custom nodes here
+// --origins  pages allowed to read the answers (default: env PROXY_ALLOWED_ORIGINS, or any page)
+//
+// Point the uptime pages at it with ?proxy=http://localhost:8787/ or by clicking the proxy
+// line under the network summary.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const fetch = require('node-fetch');
+
+// Constants
+const DEFAULT_PORT = 8787;
+const DEFAULT_TIMEOUT = 10000;
+const MAX_REDIRECTS = 5;
+const NODE_LIST_FILE = path.join(__dirname, '..', 'hyperbeam', 'mainnet-node-list.js');
+
+// Parse --name=value arguments
+function parseArgs(argv) {
+  const args = {};
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  });
+  return args;
+}
+
+// Split a comma separated list
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Read the hosts of the HyperBEAM and CU nodes in the mainnet node list
+function getNodeListHosts(file = NODE_LIST_FILE) {
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    console.warn(`⚠️ Cannot read the node list ${file}: ${error.message}`);
+    return [];
+  }
+
+  const hosts = (source.match(/https?:\/\/[^\s"'`]+/g) || []).map(url => {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+  });
+  return [...new Set(hosts.filter(Boolean))];
+}
+
+// Build the proxy settings from flags and environment variables
+function getConfig(args) {
+  const allow = parseList(args.allow || process.env.PROXY_ALLOWED_HOSTS);
+  return {
+    port: Number(args.port || process.env.PORT || DEFAULT_PORT),
+    timeout: Number(args.timeout || process.env.PROXY_TIMEOUT_MS || DEFAULT_TIMEOUT),
+    allowedHosts: allow.length > 0
+      ? allow.map(host => host.toLowerCase())
+      : getNodeListHosts(),
+    allowedOrigins: parseList(args.origins || process.env.PROXY_ALLOWED_ORIGINS)
+  };
+}
+
+// Validate the target URL of a check; returns an error message or null
+function validateTarget(target, allowedHosts) {
+  if (!target) {
+    return 'Missing url parameter';
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(target);
+  } catch {
+    return `Invalid url: ${target}`;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return `Unsupported protocol: ${parsed.protocol}`;
+  }
+  if (!allowedHosts.includes(parsed.hostname.toLowerCase())) {
+    return `Host not allowed: ${parsed.hostname}`;
+  }
+  return null;
+}
+
+// Only the status matters, don't download the body
+function discardBody(response) {
+  if (response.body && typeof response.body.destroy === 'function') {
+    response.body.destroy();
+  }
+}
+
+// Fetch the target and report whether it answered. Redirects are followed one hop at a time and
+// only to allowed hosts; a refused or endless redirect is reported with its own status.
+async function checkTarget(target, timeout, allowedHosts) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const startTime = Date.now();
+
+  try {
+    let url = target;
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(url, {
+        method: 'GET',
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: { 'User-Agent': 'eye-of-ao-node-checker' }
+      });
+      discardBody(response);
+
+      const result = { online: true, status: response.status, latency: Date.now() - startTime };
+      const location = response.headers.get('location');
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return result;
+      }
+      if (redirects === MAX_REDIRECTS) {
+        return { ...result, error: `More than ${MAX_REDIRECTS} redirects` };
+      }
+
+      url = new URL(location, url).href;
+      const error = validateTarget(url, allowedHosts);
+      if (error) {
+        return { ...result, error: `Redirect not followed: ${error}` };
+      }
+    }
+  } catch (error) {
+    return {
+      online: false,
+      status: null,
+      latency: Date.now() - startTime,
+      error: error.name === 'AbortError' ? `Timeout after ${timeout}ms` : error.message
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// CORS headers for a request: any page without an origin list, otherwise only the listed ones
+function getCorsHeaders(req, allowedOrigins) {
+  const headers = { 'Access-Control-Allow-Methods': 'GET, OPTIONS' };
+  if (allowedOrigins.length === 0) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  } else {
+    headers.Vary = 'Origin';
+    if (allowedOrigins.includes(req.headers.origin)) {
+      headers['Access-Control-Allow-Origin'] = req.headers.origin;
+    }
+  }
+  return headers;
+}
+
+// Write a JSON response with the given CORS headers
+function sendJson(res, statusCode, body, corsHeaders) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    ...corsHeaders
+  });
+  res.end(JSON.stringify(body));
+}
+
+// Create the proxy server; refuses to run without allowed hosts
+function createProxyServer(config) {
+  if (!config.allowedHosts || config.allowedHosts.length === 0) {
+    throw new Error('No allowed hosts: pass --allow=host1,host2 or set PROXY_ALLOWED_HOSTS');
+  }
+  const allowedOrigins = config.allowedOrigins || [];
+
+  return http.createServer(async (req, res) => {
+    const corsHeaders = getCorsHeaders(req, allowedOrigins);
+
+    if (req.method === 'OPTIONS') {
+      sendJson(res, 204, {}, corsHeaders);
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'Only GET is supported' }, corsHeaders);
+      return;
+    }
+
+    const requestUrl = new URL(req.url, 'http://localhost');
+    if (requestUrl.pathname === '/health') {
+      sendJson(res, 200, { ok: true }, corsHeaders);
+      return;
+    }
+
+    const target = requestUrl.searchParams.get('url');
+    const error = validateTarget(target, config.allowedHosts);
+    if (error) {
+      sendJson(res, 400, { error }, corsHeaders);
+      return;
+    }
+
+    const result = await checkTarget(target, config.timeout, config.allowedHosts);
+    console.log(`${result.online ? '✓' : '✗'} ${target} ${result.status ?? result.error} (${result.latency}ms)`);
+    sendJson(res, 200, result, corsHeaders);
+  });
+}
+
+if (require.main === module) {
+  const config = getConfig(parseArgs(process.argv.slice(2)));
+
+  let server;
+  try {
+    server = createProxyServer(config);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  server.listen(config.port, () => {
+    console.log(`🔌 Node-checker proxy listening on http://localhost:${config.port}/?url=<node url>`);
+    console.log(`Allowed hosts: ${config.allowedHosts.join(', ')}`);
+    if (config.allowedOrigins.length > 0) {
+      console.log(`Allowed origins: ${config.allowedOrigins.join(', ')}`);
+    }
+  });
+}
+
+module.exports = {
+  createProxyServer,
+  checkTarget,
+  getNodeListHosts
+};
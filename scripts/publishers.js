@@ -0,0 +1,118 @@
+// scripts/publishers.js
+//
+// Publishing targets for generated data files. The data scripts only write files;
+// a publisher decides what happens to them afterwards.
+//
+//   file  copy the files to an output directory (or leave them where they are)
+//   git   commit the files and push them from the configured repository
+//   hook  hand the files to a custom JS module: module.exports = async ({ files, message, repoPath }) => {}
+//
+// A publisher is { name, prepare(), publish({ files, message }) }; prepare runs before the
+// data is updated, publish after.
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Run a git command in the repository
+function git(repoPath, args) {
+  return execFileSync('git', args, { cwd: repoPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+// Copy the files to options.output, or just report where they are
+function createFilePublisher(options) {
+  return {
+    name: 'file',
+    async prepare() {},
+    async publish({ files }) {
+      if (!options.output) {
+        files.forEach(file => console.log(`📄 Data written to ${file}`));
+        return;
+      }
+
+      fs.mkdirSync(options.output, { recursive: true });
+      files.forEach(file => {
+        const target = path.join(options.output, path.basename(file));
+        fs.copyFileSync(file, target);
+        console.log(`📄 Copied ${file} to ${target}`);
+      });
+    }
+  };
+}
+
+// Commit and push the files. Syncs with the remote by fast-forward only, so local
+// changes are never discarded; a diverged checkout stops the run instead.
+function createGitPublisher(options) {
+  const { repoPath, remote, branch } = options;
+
+  return {
+    name: 'git',
+    async prepare() {
+      console.log(`🔄 Syncing ${repoPath} with ${remote}/${branch}...`);
+      git(repoPath, ['fetch', remote, branch]);
+      git(repoPath, ['merge', '--ff-only', `${remote}/${branch}`]);
+      console.log('✅ Local repo is up to date.');
+    },
+    async publish({ files, message }) {
+      const relativeFiles = files.map(file => path.relative(repoPath, file));
+      git(repoPath, ['add', '--', ...relativeFiles]);
+
+      const staged = git(repoPath, ['diff', '--cached', '--name-only', '--', ...relativeFiles]);
+      if (!staged) {
+        console.log('ℹ️ No changes to commit.');
+        return;
+      }
+
+      console.log('📤 Committing and pushing changes...');
+      git(repoPath, ['commit', '-m', message, '--', ...relativeFiles]);
+      git(repoPath, ['push', remote, `HEAD:${branch}`]);
+      console.log('✅ Git push complete.');
+    }
+  };
+}
+
+// Delegate to a custom module
+function createHookPublisher(options) {
+  if (!options.hook) {
+    throw new Error('The hook publisher needs --hook=<path to a JS module>');
+  }
+
+  const hook = require(path.resolve(options.hook));
+  const publish = typeof hook === 'function' ? hook : hook.publish;
+  if (typeof publish !== 'function') {
+    throw new Error(`Publish hook ${options.hook} does not export a function`);
+  }
+
+  return {
+    name: 'hook',
+    async prepare() {
+      if (typeof hook.prepare === 'function') {
+        await hook.prepare({ repoPath: options.repoPath });
+      }
+    },
+    async publish({ files, message }) {
+      console.log(`📤 Publishing through hook ${options.hook}...`);
+      await publish({ files, message, repoPath: options.repoPath });
+      console.log('✅ Publish hook complete.');
+    }
+  };
+}
+
+const PUBLISHERS = {
+  file: createFilePublisher,
+  git: createGitPublisher,
+  hook: createHookPublisher
+};
+
+// Create the publisher for a target name
+function createPublisher(target, options = {}) {
+  const factory = PUBLISHERS[target];
+  if (!factory) {
+    throw new Error(`Unknown publish target "${target}" (expected ${Object.keys(PUBLISHERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  PUBLISHERS,
+  createPublisher
+};
@@ -0,0 +1,253 @@
+// scripts/volume-calculator.js
+//
+// Token transfer volume between two block heights: walks every Credit-Notice sent by a
+// token process, page by page, and sums the Quantity tags. The same walk ranks the largest
+// transfers and the most active wallets for the dashboard leaderboards.
+const fetch = require('node-fetch');
+const tokenRegistry = require('../tokens.json');
+
+// Constants
+const GRAPHQL_URL = 'https://arweave-search.goldsky.com/graphql';
+const PAGE_SIZE = 100;
+const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 2000;
+const LEADERBOARD_SIZE = 10;
+
+// Token processes whose volume is tracked, keyed by ticker (from tokens.json).
+// denomination is the number of decimals of Quantity
+const VOLUME_TOKENS = Object.fromEntries(
+  tokenRegistry.tokens.map(token => [token.ticker, token])
+);
+
+// Build the query for one page of Credit-Notices sent by a process
+function buildCreditNoticeQuery(processId, startHeight, endHeight, cursor) {
+  return `query {
+    transactions(
+      tags: [
+        { name: "From-Process", values: ["${processId}"] },
+        { name: "Action", values: ["Credit-Notice"] }
+      ],
+      block: { min: ${startHeight}, max: ${endHeight} },
+      first: ${PAGE_SIZE},
+      after: "${cursor || ''}"
+    ) {
+      edges {
+        node {
+          id
+          recipient
+          block {
+            height
+          }
+          tags {
+            name
+            value
+          }
+        }
+        cursor
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }`;
+}
+
+// Send a query to the GraphQL endpoint
+async function postQuery(query) {
+  const response = await fetch(GRAPHQL_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Network error: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+// Fetch one page, retrying with exponential backoff
+async function fetchPage(query, options = {}) {
+  const request = options.request || postQuery;
+  const retries = options.retries ?? MAX_RETRIES;
+  const retryDelay = options.retryDelay ?? RETRY_DELAY_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await request(query);
+      if (result.errors) {
+        throw new Error(`GraphQL error: ${result.errors.map(e => e.message).join('; ')}`);
+      }
+      if (!result.data || !result.data.transactions) {
+        throw new Error('Malformed GraphQL response: missing data.transactions');
+      }
+      return result.data.transactions;
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+
+      const delay = retryDelay * Math.pow(2, attempt);
+      console.warn(`Request failed (attempt ${attempt + 1} of ${retries + 1}): ${error.message}. Retrying in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Sum the Quantity tags of a page of edges (as BigInt, raw amounts exceed 2^53)
+function sumQuantities(edges) {
+  return edges.reduce((sum, edge) => {
+    const quantityTag = (edge.node.tags || []).find(tag => tag.name === 'Quantity');
+    if (!quantityTag || !/^\d+$/.test(quantityTag.value)) {
+      return sum;
+    }
+    return sum + BigInt(quantityTag.value);
+  }, 0n);
+}
+
+// Read a Credit-Notice edge as a transfer; null if it carries no valid Quantity
+function readTransfer(edge) {
+  const tags = edge.node.tags || [];
+  const quantity = tags.find(tag => tag.name === 'Quantity')?.value;
+  if (!quantity || !/^\d+$/.test(quantity)) {
+    return null;
+  }
+
+  return {
+    id: edge.node.id,
+    quantity: BigInt(quantity),
+    sender: tags.find(tag => tag.name === 'Sender')?.value || null,
+    // A Credit-Notice is delivered to the wallet that received the tokens
+    recipient: edge.node.recipient || tags.find(tag => tag.name === 'Recipient')?.value || null,
+    block: edge.node.block ? edge.node.block.height : null
+  };
+}
+
+// Add a transfer to the per-wallet totals (both sides count towards a wallet's volume)
+function addWalletActivity(wallets, transfer) {
+  [transfer.sender, transfer.recipient].forEach(address => {
+    if (!address) return;
+    const wallet = wallets.get(address) || { address, volume: 0n, transfers: 0 };
+    wallet.volume += transfer.quantity;
+    wallet.transfers++;
+    wallets.set(address, wallet);
+  });
+}
+
+// Sort by a BigInt field, largest first
+function byLargest(field) {
+  return (a, b) => (b[field] > a[field] ? 1 : b[field] < a[field] ? -1 : 0);
+}
+
+// Convert a raw BigInt amount to whole token units
+function applyDenomination(rawTotal, denomination) {
+  const divisor = 10n ** BigInt(denomination);
+  const whole = rawTotal / divisor;
+  const fraction = rawTotal % divisor;
+  return Number(whole) + Number(fraction) / Number(divisor);
+}
+
+/**
+ * Calculate the transfer volume of one token between two block heights.
+ * options.request(query) can replace the network call, e.g. to replay recorded responses.
+ * Resolves to { token, processId, startHeight, endHeight, rawTotal, volume, denominated, transfers, pages,
+ * topTransfers, topWallets, walletCount }; rawTotal is the exact sum as a string, volume the same sum as a
+ * number (as stored in volume-stats.json). topTransfers lists the largest transfers { id, quantity, sender,
+ * recipient, block } and topWallets the wallets with the most volume { address, volume, transfers },
+ * with quantities as raw strings; walletCount is the number of wallets that moved tokens.
+ * options.leaderboardSize sets the length of both lists (default 10), options.walletListSize
+ * overrides it for topWallets.
+ * Rejects if a page still fails after all retries, so a partial sum is never reported.
+ */
+async function calculateTokenVolume(token, startHeight, endHeight, options = {}) {
+  const tokenConfig = VOLUME_TOKENS[token];
+  if (!tokenConfig) {
+    throw new Error(`Unknown token: ${token}`);
+  }
+
+  console.log(`Getting ${token} volume for interactions between ${startHeight} and ${endHeight}`);
+
+  const leaderboardSize = options.leaderboardSize ?? LEADERBOARD_SIZE;
+  const walletListSize = options.walletListSize ?? leaderboardSize;
+
+  let cursor = '';
+  let rawTotal = 0n;
+  let transfers = 0;
+  let pages = 0;
+  const allTransfers = [];
+  const wallets = new Map();
+
+  while (true) {
+    const query = buildCreditNoticeQuery(tokenConfig.processId, startHeight, endHeight, cursor);
+    const page = await fetchPage(query, options);
+    const edges = page.edges || [];
+    pages++;
+
+    if (edges.length === 0) {
+      break;
+    }
+
+    rawTotal += sumQuantities(edges);
+    transfers += edges.length;
+    edges.map(readTransfer).filter(Boolean).forEach(transfer => {
+      allTransfers.push(transfer);
+      addWalletActivity(wallets, transfer);
+    });
+    console.log(`${token} page ${pages}: ${edges.length} transfers, running total ${rawTotal}`);
+
+    if (!page.pageInfo || !page.pageInfo.hasNextPage) {
+      break;
+    }
+    cursor = edges[edges.length - 1].cursor;
+  }
+
+  return {
+    token,
+    processId: tokenConfig.processId,
+    startHeight,
+    endHeight,
+    rawTotal: rawTotal.toString(),
+    volume: Number(rawTotal),
+    denominated: applyDenomination(rawTotal, tokenConfig.denomination),
+    transfers,
+    pages,
+    topTransfers: allTransfers
+      .sort(byLargest('quantity'))
+      .slice(0, leaderboardSize)
+      .map(transfer => ({ ...transfer, quantity: transfer.quantity.toString() })),
+    topWallets: [...wallets.values()]
+      .sort(byLargest('volume'))
+      .slice(0, walletListSize)
+      .map(wallet => ({ ...wallet, volume: wallet.volume.toString() })),
+    walletCount: wallets.size
+  };
+}
+
+/**
+ * Calculate the volume of several tokens (default: all of VOLUME_TOKENS).
+ * Resolves to one result per token; a token that fails gets { token, startHeight, endHeight, error }
+ * instead of failing the others.
+ */
+async function calculateVolumes(startHeight, endHeight, tokens = Object.keys(VOLUME_TOKENS), options = {}) {
+  const results = [];
+
+  for (const token of tokens) {
+    try {
+      results.push(await calculateTokenVolume(token, startHeight, endHeight, options));
+    } catch (error) {
+      console.error(`Error calculating ${token} volume:`, error.message);
+      results.push({ token, startHeight, endHeight, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  VOLUME_TOKENS,
+  buildCreditNoticeQuery,
+  sumQuantities,
+  applyDenomination,
+  calculateTokenVolume,
+  calculateVolumes
+};
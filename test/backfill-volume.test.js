@@ -0,0 +1,128 @@
+// test/backfill-volume.test.js
+//
+// Plans and runs a backfill of fixtures/volume-stats-gap.json: AO is missing 2025-03-03 and
+// wUSDC 2025-03-05. The block history and the volume calculation are stubbed.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fixture = require('./fixtures/volume-stats-gap.json');
+const {
+  DATA_FILE_PATH, createEndHeightLookup, findMissingDates, planBackfill, insertByDate, backfillVolume
+} = require('../scripts/backfill-volume');
+
+const TOKENS = ['AO', 'wUSDC', 'wAR'];
+const RANGE = { from: undefined, to: '2025-03-05' };
+
+// A fresh copy of the fixture, as the script mutates what it loads
+function loadFixture() {
+  return JSON.parse(JSON.stringify(fixture));
+}
+
+// A repository holding the fixture as its volume file, removed after the test
+function createRepo(t) {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+  t.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+
+  const dataFile = path.join(repo, DATA_FILE_PATH);
+  fs.mkdirSync(path.dirname(dataFile), { recursive: true });
+  fs.writeFileSync(dataFile, JSON.stringify(fixture, null, 2));
+  return { repo, dataFile };
+}
+
+test('finds the dates without an entry', () => {
+  assert.deepEqual(findMissingDates(fixture.volumeData.AO, '2025-02-28', '2025-03-05'), ['2025-02-28', '2025-03-03']);
+  assert.deepEqual(findMissingDates(fixture.volumeData.wAR, '2025-03-01', '2025-03-05'), []);
+});
+
+test('prefers the heights of the file over the block history', () => {
+  const getEndHeight = createEndHeightLookup(loadFixture(), [
+    // 00:00 UTC heights, i.e. the end heights of the day before
+    { date: '2025-03-02T00:00:00.000Z', blockHeight: 999 },
+    { date: '2025-03-07T00:00:00.000Z', blockHeight: 5320 }
+  ]);
+
+  assert.equal(getEndHeight('2025-03-01'), 1000);
+  // Only wUSDC has an entry for 2025-03-03; there is no blockHeights row for it
+  assert.equal(getEndHeight('2025-03-03'), 2440);
+  assert.equal(getEndHeight('2025-03-06'), 5320);
+  assert.equal(getEndHeight('2025-03-08'), undefined);
+});
+
+test('maps every missing day to the block range after the previous day', () => {
+  const volumeStats = loadFixture();
+  const { jobs, unresolved } = planBackfill(volumeStats, createEndHeightLookup(volumeStats, []), TOKENS, RANGE);
+
+  assert.deepEqual(jobs, [
+    { ticker: 'AO', date: '2025-03-03', startHeight: 1720, endHeight: 2440 },
+    { ticker: 'wUSDC', date: '2025-03-05', startHeight: 3160, endHeight: 3880 }
+  ]);
+  assert.deepEqual(unresolved, []);
+});
+
+test('reports days whose block range cannot be resolved', () => {
+  const volumeStats = loadFixture();
+  const { jobs, unresolved } = planBackfill(volumeStats, createEndHeightLookup(volumeStats, []), ['AO'], {
+    from: '2025-02-27',
+    to: '2025-03-02'
+  });
+
+  assert.deepEqual(jobs, []);
+  assert.deepEqual(unresolved, [{ ticker: 'AO', date: '2025-02-27' }, { ticker: 'AO', date: '2025-02-28' }]);
+});
+
+test('inserts entries in date order', () => {
+  const entries = [{ date: '2025-03-01' }, { date: '2025-03-04' }];
+  insertByDate(entries, { date: '2025-03-03' });
+  insertByDate(entries, { date: '2025-03-09' });
+  assert.deepEqual(entries.map(entry => entry.date), ['2025-03-01', '2025-03-03', '2025-03-04', '2025-03-09']);
+});
+
+test('a dry run prints the plan and writes nothing', async t => {
+  const { repo, dataFile } = createRepo(t);
+  const logs = [];
+  t.mock.method(console, 'log', message => logs.push(message));
+
+  await backfillVolume([`--repo=${repo}`, '--to=2025-03-05', '--dry-run'], {
+    fetchBlockHistory: async () => [],
+    calculateTokenVolume: async () => assert.fail('a dry run calculates nothing')
+  });
+
+  assert.deepEqual(logs.slice(logs.indexOf('Planned 2 backfill jobs:')), [
+    'Planned 2 backfill jobs:',
+    '  AO 2025-03-03: blocks 1720 -> 2440',
+    '  wUSDC 2025-03-05: blocks 3160 -> 3880',
+    'Dry run, nothing written.'
+  ]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(dataFile, 'utf8')), fixture);
+});
+
+test('fills the gaps in order and leaves the existing entries alone', async t => {
+  const { repo, dataFile } = createRepo(t);
+  const calls = [];
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  await backfillVolume([`--repo=${repo}`, '--to=2025-03-05'], {
+    fetchBlockHistory: async () => {
+      throw new Error('offline');
+    },
+    calculateTokenVolume: async (ticker, startHeight, endHeight) => {
+      calls.push([ticker, startHeight, endHeight]);
+      return { volume: 7, rawTotal: '7', startHeight, endHeight, topTransfers: [], topWallets: [], walletCount: 0 };
+    }
+  });
+
+  assert.deepEqual(calls, [['AO', 1720, 2440], ['wUSDC', 3160, 3880]]);
+
+  const written = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  assert.deepEqual(written.volumeData.AO.map(entry => [entry.date, entry.volume]), [
+    ['2025-03-01', 10], ['2025-03-02', 20], ['2025-03-03', 7], ['2025-03-04', 40], ['2025-03-05', 50]
+  ]);
+  assert.deepEqual(written.volumeData.wUSDC.slice(0, 4), fixture.volumeData.wUSDC);
+  assert.deepEqual(written.volumeData.wUSDC[4], { date: '2025-03-05', startHeight: 3160, endHeight: 3880, volume: 7 });
+  assert.deepEqual(written.volumeData.wAR, fixture.volumeData.wAR);
+  assert.deepEqual(written.blockHeights.map(entry => entry.date), ['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04', '2025-03-05']);
+  assert.equal(written.lastUpdated, fixture.lastUpdated);
+});
@@ -0,0 +1,59 @@
+// test/calculate-daily-volume.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, getConfig, setupPublisher, findPreviousEntry } = require('../scripts/calculate-daily-volume');
+
+// getConfig falls back to these; keep the machine's settings out of the tests
+['VOLUME_REPO_PATH', 'VOLUME_GIT_REMOTE', 'VOLUME_GIT_BRANCH'].forEach(name => delete process.env[name]);
+
+test('parses --name=value and bare flags', () => {
+  assert.deepEqual(parseArgs(['--publish=hook', '--hook=./x.js', '--no-publish', 'stray']), {
+    publish: 'hook',
+    hook: './x.js',
+    'no-publish': true
+  });
+});
+
+test('publishes to a local file by default, from this checkout', () => {
+  const config = getConfig(parseArgs([]));
+  assert.equal(config.publish, 'file');
+  assert.equal(config.repoPath, path.resolve(__dirname, '..'));
+  assert.equal(config.remote, 'origin');
+  assert.equal(config.branch, 'main');
+});
+
+test('--no-publish disables publishing, even with --publish', async () => {
+  const config = getConfig(parseArgs(['--publish=git', '--no-publish']));
+  assert.equal(config.publish, null);
+  assert.equal(await setupPublisher(config), null);
+});
+
+test('selects the file and hook publishers', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'volume-publish-'));
+  try {
+    const file = await setupPublisher(getConfig(parseArgs([`--output=${dir}`])));
+    assert.equal(file.name, 'file');
+
+    const hookFile = path.join(dir, 'hook.js');
+    fs.writeFileSync(hookFile, 'module.exports = async () => {};');
+    const hook = await setupPublisher(getConfig(parseArgs(['--publish=hook', `--hook=${hookFile}`, `--repo=${dir}`])));
+    assert.equal(hook.name, 'hook');
+
+    await assert.rejects(setupPublisher(getConfig(parseArgs(['--publish=ftp']))), /Unknown publish target "ftp"/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('finds the latest entry before a date', () => {
+  const entries = [
+    { date: '2025-03-01', endHeight: 100 },
+    { date: '2025-03-03', endHeight: 300 },
+    { date: '2025-03-02', endHeight: 200 }
+  ];
+  assert.equal(findPreviousEntry(entries, '2025-03-03').endHeight, 200);
+  assert.equal(findPreviousEntry(entries, '2025-03-01'), undefined);
+});
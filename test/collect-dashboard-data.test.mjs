@@ -0,0 +1,112 @@
+// test/collect-dashboard-data.test.mjs
+//
+// Runs the dashboard collector against a local CU (block history) and a stubbed fetch (Arweave
+// info and GraphQL), writing to a temporary directory.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const CURRENT_HEIGHT = 1700000;
+const BLOCKS_PER_DAY = 720;
+const originalFetch = globalThis.fetch;
+
+// DailyBlocks of the last 40 days, newest first
+function createDailyBlocks() {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return Array.from({ length: 40 }, (_, i) => ({
+    date: new Date(today.getTime() - i * 24 * 60 * 60 * 1000).toISOString(),
+    blockHeight: CURRENT_HEIGHT - 300 - i * BLOCKS_PER_DAY
+  }));
+}
+
+// A CU answering the BlocksHistory dry run
+async function startCu() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      Messages: [{ Tags: [{ name: 'DailyBlocks', value: JSON.stringify(createDailyBlocks()) }] }]
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+// Arweave info and GraphQL answers: a count of 7 for count queries, one page of two wallets otherwise
+async function fakeFetch(url, options = {}) {
+  const json = body => ({ ok: true, status: 200, json: async () => body });
+
+  if (url === 'https://arweave.net/info') {
+    return json({ height: CURRENT_HEIGHT });
+  }
+
+  const { query } = JSON.parse(options.body);
+  if (/\{\s*count\s*\}/.test(query)) {
+    return json({ data: { transactions: { count: 7 } } });
+  }
+  return json({
+    data: {
+      transactions: {
+        edges: [
+          { cursor: 'a', node: { id: 'tx1', recipient: '', tags: [{ name: 'Sender', value: 'walletA' }, { name: 'Recipient', value: 'walletB' }] } },
+          { cursor: 'b', node: { id: 'tx2', recipient: 'walletC', tags: [{ name: 'Sender', value: 'walletA' }] } }
+        ],
+        pageInfo: { hasNextPage: false }
+      }
+    }
+  });
+}
+
+test('writes a new snapshot when there is none yet', async t => {
+  const cu = await startCu();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-stats-'));
+  process.env.AO_CU_URL = `http://127.0.0.1:${cu.address().port}`;
+  globalThis.fetch = fakeFetch;
+  t.mock.method(console, 'log', () => {});
+
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+    delete process.env.AO_CU_URL;
+    cu.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { collectDashboardData, loadSnapshot } = await import('../scripts/collect-dashboard-data.mjs');
+  const { SNAPSHOT_VERSION } = await import('../config.js');
+  const { PROCESSES, isQueryProcess, getProcessMetric } = await import('../processes.js');
+  const output = path.join(dir, 'dashboard-stats.json');
+
+  assert.deepEqual(loadSnapshot(output), { version: SNAPSHOT_VERSION, queryHashes: {}, series: {} });
+
+  await collectDashboardData([`--output=${output}`]);
+  const snapshot = JSON.parse(fs.readFileSync(output, 'utf8'));
+
+  assert.equal(snapshot.version, SNAPSHOT_VERSION);
+  assert.equal(snapshot.currentHeight, CURRENT_HEIGHT);
+
+  const queryProcesses = Object.keys(PROCESSES).filter(isQueryProcess);
+  assert.deepEqual(Object.keys(snapshot.series), queryProcesses);
+  assert.deepEqual(Object.keys(snapshot.queryHashes), queryProcesses);
+
+  queryProcesses.forEach(processName => {
+    const series = snapshot.series[processName];
+    assert.ok(series.length > 0, `${processName} has settled periods`);
+    // The open period is never part of the snapshot
+    assert.ok(series.every(entry => entry.endHeight < CURRENT_HEIGHT));
+
+    const expected = getProcessMetric(processName) === 'uniqueAddresses'
+      ? { count: 3, senders: 1, recipients: 2 }
+      : { count: 7 };
+    assert.deepEqual(
+      { count: series[0].count, senders: series[0].senders, recipients: series[0].recipients },
+      { senders: undefined, recipients: undefined, ...expected }
+    );
+  });
+
+  // A version change starts over instead of failing
+  fs.writeFileSync(output, JSON.stringify({ ...snapshot, version: SNAPSHOT_VERSION + 1 }));
+  assert.deepEqual(loadSnapshot(output), { version: SNAPSHOT_VERSION, queryHashes: {}, series: {} });
+});
@@ -0,0 +1,89 @@
+// test/custom-node-transfer.test.mjs
+//
+// Validation and merging of imported custom node lists. ES module, as custom-node-transfer.js is one.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CUSTOM_NODES_FORMAT, createCustomNodesExport, normalizeCustomNodeUrl, parseCustomNodesImport, mergeCustomNodes
+} from '../custom-node-transfer.js';
+
+// The JSON text of an export file with the given nodes and header fields
+function exportText(nodes, header = {}) {
+  return JSON.stringify({ format: CUSTOM_NODES_FORMAT, version: 1, network: 'hyperbeam', nodes, ...header });
+}
+
+test('reads back an export file', () => {
+  const nodes = [{ url: 'https://hb.example.com/', protocol: 'https', cu: 'http://cu.example.com/', cuProtocol: 'http', label: 'Home' }];
+  const { nodes: parsed, errors } = parseCustomNodesImport(JSON.stringify(createCustomNodesExport('hyperbeam', nodes)), 'hyperbeam');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(parsed, nodes);
+});
+
+test('stores URLs the way the add form does', () => {
+  assert.deepEqual(normalizeCustomNodeUrl('hyperbeam', 'HB.Example.com', 'http'), { url: 'http://hb.example.com/', protocol: 'http' });
+  assert.deepEqual(normalizeCustomNodeUrl('legacynet', 'cu.example.com'), { url: 'https://cu.example.com', protocol: 'https' });
+
+  const { nodes } = parseCustomNodesImport(JSON.stringify(['cu.example.com', 'https://other.example.com/']), 'legacynet');
+  assert.deepEqual(nodes.map(node => node.url), ['https://cu.example.com', 'https://other.example.com/']);
+});
+
+test('rejects a list for the other network', () => {
+  assert.deepEqual(parseCustomNodesImport(exportText(['https://hb.example.com/']), 'legacynet'), {
+    nodes: [],
+    errors: ['This list is for hyperbeam nodes, not legacynet']
+  });
+});
+
+test('rejects a list from a newer version', () => {
+  assert.deepEqual(parseCustomNodesImport(exportText(['https://hb.example.com/'], { version: 2 }), 'hyperbeam'), {
+    nodes: [],
+    errors: ['Version 2 is newer than this page supports (1)']
+  });
+});
+
+test('rejects a URL listed twice', () => {
+  const text = exportText(['https://hb.example.com', { url: 'hb.example.com/', protocol: 'https' }]);
+  assert.deepEqual(parseCustomNodesImport(text, 'hyperbeam'), {
+    nodes: [],
+    errors: ['Node 2: https://hb.example.com/ is listed twice']
+  });
+});
+
+test('rejects a URL that does not use its protocol', () => {
+  const text = exportText([{ url: 'https://hb.example.com/', protocol: 'http', cu: 'http://cu.example.com/', cuProtocol: 'https' }]);
+  assert.deepEqual(parseCustomNodesImport(text, 'hyperbeam').errors, [
+    'Node 1: URL "https://hb.example.com/" does not use protocol "http"',
+    'Node 1: CU URL "http://cu.example.com/" does not use protocol "https"'
+  ]);
+});
+
+test('rejects labels over 64 characters and saves nothing of the list', () => {
+  const text = exportText([
+    { url: 'https://ok.example.com/', label: 'a'.repeat(64) },
+    { url: 'https://long.example.com/', label: 'a'.repeat(65) }
+  ]);
+  assert.deepEqual(parseCustomNodesImport(text, 'hyperbeam'), {
+    nodes: [],
+    errors: ['Node 2: label is longer than 64 characters']
+  });
+});
+
+test('merging keeps the current label when the imported one is empty', () => {
+  const current = [
+    { url: 'https://a.example.com', label: 'Mine' },
+    { url: 'https://b.example.com', label: 'Old' }
+  ];
+  const imported = [
+    { url: 'https://a.example.com', label: null },
+    { url: 'https://b.example.com', label: 'New' },
+    { url: 'https://c.example.com', label: null }
+  ];
+
+  assert.deepEqual(mergeCustomNodes(current, imported, 'merge'), [
+    { url: 'https://a.example.com', label: 'Mine' },
+    { url: 'https://b.example.com', label: 'New' },
+    { url: 'https://c.example.com', label: null }
+  ]);
+  assert.deepEqual(mergeCustomNodes(current, imported, 'replace'), imported);
+});
@@ -0,0 +1,91 @@
+// test/health.test.mjs
+//
+// HyperBEAM health probes against recorded ~meta@1.0/info bodies. ES module, as health.js is one.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createHealthProbe, isHyperBeamMessage, parseNodeMetadata } from '../hyperbeam/health.js';
+import { runProbes } from '../hyperbeam/latency.js';
+
+const NODE_URL = 'https://hb.example.com/';
+const ADDRESS = 'MgTQsqGHV2YkydiZcnLwSXLFY9vkgQ1HvNUe5gpiUyY';
+const DEVICES = ['meta@1.0', 'process@1.0', 'scheduler@1.0'];
+
+const originalFetch = globalThis.fetch;
+
+// The text of a file in test/fixtures
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+// Replace fetch for one test and keep the probes' console output out of the test report
+function stubFetch(t, implementation) {
+  globalThis.fetch = implementation;
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+  t.mock.method(console, 'warn', () => {});
+}
+
+test('reads the metadata of a JSON body', () => {
+  const data = JSON.parse(fixture('hyperbeam-meta-info.json'));
+
+  assert.equal(isHyperBeamMessage(data), true);
+  assert.deepEqual(parseNodeMetadata(data), { version: '0.9.0', address: ADDRESS, devices: DEVICES, processes: [], keys: 6 });
+});
+
+test('a direct probe reads a text body', async t => {
+  stubFetch(t, async url => {
+    assert.equal(url, 'https://hb.example.com/~meta@1.0/info');
+    return new Response(fixture('hyperbeam-meta-info.txt'), { status: 200 });
+  });
+  const { probe, state } = createHealthProbe(NODE_URL);
+
+  assert.equal(await probe(new AbortController().signal), true);
+  assert.deepEqual(state, {
+    via: 'direct',
+    metadata: { version: null, address: ADDRESS, devices: DEVICES, processes: [], keys: 4 }
+  });
+});
+
+test('a gateway error page is not a healthy node', async t => {
+  assert.equal(isHyperBeamMessage({}), false);
+  assert.equal(parseNodeMetadata({}), null);
+
+  for (const status of [200, 502]) {
+    stubFetch(t, async () => new Response(fixture('gateway-error.html'), { status, headers: { 'Content-Type': 'text/html' } }));
+    const { probe, state } = createHealthProbe(NODE_URL);
+
+    assert.equal(await probe(new AbortController().signal), false);
+    assert.equal(state.metadata, null);
+  }
+});
+
+test('a body with only HyperBEAM message keys is healthy without metadata', async t => {
+  stubFetch(t, async () => Response.json({ 'ao-types': '', commitments: {} }));
+  const { probe, state } = createHealthProbe(NODE_URL);
+
+  assert.equal(await probe(new AbortController().signal), true);
+  assert.equal(state.metadata, null);
+});
+
+test('times the proxy request of a probe that ran into CORS', async t => {
+  const requests = [];
+  stubFetch(t, async url => {
+    requests.push(url.startsWith(NODE_URL) ? 'direct' : 'proxy');
+    if (url.startsWith(NODE_URL)) {
+      // The browser takes its time before reporting the blocked response
+      await new Promise(resolve => setTimeout(resolve, 300));
+      throw new TypeError('Failed to fetch');
+    }
+    return Response.json({ online: true, status: 200 });
+  });
+  const { probe, state } = createHealthProbe(NODE_URL);
+
+  const samples = await runProbes(probe, { count: 2, timeout: 5000 });
+
+  assert.deepEqual(requests, ['direct', 'proxy', 'proxy']);
+  assert.equal(state.via, 'proxy');
+  assert.deepEqual(samples.map(sample => sample.ok), [true, true]);
+  assert.ok(samples[0].time < 200, `first sample took ${samples[0].time}ms`);
+});
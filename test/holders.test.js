@@ -0,0 +1,22 @@
+// test/holders.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankHolders } = require('../scripts/holders');
+
+test('ranks holders by raw balance and skips empty or invalid balances', () => {
+  const result = rankHolders({
+    walletA: '900000000000000000001',
+    walletB: '5',
+    walletC: '0',
+    walletD: '12.5',
+    walletE: '900000000000000000000',
+    walletF: 70
+  }, 3);
+
+  assert.equal(result.holderCount, 4);
+  assert.deepEqual(result.topHolders, [
+    { address: 'walletA', balance: '900000000000000000001' },
+    { address: 'walletE', balance: '900000000000000000000' },
+    { address: 'walletF', balance: '70' }
+  ]);
+});
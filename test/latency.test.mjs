@@ -0,0 +1,80 @@
+// test/latency.test.mjs
+//
+// Latency statistics and status of HyperBEAM probe samples. ES module, as latency.js is one.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeProbes, combineLatencyStats, formatLatencyStats } from '../hyperbeam/latency.js';
+
+const BUSY_THRESHOLD = 1000;
+
+// Samples of successful probes with the given times, followed by `failures` failed ones
+function samples(times, failures = 0) {
+  return [
+    ...times.map(time => ({ ok: true, time })),
+    ...Array.from({ length: failures }, () => ({ ok: false, time: null, error: 'Timeout' }))
+  ];
+}
+
+test('takes percentiles by nearest rank', () => {
+  const stats = summarizeProbes(samples([400, 100, 300, 200, 500]), BUSY_THRESHOLD);
+
+  // Rank ceil(0.5 * 5) = 3 and ceil(0.95 * 5) = 5 of the sorted times
+  assert.equal(stats.p50, 300);
+  assert.equal(stats.p95, 500);
+  assert.equal(stats.max, 500);
+  assert.deepEqual(stats.times, [400, 100, 300, 200, 500]);
+  assert.equal(stats.status, 'online');
+
+  // Rank ceil(0.5 * 4) = 2, no averaging of the middle values
+  assert.equal(summarizeProbes(samples([100, 200, 300, 400]), BUSY_THRESHOLD).p50, 200);
+});
+
+test('is busy when the median is above the threshold', () => {
+  assert.equal(summarizeProbes(samples([900, 1100, 1200]), BUSY_THRESHOLD).status, 'busy');
+  assert.equal(summarizeProbes(samples([900, 1000, 1200]), BUSY_THRESHOLD).status, 'online');
+});
+
+test('is busy when more than 40% of the probes failed', () => {
+  const busy = summarizeProbes(samples([100, 120, 110], 3), BUSY_THRESHOLD);
+  assert.equal(busy.status, 'busy');
+  assert.equal(busy.successes, 3);
+  assert.equal(busy.count, 6);
+
+  // Exactly 40% failed
+  assert.equal(summarizeProbes(samples([100, 120, 110], 2), BUSY_THRESHOLD).status, 'online');
+});
+
+test('is unavailable when every probe failed', () => {
+  assert.deepEqual(summarizeProbes(samples([], 3), BUSY_THRESHOLD), {
+    p50: null,
+    p95: null,
+    max: null,
+    jitter: null,
+    times: [],
+    successes: 0,
+    count: 3,
+    status: 'unavailable'
+  });
+});
+
+test('has no jitter with a single sample', () => {
+  const stats = summarizeProbes(samples([250], 2), BUSY_THRESHOLD);
+  assert.equal(stats.jitter, null);
+  assert.equal(formatLatencyStats(stats), 'p50 250ms · p95 250ms · max 250ms');
+
+  // Mean absolute difference between consecutive probes: (100 + 50) / 2
+  assert.equal(summarizeProbes(samples([100, 200, 150]), BUSY_THRESHOLD).jitter, 75);
+});
+
+test('combines the probes of every node that answered', () => {
+  const combined = combineLatencyStats([
+    summarizeProbes(samples([100, 300]), BUSY_THRESHOLD),
+    summarizeProbes(samples([200]), BUSY_THRESHOLD),
+    summarizeProbes(samples([], 2), BUSY_THRESHOLD),
+    null
+  ]);
+
+  // Only the first node has a jitter; the third did not answer
+  assert.deepEqual(combined, { p50: 200, p95: 300, max: 300, jitter: 200, nodes: 2 });
+  assert.equal(combineLatencyStats([summarizeProbes(samples([], 2), BUSY_THRESHOLD)]), null);
+});
@@ -0,0 +1,171 @@
+// test/node-check.test.mjs
+//
+// Runs the browser node-check engine against a stubbed fetch. ES module, as node-check.js is one.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CHECK_PRIORITY, checkNode, checkNodes, setCheckConcurrency } from '../node-check.js';
+
+const originalFetch = globalThis.fetch;
+
+// Replace fetch for one test and keep the probes' console output out of the test report
+function stubFetch(t, implementation) {
+  globalThis.fetch = implementation;
+  t.after(() => {
+    globalThis.fetch = originalFetch;
+  });
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+// A request that only ends when its probe times out
+function hang(url, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      const error = new Error('The operation was aborted');
+      error.name = 'AbortError';
+      reject(error);
+    });
+  });
+}
+
+const options = { probeCount: 1, retries: 0, retryDelay: 0 };
+
+test('reports a probe that runs into its timeout as Timeout', async t => {
+  stubFetch(t, hang);
+  const result = await checkNode({ url: 'https://cu1.example/', kind: 'http' }, { ...options, timeout: 20 });
+
+  assert.equal(result.status, 'unavailable');
+  assert.equal(result.online, false);
+  assert.equal(result.error, 'Timeout');
+  assert.equal(result.attempts, 1);
+});
+
+test('retries while no probe of an attempt succeeded', async t => {
+  let calls = 0;
+  stubFetch(t, async () => {
+    calls++;
+    if (calls === 1) throw new TypeError('fetch failed');
+    return { ok: true, status: 200 };
+  });
+
+  const result = await checkNode({ url: 'https://cu2.example/', kind: 'http' }, { ...options, retries: 2 });
+  assert.equal(result.status, 'online');
+  assert.equal(result.attempts, 2);
+  assert.equal(calls, 2);
+});
+
+test('gives up after the configured retries', async t => {
+  let calls = 0;
+  stubFetch(t, async () => {
+    calls++;
+    throw new TypeError('fetch failed');
+  });
+
+  const result = await checkNode({ url: 'https://cu3.example/', kind: 'http' }, { ...options, retries: 2 });
+  assert.equal(result.status, 'unavailable');
+  assert.equal(result.attempts, 3);
+  assert.equal(result.error, 'fetch failed');
+  assert.equal(calls, 3);
+});
+
+test('counts a CU blocked by CORS as online, but not a refused connection', async t => {
+  stubFetch(t, async url => {
+    throw new TypeError(url.includes('cors') ? 'Failed to fetch' : 'connect ECONNREFUSED');
+  });
+
+  const blocked = await checkNode({ url: 'https://cors.example/', kind: 'cu' }, options);
+  assert.equal(blocked.status, 'online');
+
+  const refused = await checkNode({ url: 'https://refused.example/', kind: 'cu' }, options);
+  assert.equal(refused.status, 'unavailable');
+});
+
+test('runs queued checks by priority, in request order within a priority', async t => {
+  const started = [];
+  let release;
+  const blocker = new Promise(resolve => {
+    release = resolve;
+  });
+
+  stubFetch(t, async url => {
+    started.push(new URL(url).hostname);
+    if (url.includes('blocker')) await blocker;
+    return { ok: true, status: 200 };
+  });
+  setCheckConcurrency(1);
+  t.after(() => setCheckConcurrency(6));
+
+  const check = (host, priority) => checkNode({ url: `https://${host}/`, kind: 'http' }, { ...options, priority });
+  const checks = [
+    check('blocker.example', CHECK_PRIORITY.NORMAL),
+    check('low.example', CHECK_PRIORITY.LOW),
+    check('normal.example', CHECK_PRIORITY.NORMAL),
+    check('high-1.example', CHECK_PRIORITY.HIGH),
+    check('high-2.example', CHECK_PRIORITY.HIGH)
+  ];
+  release();
+  await Promise.all(checks);
+
+  assert.deepEqual(started, ['blocker.example', 'high-1.example', 'high-2.example', 'normal.example', 'low.example']);
+});
+
+test('drops checks that are still queued when their signal aborts', async t => {
+  let release;
+  const blocker = new Promise(resolve => {
+    release = resolve;
+  });
+
+  stubFetch(t, async url => {
+    if (url.includes('blocker')) await blocker;
+    return { ok: true, status: 200 };
+  });
+  setCheckConcurrency(1);
+  t.after(() => setCheckConcurrency(6));
+
+  const controller = new AbortController();
+  const running = checkNode({ url: 'https://blocker.example/', kind: 'http' }, options);
+  const queued = checkNode({ url: 'https://queued.example/', kind: 'http' }, { ...options, signal: controller.signal });
+  controller.abort();
+  release();
+
+  assert.equal((await running).status, 'online');
+  const dropped = await queued;
+  assert.equal(dropped.cancelled, true);
+  assert.equal(dropped.error, 'Cancelled');
+  assert.equal(dropped.attempts, 0);
+});
+
+test('turns a failing onStart callback into an unavailable result', async t => {
+  stubFetch(t, async () => ({ ok: true, status: 200 }));
+
+  const result = await checkNode({ url: 'https://cu5.example/', kind: 'http' }, {
+    ...options,
+    onStart: () => {
+      throw new Error('card was removed');
+    }
+  });
+  assert.equal(result.status, 'unavailable');
+  assert.equal(result.error, 'card was removed');
+});
+
+test('checkNodes streams results and resolves them in node order', async t => {
+  stubFetch(t, async url => {
+    if (url.includes('slow')) await new Promise(resolve => setTimeout(resolve, 20));
+    return { ok: true, status: 200 };
+  });
+
+  const finished = [];
+  const startedIndexes = [];
+  const nodes = [
+    { url: 'https://slow.example/', kind: 'http' },
+    { url: 'https://fast.example/', kind: 'http' }
+  ];
+
+  const results = await checkNodes(nodes, { ...options, onStart: index => startedIndexes.push(index) }, (result, index) => {
+    finished.push(index);
+  });
+
+  assert.deepEqual(results.map(result => result.node.url), nodes.map(node => node.url));
+  assert.deepEqual(finished, [1, 0]);
+  assert.deepEqual(startedIndexes, [0, 1]);
+});
@@ -0,0 +1,84 @@
+// test/node-checker-proxy.test.js
+//
+// Runs the proxy against local servers: 127.0.0.1 is the allowed host, localhost stands in for
+// a host that is not allowed.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fetch = require('node-fetch');
+const { createProxyServer, checkTarget } = require('../scripts/node-checker-proxy');
+
+// Start a server on a free port; resolves with its port
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// A node that redirects /away to another host, /loop to itself and answers 200 otherwise
+async function startNode(otherPort) {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    if (req.url === '/away') {
+      res.writeHead(302, { Location: `http://localhost:${otherPort}/` });
+    } else if (req.url === '/loop') {
+      res.writeHead(302, { Location: '/loop' });
+    } else if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/' });
+    } else {
+      res.writeHead(200);
+    }
+    res.end();
+  });
+  const port = await listen(server);
+  return { server, port, hits: () => hits };
+}
+
+test('refuses to start without allowed hosts', () => {
+  assert.throws(() => createProxyServer({ timeout: 1000, allowedHosts: [] }), /No allowed hosts/);
+});
+
+test('follows redirects only while they stay on allowed hosts', async () => {
+  const other = await startNode(0);
+  const node = await startNode(other.port);
+
+  try {
+    const moved = await checkTarget(`http://127.0.0.1:${node.port}/moved`, 2000, ['127.0.0.1']);
+    assert.equal(moved.status, 200);
+
+    const away = await checkTarget(`http://127.0.0.1:${node.port}/away`, 2000, ['127.0.0.1']);
+    assert.equal(away.status, 302);
+    assert.match(away.error, /Host not allowed: localhost/);
+    assert.equal(other.hits(), 0);
+
+    const loop = await checkTarget(`http://127.0.0.1:${node.port}/loop`, 2000, ['127.0.0.1']);
+    assert.equal(loop.status, 302);
+    assert.match(loop.error, /More than 5 redirects/);
+  } finally {
+    node.server.close();
+    other.server.close();
+  }
+});
+
+test('rejects hosts that are not allowed and limits CORS to the listed origins', async () => {
+  const node = await startNode(0);
+  const proxy = createProxyServer({ timeout: 2000, allowedHosts: ['127.0.0.1'], allowedOrigins: ['https://eye.example'] });
+  const proxyPort = await listen(proxy);
+  const proxyUrl = target => `http://127.0.0.1:${proxyPort}/?url=${encodeURIComponent(target)}`;
+
+  try {
+    const refused = await fetch(proxyUrl(`http://localhost:${node.port}/`));
+    assert.equal(refused.status, 400);
+    assert.deepEqual(await refused.json(), { error: 'Host not allowed: localhost' });
+
+    const allowed = await fetch(proxyUrl(`http://127.0.0.1:${node.port}/`), { headers: { Origin: 'https://eye.example' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://eye.example');
+    assert.equal((await allowed.json()).status, 200);
+
+    const otherOrigin = await fetch(proxyUrl(`http://127.0.0.1:${node.port}/`), { headers: { Origin: 'https://other.example' } });
+    assert.equal(otherOrigin.headers.get('access-control-allow-origin'), null);
+    await otherOrigin.json();
+  } finally {
+    proxy.close();
+    node.server.close();
+  }
+});
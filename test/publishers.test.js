@@ -0,0 +1,78 @@
+// test/publishers.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PUBLISHERS, createPublisher } = require('../scripts/publishers');
+
+// A temporary directory with one data file, removed after the test
+function createWorkspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publishers-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const dataFile = path.join(dir, 'volume-stats.json');
+  fs.writeFileSync(dataFile, '{"volumeData":{}}');
+  return { dir, dataFile };
+}
+
+test('knows the file, git and hook targets and rejects others', () => {
+  assert.deepEqual(Object.keys(PUBLISHERS), ['file', 'git', 'hook']);
+  assert.throws(() => createPublisher('s3'), /Unknown publish target "s3" \(expected file, git, hook\)/);
+});
+
+test('the file publisher copies the files to the output directory', async t => {
+  const { dir, dataFile } = createWorkspace(t);
+  const output = path.join(dir, 'out');
+  t.mock.method(console, 'log', () => {});
+
+  const publisher = createPublisher('file', { output });
+  await publisher.prepare();
+  await publisher.publish({ files: [dataFile], message: 'Update' });
+
+  assert.equal(fs.readFileSync(path.join(output, 'volume-stats.json'), 'utf8'), '{"volumeData":{}}');
+});
+
+test('the file publisher leaves the files in place without an output directory', async t => {
+  const { dir, dataFile } = createWorkspace(t);
+  const logs = [];
+  t.mock.method(console, 'log', message => logs.push(message));
+
+  await createPublisher('file', {}).publish({ files: [dataFile], message: 'Update' });
+  assert.deepEqual(fs.readdirSync(dir), ['volume-stats.json']);
+  assert.deepEqual(logs, [`📄 Data written to ${dataFile}`]);
+});
+
+test('the hook publisher hands the files, message and repository to the module', async t => {
+  const { dir, dataFile } = createWorkspace(t);
+  const callsFile = path.join(dir, 'calls.json');
+  const hookFile = path.join(dir, 'hook.js');
+  fs.writeFileSync(hookFile, `
+    const fs = require('fs');
+    const calls = [];
+    const save = () => fs.writeFileSync(${JSON.stringify(callsFile)}, JSON.stringify(calls));
+    module.exports = {
+      prepare: async ({ repoPath }) => { calls.push(['prepare', repoPath]); save(); },
+      publish: async ({ files, message, repoPath }) => { calls.push(['publish', files, message, repoPath]); save(); }
+    };
+  `);
+  t.mock.method(console, 'log', () => {});
+
+  const publisher = createPublisher('hook', { hook: hookFile, repoPath: dir });
+  await publisher.prepare();
+  await publisher.publish({ files: [dataFile], message: 'Hourly Volume Update' });
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(callsFile, 'utf8')), [
+    ['prepare', dir],
+    ['publish', [dataFile], 'Hourly Volume Update', dir]
+  ]);
+});
+
+test('the hook publisher needs a module exporting a function', t => {
+  const { dir } = createWorkspace(t);
+  const hookFile = path.join(dir, 'not-a-hook.js');
+  fs.writeFileSync(hookFile, 'module.exports = { name: "nothing" };');
+
+  assert.throws(() => createPublisher('hook', {}), /needs --hook=<path to a JS module>/);
+  assert.throws(() => createPublisher('hook', { hook: hookFile }), /does not export a function/);
+});
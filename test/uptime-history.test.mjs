@@ -0,0 +1,73 @@
+// test/uptime-history.test.mjs
+//
+// Availability windows and incidents of stored node checks. ES module, as uptime-history.js is one.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getAvailability, getIncidents } from '../uptime-history.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 2, 31, 12);
+
+// A check result some hours before NOW
+function check(hoursAgo, status = 'online') {
+  return { node: 'https://hb.example.com/', timestamp: NOW - hoursAgo * HOUR_MS, status, responseTime: status === 'unavailable' ? null : 120 };
+}
+
+test('has no availability without checks', () => {
+  assert.deepEqual(getAvailability([], NOW), [
+    { label: '24h', percent: null, checks: 0 },
+    { label: '7d', percent: null, checks: 0 },
+    { label: '30d', percent: null, checks: 0 }
+  ]);
+});
+
+test('counts busy checks as available', () => {
+  const [day] = getAvailability([check(3, 'busy'), check(2, 'unavailable'), check(1), check(0, 'busy')], NOW);
+  assert.deepEqual(day, { label: '24h', percent: 75, checks: 4 });
+});
+
+test('includes checks exactly at the start of a window', () => {
+  const checks = [
+    check(30 * 24 + 1, 'unavailable'),
+    check(30 * 24, 'unavailable'),
+    check(7 * 24 + 1, 'unavailable'),
+    check(7 * 24),
+    check(24 + 1, 'unavailable'),
+    check(24),
+    check(0)
+  ];
+
+  assert.deepEqual(getAvailability(checks, NOW), [
+    { label: '24h', percent: 100, checks: 2 },
+    { label: '7d', percent: 75, checks: 4 },
+    { label: '30d', percent: 50, checks: 6 }
+  ]);
+});
+
+test('groups failed checks into incidents, newest first', () => {
+  const checks = [
+    check(10),
+    check(9, 'unavailable'),
+    check(8, 'unavailable'),
+    check(7, 'busy'),
+    check(6),
+    check(5, 'unavailable'),
+    check(4)
+  ];
+
+  assert.deepEqual(getIncidents(checks), [
+    { start: NOW - 5 * HOUR_MS, end: NOW - 4 * HOUR_MS, failedChecks: 1 },
+    // Ends with the busy check, the first one that answered
+    { start: NOW - 9 * HOUR_MS, end: NOW - 7 * HOUR_MS, failedChecks: 2 }
+  ]);
+});
+
+test('leaves the end of an ongoing incident open', () => {
+  const checks = [check(3, 'unavailable'), check(2), check(1, 'unavailable'), check(0, 'unavailable')];
+
+  assert.deepEqual(getIncidents(checks), [
+    { start: NOW - HOUR_MS, end: null, failedChecks: 2 },
+    { start: NOW - 3 * HOUR_MS, end: NOW - 2 * HOUR_MS, failedChecks: 1 }
+  ]);
+  assert.deepEqual(getIncidents([check(2), check(1)]), []);
+});
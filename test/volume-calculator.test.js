@@ -0,0 +1,123 @@
+// test/volume-calculator.test.js
+//
+// Replays recorded Credit-Notice pages (fixtures/credit-notices.json) through
+// calculateTokenVolume instead of querying the gateway.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fixture = require('./fixtures/credit-notices.json');
+const { VOLUME_TOKENS, applyDenomination, calculateTokenVolume } = require('../scripts/volume-calculator');
+
+// Answer each query with the next recorded response, checking that it asks for the recorded cursor
+function replay(responses) {
+  const queue = [...responses];
+  const cursors = [];
+  const queries = [];
+
+  const request = async query => {
+    const response = queue.shift();
+    assert.ok(response, 'more pages requested than recorded');
+
+    const after = query.match(/after: "([^"]*)"/)[1];
+    assert.equal(after, response.after);
+    cursors.push(after);
+    queries.push(query);
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response.result;
+  };
+
+  return { request, cursors, queries, remaining: () => queue.length };
+}
+
+const options = request => ({ request, retryDelay: 0 });
+
+test('sums the recorded pages exactly, as a BigInt', async () => {
+  const { request, remaining } = replay(fixture.responses);
+  const result = await calculateTokenVolume(fixture.token, fixture.startHeight, fixture.endHeight, options(request));
+
+  assert.equal(result.rawTotal, '189385794588074326');
+  assert.equal(result.volume, Number(189385794588074326n));
+  assert.equal(result.transfers, 8);
+  assert.equal(result.pages, 3);
+  assert.equal(remaining(), 0);
+});
+
+test('walks the cursors until hasNextPage is false and retries the failed page', async () => {
+  const { request, cursors } = replay(fixture.responses);
+  await calculateTokenVolume(fixture.token, fixture.startHeight, fixture.endHeight, options(request));
+
+  // The second page failed once and was asked for again with the same cursor
+  assert.deepEqual(cursors, [
+    '',
+    'WMimBhloP4Cdv-hXBir-9HyPBku8wR6Tc7u8Qv0RgoU',
+    'WMimBhloP4Cdv-hXBir-9HyPBku8wR6Tc7u8Qv0RgoU',
+    'yVbpdJzmIKMJ7o0QEyQ2rTRvJQ3y9Apu8ejHPtqeUlw'
+  ]);
+});
+
+test('rejects instead of reporting a partial sum when a page keeps failing', async () => {
+  const failing = fixture.responses.slice(0, 2);
+  const { request } = replay([...failing, ...Array(3).fill(failing[1])]);
+
+  await assert.rejects(
+    calculateTokenVolume(fixture.token, fixture.startHeight, fixture.endHeight, { ...options(request), retries: 3 }),
+    /502 Bad Gateway/
+  );
+});
+
+test('applies the denomination of each token', async () => {
+  const ao = await calculateTokenVolume('AO', fixture.startHeight, fixture.endHeight, options(replay(fixture.responses).request));
+  assert.equal(ao.denominated, 189385.79458807432);
+
+  const usdc = replay(fixture.responses);
+  const wusdc = await calculateTokenVolume('wUSDC', fixture.startHeight, fixture.endHeight, options(usdc.request));
+  assert.match(usdc.queries[0], new RegExp(VOLUME_TOKENS.wUSDC.processId));
+  assert.equal(wusdc.rawTotal, ao.rawTotal);
+  assert.equal(wusdc.denominated, 189385794588.07434);
+
+  assert.equal(applyDenomination(1500000n, 6), 1.5);
+  assert.equal(applyDenomination(10n ** 12n, 12), 1);
+});
+
+test('ranks the largest transfers and the most active wallets', async () => {
+  const { request } = replay(fixture.responses);
+  const result = await calculateTokenVolume(fixture.token, fixture.startHeight, fixture.endHeight, {
+    ...options(request),
+    leaderboardSize: 3
+  });
+
+  assert.deepEqual(result.topTransfers.map(transfer => [transfer.id, transfer.quantity]), [
+    ['cJtVvT2g9ag4ElvQ7iDFv918q6FzkS1CgcroFreaIBs', '180000000000000000'],
+    ['HzyxjoliVtfWu4wRpuxx8AXHXeBeOb6uXZO70eLIt6k', '9007199254740993'],
+    ['KBuduhBljIbQw8JnuCuJcrbHtBKF9gziBUIR5p3YnhU', '333333333333333']
+  ]);
+  assert.deepEqual(result.topTransfers[0], {
+    id: 'cJtVvT2g9ag4ElvQ7iDFv918q6FzkS1CgcroFreaIBs',
+    quantity: '180000000000000000',
+    sender: '2_i1jewwJC3T4aZDMbnazbWM-g93QqpH4JhM9AmJl6s',
+    recipient: '3r1ciMcMVIIGZdAzc_HbPv5FVR9dOFbt1qnqx5IENdc',
+    block: 1700137
+  });
+
+  // Both sides of a transfer count towards a wallet; the transfer with an invalid Quantity is left out
+  assert.deepEqual(result.topWallets, [
+    { address: '2_i1jewwJC3T4aZDMbnazbWM-g93QqpH4JhM9AmJl6s', volume: '189343032588074326', transfers: 4 },
+    { address: '3r1ciMcMVIIGZdAzc_HbPv5FVR9dOFbt1qnqx5IENdc', volume: '180000750000000000', transfers: 2 },
+    { address: 'CmAyvlUNKuYoVcwyiX0t0Wd1YA0lU759HhXzOxQkEmQ', volume: '9340532588074326', transfers: 2 }
+  ]);
+  assert.equal(result.walletCount, 6);
+});
+
+test('keeps a longer wallet list when walletListSize is set', async () => {
+  const { request } = replay(fixture.responses);
+  const result = await calculateTokenVolume(fixture.token, fixture.startHeight, fixture.endHeight, {
+    ...options(request),
+    leaderboardSize: 2,
+    walletListSize: 5
+  });
+
+  assert.equal(result.topTransfers.length, 2);
+  assert.equal(result.topWallets.length, 5);
+});
@@ -0,0 +1,118 @@
+/**
+ * Token registry for the Eye of AO dashboard.
+ * tokens.json lists every token whose transfer volume is tracked; the volume script
+ * computes a series per token and the dashboard renders a volume chart per token.
+ */
+import { STATS_CHARTS, TOKEN_REGISTRY_URL } from './config.js';
+
+// Registered tokens, filled by loadTokenRegistry
+let tokens = [];
+
+// Shared loading promise
+let registryPromise = null;
+
+/**
+ * Checks that a registry entry has everything needed to compute and chart its volume
+ * @param {Object} token - The registry entry
+ * @returns {boolean} True if the entry is usable
+ */
+function isValidToken(token) {
+    return Boolean(token)
+        && typeof token.ticker === 'string' && /^\w+$/.test(token.ticker)
+        && typeof token.processId === 'string' && token.processId.length > 0
+        && Number.isInteger(token.denomination) && token.denomination >= 0;
+}
+
+/**
+ * Loads the token registry
+ * @returns {Promise<Array>} The registered tokens; empty if the registry cannot be loaded
+ */
+export function loadTokenRegistry() {
+    if (registryPromise) return registryPromise;
+
+    registryPromise = (async () => {
+        try {
+            const response = await fetch(TOKEN_REGISTRY_URL);
+            if (!response.ok) {
+                throw new Error(`Network error: ${response.status} ${response.statusText}`);
+            }
+
+            const registry = await response.json();
+            tokens = (registry.tokens || []).filter(token => {
+                if (isValidToken(token)) return true;
+                console.warn('Ignoring invalid token registry entry:', token);
+                return false;
+            });
+
+            console.log(`Loaded ${tokens.length} tokens from the registry`);
+        } catch (error) {
+            console.error('Error loading token registry:', error);
+            tokens = [];
+        }
+
+        return tokens;
+    })();
+
+    return registryPromise;
+}
+
+/**
+ * Gets the registered tokens
+ * @returns {Array<Object>} Array of { ticker, name, processId, denomination, color }
+ */
+export function getTokens() {
+    return tokens;
+}
+
+/**
+ * Gets the name of a token's volume chart
+ * @param {string} ticker - The token ticker
+ * @returns {string} The chart name, e.g. 'AOVolume'
+ */
+export function getVolumeChartName(ticker) {
+    return `${ticker}Volume`;
+}
+
+/**
+ * Gets the names of all volume charts
+ * @returns {Array<string>} Array of chart names
+ */
+export function getVolumeCharts() {
+    return tokens.map(token => getVolumeChartName(token.ticker));
+}
+
+/**
+ * Gets all charts fed by precomputed stats rather than GraphQL count queries
+ * @returns {Array<string>} STATS_CHARTS followed by the volume charts
+ */
+export function getStatsCharts() {
+    return [...STATS_CHARTS, ...getVolumeCharts()];
+}
+
+/**
+ * Gets the token shown in a volume chart
+ * @param {string} chartName - The chart name
+ * @returns {Object|null} The registry entry, or null if the chart is not a volume chart
+ */
+export function getVolumeToken(chartName) {
+    return tokens.find(token => getVolumeChartName(token.ticker) === chartName) || null;
+}
+
+/**
+ * Checks if a chart is a token volume chart
+ * @param {string} chartName - The chart name
+ * @returns {boolean} True for volume charts
+ */
+export function isVolumeChart(chartName) {
+    return getVolumeToken(chartName) !== null;
+}
+
+/**
+ * Converts a raw token quantity to whole tokens
+ * @param {number} rawValue - The raw quantity
+ * @param {Object} token - The registry entry
+ * @returns {number} The denominated amount
+ */
+export function denominate(rawValue, token) {
+    return rawValue / Math.pow(10, token.denomination);
+}
@@ -1,10 +1,32 @@
 /**
  * UI-related operations and event handlers for the Eye of AO dashboard
  */
-import { DEFAULT_TIME_RANGE } from './config.js';
-import { formatDate, debounce } from './utils.js';
-import { updateChartTimeRange } from './charts.js';
+import { DEFAULT_TIME_RANGE, CUSTOM_RANGE_MAX_DAYS, GLOBAL_RANGE_CONCURRENCY, CHART_OVERLAYS } from './config.js';
+import { PROCESSES, getChartProcesses, getChartOwner, isQueryProcess, isWeeklyProcess } from './processes.js';
+import { 
+    formatDate, 
+    debounce, 
+    parseCustomTimeRange, 
+    isCustomTimeRange, 
+    formatTimeRangeLabel, 
+    formatPercentChange,
+    runWithConcurrency
+} from './utils.js';
+import { onGatewayChange, getActiveGateway, getCustomGatewayUrl, setCustomGatewayUrl } from './graphql.js';
+import { 
+    charts, 
+    updateChartTimeRange, 
+    getActiveOverlays, 
+    toggleChartOverlay, 
+    isComparisonEnabled, 
+    toggleChartComparison 
+} from './charts.js';
+import { exportChart, exportAllCharts } from './export.js';
+import { updateUrlState } from './urlstate.js';
 import { updateVolumeChart } from './index.js';
+import { getStatsCharts, getVolumeChartName, getVolumeCharts } from './tokens.js';
+import { refreshLeaderboard } from './leaderboard.js';
+import { setupAlerts } from './alerts.js';
 
 // Store time range state for each chart
 const chartTimeRanges = {};
@@ -24,21 +46,165 @@ export function updateNetworkInfoDisplay(currentHeight, latestPeriod) {
     infoElement.textContent = `Current Block: ${currentHeight} | Latest Period (${timeStr}): ${latestPeriod.startHeight} - ${latestPeriod.endHeight}`;
 }
 
+/**
+ * Updates the GraphQL gateway display in the header
+ * @param {Object|null} gateway - The gateway that answered the latest query
+ */
+export function updateGatewayDisplay(gateway) {
+    const gatewayElement = document.getElementById('gatewayInfo');
+    if (!gatewayElement) return;
+    
+    gatewayElement.textContent = gateway
+        ? `GraphQL gateway: ${gateway.name}`
+        : 'GraphQL gateway: connecting...';
+}
+
+/**
+ * Shows the active GraphQL gateway and lets the user supply a custom one
+ */
+export function setupGatewayDisplay() {
+    updateGatewayDisplay(getActiveGateway());
+    onGatewayChange(updateGatewayDisplay);
+    
+    const gatewayElement = document.getElementById('gatewayInfo');
+    if (!gatewayElement) return;
+    
+    gatewayElement.addEventListener('click', () => {
+        const url = prompt(
+            'Custom GraphQL gateway URL (tried before the defaults). Leave empty to use the defaults.',
+            getCustomGatewayUrl() || ''
+        );
+        
+        // Cancelled
+        if (url === null) return;
+        
+        setCustomGatewayUrl(url);
+        window.location.reload();
+    });
+}
+
+/**
+ * Creates the chart card of a token's daily volume
+ * @param {Object} token - The token registry entry
+ * @returns {HTMLElement} The chart card
+ */
+function createVolumeChartCard(token) {
+    const chartName = getVolumeChartName(token.ticker);
+    const card = document.createElement('div');
+    card.className = 'chart-card';
+    card.innerHTML = `
+        <div class="chart-header">
+            <h3 class="chart-title"></h3>
+        </div>
+        <div class="chart-body">
+            <div id="${chartName}Loader" class="chart-loader">
+                <div class="loader"></div>
+                <div class="loader-text">Fetching Transaction History...</div>
+            </div>
+            <div class="chart-container">
+                <canvas id="${chartName}Chart"></canvas>
+            </div>
+            <div class="chart-actions">
+                <button class="chart-action-btn">1W</button>
+                <button class="chart-action-btn">1M</button>
+                <button class="chart-action-btn">3M</button>
+            </div>
+        </div>`;
+    card.querySelector('.chart-title').textContent = `${token.name || token.ticker} Daily Volume`;
+    return card;
+}
+
+/**
+ * Adds a volume chart card for every registered token.
+ * Each card follows the token's transfer chart if there is one, otherwise it is
+ * appended to the network stats grid.
+ * @param {Array<Object>} tokens - The token registry entries
+ */
+export function renderVolumeChartCards(tokens) {
+    const grid = document.querySelector('#networkStatsContent .dashboard-grid');
+    if (!grid) {
+        console.warn('Network stats grid not found, skipping volume charts');
+        return;
+    }
+    
+    tokens.forEach(token => {
+        if (document.getElementById(`${getVolumeChartName(token.ticker)}Chart`)) return;
+        
+        const card = createVolumeChartCard(token);
+        const transferCard = document.getElementById(`${token.ticker}TransferChart`)?.closest('.chart-card');
+        
+        if (transferCard) {
+            transferCard.after(card);
+        } else {
+            grid.appendChild(card);
+        }
+    });
+}
+
+/**
+ * Adds an export menu (CSV, JSON, PNG) to the header of every chart card
+ * and wires the "download all" button
+ */
+export function setupExportMenus() {
+    document.querySelectorAll('.chart-card').forEach(card => {
+        const canvas = card.querySelector('canvas');
+        const header = card.querySelector('.chart-header');
+        if (!canvas || !header || header.querySelector('.chart-export')) return;
+        
+        const chartName = canvas.id.replace('Chart', '');
+        
+        const container = document.createElement('div');
+        container.className = 'chart-export';
+        
+        const toggle = document.createElement('button');
+        toggle.className = 'chart-export-btn';
+        toggle.textContent = 'Export ▾';
+        
+        const menu = document.createElement('div');
+        menu.className = 'chart-export-menu';
+        
+        [['csv', 'CSV'], ['json', 'JSON'], ['png', 'PNG image']].forEach(([format, label]) => {
+            const item = document.createElement('button');
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                container.classList.remove('open');
+                exportChart(chartName, format);
+            });
+            menu.appendChild(item);
+        });
+        
+        toggle.addEventListener('click', event => {
+            event.stopPropagation();
+            document.querySelectorAll('.chart-export.open').forEach(other => {
+                if (other !== container) other.classList.remove('open');
+            });
+            container.classList.toggle('open');
+        });
+        
+        container.appendChild(toggle);
+        container.appendChild(menu);
+        header.appendChild(container);
+    });
+    
+    // Close open menus when clicking elsewhere
+    document.addEventListener('click', () => {
+        document.querySelectorAll('.chart-export.open').forEach(menu => menu.classList.remove('open'));
+    });
+    
+    const downloadAllButton = document.getElementById('downloadAllButton');
+    if (downloadAllButton) {
+        downloadAllButton.addEventListener('click', exportAllCharts);
+    }
+}
+
 /**
  * Shows the loader for a specific chart
  * @param {string} processName - The process name
  * @param {boolean} show - Whether to show or hide the loader
  */
 export function toggleChartLoader(processName, show = true) {
-    let loaderId;
-    
-    // Handle special cases for various chart loaders
-    if (processName === 'USDATransfer') {
-        // USDATransfer shares the same loader as wUSDCTransfer
-        loaderId = 'wUSDCTransferLoader';
-    } else {
-        loaderId = `${processName}Loader`;
-    }
+    // Secondary processes share the loader of the chart they are plotted in
+    const loaderId = `${getChartOwner(processName)}Loader`;
     
     const loaderElement = document.getElementById(loaderId);
     if (loaderElement) {
@@ -83,18 +249,14 @@ export function hideAllChartLoaders() {
  * Sets up event listeners for time range buttons on all charts
  * @param {Function} fetchDataCallback - Callback for regular data fetching
  * @param {Function} fetchWeeklyCallback - Callback for weekly data fetching
+ * @param {Function} fetchIntradayCallback - Callback for the intraday buckets of the 1D view
  */
-export function setupTimeRangeButtons(fetchDataCallback, fetchWeeklyCallback) {
+export function setupTimeRangeButtons(fetchDataCallback, fetchWeeklyCallback, fetchIntradayCallback) {
     // Get all chart cards
     const chartCards = document.querySelectorAll('.chart-card');
     
-    // Initialize chartTimeRanges for each process
-    const processNames = [
-         'wARTransfer', 'wUSDCTransfer', 'USDATransfer', 
-        'AOTransfer', 'permaswap', 'botega', 'llamaLand',
-         'wARweeklyTransfer', 'wARTotalSupply', 'stargrid',
-         'AOVolume', 'wARVolume', 'wUSDCVolume'
-    ];
+    // Initialize chartTimeRanges for each chart in the registry
+    const processNames = [...getChartProcesses(), ...getStatsCharts()];
     
     processNames.forEach(processName => {
         chartTimeRanges[processName] = DEFAULT_TIME_RANGE;
@@ -110,12 +272,7 @@ export function setupTimeRangeButtons(fetchDataCallback, fetchWeeklyCallback) {
         }
         
         // Get process name from canvas ID
-        let processName;
-        if (canvas.id === 'wARTotalSupplyChart') {
-            processName = 'wARTotalSupply';
-        } else {
-            processName = canvas.id.replace('Chart', '');
-        }
+        const processName = canvas.id.replace('Chart', '');
         
         // Set default time range for this chart
         chartTimeRanges[processName] = DEFAULT_TIME_RANGE;
@@ -140,7 +297,7 @@ export function setupTimeRangeButtons(fetchDataCallback, fetchWeeklyCallback) {
                 }
                 
                 // Update button states
-                card.querySelectorAll('.chart-action-btn').forEach(btn => {
+                card.querySelectorAll('.chart-action-btn, .chart-custom-btn').forEach(btn => {
                     btn.classList.remove('active');
                 });
                 newButton.classList.add('active');
@@ -150,40 +307,22 @@ export function setupTimeRangeButtons(fetchDataCallback, fetchWeeklyCallback) {
                 
                 // Update the stored time range
                 chartTimeRanges[processName] = timeRange;
+                updateUrlState();
                 
                 try {
-                    // Special handling for wAR chart
-                    if (processName === 'wARTransfer') {
-                        // Make sure we update both datasets
-                        if (timeRange === '1M' || timeRange === '3M') {
-                            await fetchDataCallback(processName, timeRange);
-                        } else {
-                            // For 1W, just update the chart display
-                            updateChartTimeRange(processName, timeRange);
-                        }
+                    const needsMoreData = timeRange === '1M' || timeRange === '3M';
+                    
+                    // Daily query charts show intraday buckets in the 1D view
+                    if (timeRange === '1D' && fetchIntradayCallback && isQueryProcess(processName) && !isWeeklyProcess(processName)) {
+                        await fetchIntradayCallback(processName);
                     }
-                    // Special handling for wUSDC/USDA combined chart
-                    else if (processName === 'wUSDCTransfer') {
-                        if (timeRange === '1M' || timeRange === '3M') {
-                            await fetchDataCallback(processName, timeRange);
-                        } else {
-                            updateChartTimeRange(processName, timeRange);
-                        }
+                    // Weekly charts fetch additional weeks for longer time ranges
+                    else if (isWeeklyProcess(processName) && needsMoreData) {
+                        await fetchWeeklyCallback(processName, timeRange);
                     }
-                    // Check if we need more data for longer time ranges for specific charts
-                    else if (['AOVolume', 'wARVolume', 'wUSDCVolume','AOTransfer', 'permaswap', 'botega', 'llamaLand', 'stargrid'].includes(processName) &&
-                        (timeRange === '1M' || timeRange === '3M')) {
-                        
+                    // Query based and stats charts need more data for longer time ranges
+                    else if ((isQueryProcess(processName) || getStatsCharts().includes(processName)) && needsMoreData) {
                         await fetchDataCallback(processName, timeRange);
-                    } 
-                    // For weekly charts
-                    // Special handling for wAR weekly combined chart
-                    else if (processName === 'wARweeklyTransfer') {
-                        if (timeRange === '1M' || timeRange === '3M') {
-                            await fetchWeeklyCallback(processName, timeRange);
-                        } else {
-                            updateChartTimeRange(processName, timeRange);
-                        }
                     }
                     // For all other cases, just update the chart display
                     else {
@@ -212,6 +351,342 @@ export function setupTimeRangeButtons(fetchDataCallback, fetchWeeklyCallback) {
     });
 }
 
+/**
+ * Shows a custom date range on a chart card
+ * @param {Element} card - The chart card
+ * @param {string} processName - The chart's process name
+ * @param {Object} timeRange - Custom time range { from, to }
+ * @param {Function} customRangeCallback - Callback that fetches and draws the range
+ * @returns {Promise<void>}
+ */
+async function applyCustomRange(card, processName, timeRange, customRangeCallback) {
+    chartTimeRanges[processName] = timeRange;
+    updateUrlState();
+    
+    card.querySelectorAll('.chart-action-btn, .chart-custom-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    card.querySelector('.chart-custom-btn')?.classList.add('active');
+    
+    toggleChartLoader(processName, true);
+    try {
+        await customRangeCallback(processName, timeRange);
+    } finally {
+        toggleChartLoader(processName, false);
+    }
+}
+
+/**
+ * Builds the from/to inputs of a date range form
+ * @param {Element} form - The form element to fill
+ * @returns {Object} The created { fromInput, toInput, applyButton, errorElement }
+ */
+function buildCustomRangeInputs(form) {
+    const today = new Date().toISOString().slice(0, 10);
+    
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.max = today;
+    fromInput.setAttribute('aria-label', 'From');
+    
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.max = today;
+    toInput.value = today;
+    toInput.setAttribute('aria-label', 'To');
+    
+    const applyButton = document.createElement('button');
+    applyButton.type = 'submit';
+    applyButton.className = 'custom-range-apply';
+    applyButton.textContent = 'Apply';
+    
+    const errorElement = document.createElement('span');
+    errorElement.className = 'custom-range-error';
+    
+    form.append(fromInput, document.createTextNode('to'), toInput, applyButton, errorElement);
+    return { fromInput, toInput, applyButton, errorElement };
+}
+
+/**
+ * Adds a from/to date picker to every chart card and wires the global picker
+ * @param {Function} customRangeCallback - Callback (processName, timeRange) that fetches and draws a custom range
+ */
+export function setupCustomRangePickers(customRangeCallback) {
+    const chartCards = Array.from(document.querySelectorAll('.chart-card'));
+    
+    chartCards.forEach(card => {
+        const canvas = card.querySelector('canvas');
+        const actions = card.querySelector('.chart-actions');
+        if (!canvas || !actions || actions.querySelector('.chart-custom-btn')) return;
+        
+        const processName = canvas.id.replace('Chart', '');
+        
+        // Deliberately not a .chart-action-btn, whose text is read as a preset range
+        const toggleButton = document.createElement('button');
+        toggleButton.className = 'chart-custom-btn';
+        toggleButton.textContent = 'Custom';
+        actions.appendChild(toggleButton);
+        
+        const form = document.createElement('form');
+        form.className = 'custom-range-form hidden';
+        const { fromInput, toInput, applyButton, errorElement } = buildCustomRangeInputs(form);
+        actions.after(form);
+        
+        toggleButton.addEventListener('click', () => {
+            form.classList.toggle('hidden');
+        });
+        
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            errorElement.textContent = '';
+            
+            try {
+                const maxDays = isWeeklyProcess(processName) ? CUSTOM_RANGE_MAX_DAYS * 7 : CUSTOM_RANGE_MAX_DAYS;
+                const timeRange = parseCustomTimeRange(fromInput.value, toInput.value, maxDays);
+                
+                applyButton.disabled = true;
+                await applyCustomRange(card, processName, timeRange, customRangeCallback);
+            } catch (error) {
+                console.error(`Error applying custom range for ${processName}:`, error);
+                errorElement.textContent = error.message;
+            } finally {
+                applyButton.disabled = false;
+            }
+        });
+    });
+    
+    // The global picker applies one range to every chart, a few charts at a time so that
+    // long ranges do not send every chart's queries to the gateway at once
+    const globalForm = document.getElementById('globalRangeForm');
+    if (!globalForm || globalForm.childElementCount > 0) return;
+    
+    const { fromInput, toInput, applyButton, errorElement } = buildCustomRangeInputs(globalForm);
+    applyButton.textContent = 'Apply to all charts';
+    
+    globalForm.addEventListener('submit', async event => {
+        event.preventDefault();
+        errorElement.textContent = '';
+        
+        let timeRange;
+        try {
+            timeRange = parseCustomTimeRange(fromInput.value, toInput.value);
+        } catch (error) {
+            errorElement.textContent = error.message;
+            return;
+        }
+        
+        applyButton.disabled = true;
+        const results = await runWithConcurrency(chartCards.map(card => () => {
+            const canvas = card.querySelector('canvas');
+            if (!canvas) return Promise.resolve();
+            return applyCustomRange(card, canvas.id.replace('Chart', ''), timeRange, customRangeCallback);
+        }), GLOBAL_RANGE_CONCURRENCY);
+        applyButton.disabled = false;
+        
+        const failures = results.filter(result => result.status === 'rejected');
+        if (failures.length > 0) {
+            console.error('Errors applying the global custom range:', failures.map(result => result.reason));
+            errorElement.textContent = `${failures.length} chart(s) could not load this range: ${failures[0].reason.message}`;
+        }
+    });
+}
+
+/**
+ * Selects a time range on a chart the same way the user would,
+ * through its preset button or its custom range form
+ * @param {string} processName - The chart's process name
+ * @param {string|Object} timeRange - A preset key or a custom range { from, to }
+ */
+export function selectChartTimeRange(processName, timeRange) {
+    const card = document.getElementById(`${processName}Chart`)?.closest('.chart-card');
+    if (!card) return;
+    
+    if (isCustomTimeRange(timeRange)) {
+        const form = card.querySelector('.custom-range-form');
+        if (!form) return;
+        
+        const [fromInput, toInput] = form.querySelectorAll('input[type="date"]');
+        [fromInput.value, toInput.value] = formatTimeRangeLabel(timeRange).split('_');
+        form.classList.remove('hidden');
+        form.requestSubmit();
+        return;
+    }
+    
+    const button = Array.from(card.querySelectorAll('.chart-action-btn'))
+        .find(btn => btn.textContent.trim() === timeRange);
+    if (button) {
+        button.click();
+    }
+}
+
+/**
+ * Adds overlay toggles (moving averages, trend) to every chart that supports them
+ */
+export function setupOverlayToggles() {
+    Object.entries(charts).forEach(([chartName, chart]) => {
+        if (!chart || !chart.data.datasets.some(dataset => dataset.overlay)) return;
+        
+        const actions = document.getElementById(`${chartName}Chart`)?.closest('.chart-card')?.querySelector('.chart-actions');
+        if (!actions || actions.querySelector('.chart-overlay-toggles')) return;
+        
+        const activeOverlays = getActiveOverlays(chartName);
+        const group = document.createElement('span');
+        group.className = 'chart-overlay-toggles';
+        
+        Object.entries(CHART_OVERLAYS).forEach(([overlay, config]) => {
+            const button = document.createElement('button');
+            button.className = 'chart-overlay-btn';
+            button.textContent = config.shortLabel;
+            button.title = config.label;
+            button.classList.toggle('active', activeOverlays.includes(overlay));
+            
+            button.addEventListener('click', () => {
+                button.classList.toggle('active', toggleChartOverlay(chartName, overlay));
+            });
+            
+            group.appendChild(button);
+        });
+        
+        actions.appendChild(group);
+    });
+}
+
+/**
+ * Adds a "Compare" toggle to every query-based line chart.
+ * The combined wUSDC/USDA charts and the token volume charts get none: the comparison draws
+ * one dashed series against one count series, which a combined chart of two processes lacks,
+ * and fetchComparisonData queries block ranges while volume charts are read from the volume file.
+ */
+export function setupComparisonToggles() {
+    getChartProcesses()
+        .filter(processName => PROCESSES[processName].chart.type === 'line' && isQueryProcess(processName))
+        .forEach(processName => {
+            const actions = document.getElementById(`${processName}Chart`)?.closest('.chart-card')?.querySelector('.chart-actions');
+            if (!actions || actions.querySelector('.chart-compare-btn')) return;
+            
+            const button = document.createElement('button');
+            button.className = 'chart-compare-btn';
+            button.textContent = 'Compare';
+            button.title = 'Compare with the preceding period of the same length';
+            button.classList.toggle('active', isComparisonEnabled(processName));
+            
+            button.addEventListener('click', () => {
+                button.classList.toggle('active', toggleChartComparison(processName));
+            });
+            
+            actions.appendChild(button);
+        });
+}
+
+/**
+ * Adds a "Leaderboard" toggle and a hidden leaderboard panel to every volume chart
+ */
+export function setupLeaderboards() {
+    getVolumeCharts().forEach(chartName => {
+        const card = document.getElementById(`${chartName}Chart`)?.closest('.chart-card');
+        const actions = card?.querySelector('.chart-actions');
+        if (!actions || actions.querySelector('.chart-leaderboard-btn')) return;
+        
+        const panel = document.createElement('div');
+        panel.id = `${chartName}Leaderboard`;
+        panel.className = 'chart-leaderboard';
+        panel.hidden = true;
+        card.appendChild(panel);
+        
+        const button = document.createElement('button');
+        button.className = 'chart-leaderboard-btn';
+        button.textContent = 'Leaderboard';
+        button.title = 'Largest transfers and most active wallets in the selected range';
+        
+        button.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            button.classList.toggle('active', !panel.hidden);
+            refreshLeaderboard(chartName);
+        });
+        
+        actions.appendChild(button);
+    });
+}
+
+/**
+ * Shows the period-over-period change on a chart card header
+ * @param {string} chartName - The chart name
+ * @param {Object|null} summary - { totalChange, averageChange } in percent, { loading: true }, or null to hide
+ */
+export function updateComparisonSummary(chartName, summary) {
+    const header = document.getElementById(`${chartName}Chart`)?.closest('.chart-card')?.querySelector('.chart-header');
+    if (!header) return;
+    
+    let element = header.querySelector('.chart-comparison');
+    if (!summary) {
+        element?.remove();
+        return;
+    }
+    
+    if (!element) {
+        element = document.createElement('span');
+        element.className = 'chart-comparison';
+        header.querySelector('.chart-title')?.after(element);
+    }
+    
+    element.classList.remove('positive', 'negative');
+    
+    if (summary.loading) {
+        element.textContent = 'Comparing with previous period...';
+        return;
+    }
+    
+    element.textContent = `Total ${formatPercentChange(summary.totalChange)} · ` +
+        `Avg ${formatPercentChange(summary.averageChange)} vs previous period`;
+    
+    if (summary.totalChange !== null) {
+        element.classList.add(summary.totalChange >= 0 ? 'positive' : 'negative');
+    }
+}
+
+/**
+ * Adds a hidden "retry failed periods" button to each query-based chart card
+ * @param {Function} retryCallback - Callback that refetches the failed periods of a process
+ */
+export function setupRetryButtons(retryCallback) {
+    getChartProcesses().filter(isQueryProcess).forEach(processName => {
+        const canvas = document.getElementById(`${processName}Chart`);
+        const actions = canvas?.closest('.chart-card')?.querySelector('.chart-actions');
+        if (!actions || actions.querySelector('.chart-retry-btn')) return;
+        
+        // Deliberately not a .chart-action-btn so the time range handlers ignore it
+        const button = document.createElement('button');
+        button.className = 'chart-retry-btn hidden';
+        button.id = `${processName}RetryButton`;
+        button.title = 'Some periods could not be fetched. Click to fetch them again.';
+        
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                await retryCallback(processName);
+            } catch (error) {
+                console.error(`Error retrying failed periods for ${processName}:`, error);
+            } finally {
+                button.disabled = false;
+            }
+        });
+        
+        actions.appendChild(button);
+    });
+}
+
+/**
+ * Shows or hides the retry button of a chart depending on its failed periods
+ * @param {string} processName - The process name
+ * @param {number} failedCount - Number of periods whose fetch failed
+ */
+export function updateRetryButton(processName, failedCount) {
+    const button = document.getElementById(`${getChartOwner(processName)}RetryButton`);
+    if (!button) return;
+    
+    button.textContent = `Retry failed (${failedCount})`;
+    button.classList.toggle('hidden', failedCount === 0);
+}
 
 /**
  * Sets up responsive behavior for the dashboard
@@ -282,6 +757,15 @@ export function initializeUI() {
     // Set up responsive behavior
     setupResponsiveness();
     
+    // Show which GraphQL gateway is answering
+    setupGatewayDisplay();
+    
+    // Add export menus to the chart cards
+    setupExportMenus();
+    
+    // Wire the alert rules panel
+    setupAlerts();
+    
     // Initialize empty time ranges for all charts
     Object.keys(chartTimeRanges).forEach(key => {
         chartTimeRanges[key] = DEFAULT_TIME_RANGE;
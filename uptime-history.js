@@ -0,0 +1,244 @@
+/**
+ * Node uptime history for the Legacynet and HyperBEAM uptime pages.
+ * Every check result is stored in the persistent cache; node cards show a latency
+ * sparkline, availability over 24h/7d/30d and the incidents (runs of failed checks).
+ */
+import { addNodeCheck, getNodeChecks } from './cache.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Windows shown in the availability row
+const AVAILABILITY_WINDOWS = [
+    { label: '24h', duration: 24 * HOUR_MS },
+    { label: '7d', duration: 7 * 24 * HOUR_MS },
+    { label: '30d', duration: 30 * 24 * HOUR_MS }
+];
+
+// Checks drawn in the sparkline and incidents listed per card
+const SPARKLINE_POINTS = 48;
+const INCIDENTS_SHOWN = 5;
+
+// Sparkline size in SVG units
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+/**
+ * Stores the result of a node check
+ * @param {string} node - The node URL
+ * @param {string} status - 'online', 'busy' or 'unavailable'
+ * @param {number|null} responseTime - Response time in ms, or null if the check failed
+ * @returns {Promise<void>}
+ */
+export function recordNodeCheck(node, status, responseTime = null) {
+    const time = Number(responseTime);
+    return addNodeCheck({
+        node,
+        timestamp: Date.now(),
+        status,
+        responseTime: responseTime === null || Number.isNaN(time) ? null : time
+    });
+}
+
+/**
+ * Whether a check counts as available (busy nodes still answer)
+ * @param {Object} check - The check result
+ * @returns {boolean} True unless the node was unavailable
+ */
+function isAvailable(check) {
+    return check.status !== 'unavailable';
+}
+
+/**
+ * Calculates the share of available checks per window
+ * @param {Array<Object>} checks - Check results, oldest first
+ * @param {number} now - The current time (ms)
+ * @returns {Array<Object>} { label, percent, checks } per window; percent is null without checks
+ */
+export function getAvailability(checks, now = Date.now()) {
+    return AVAILABILITY_WINDOWS.map(({ label, duration }) => {
+        const inWindow = checks.filter(check => check.timestamp >= now - duration);
+        const available = inWindow.filter(isAvailable).length;
+        return {
+            label,
+            percent: inWindow.length > 0 ? (available / inWindow.length) * 100 : null,
+            checks: inWindow.length
+        };
+    });
+}
+
+/**
+ * Groups consecutive failed checks into incidents
+ * @param {Array<Object>} checks - Check results, oldest first
+ * @returns {Array<Object>} { start, end, failedChecks } newest first; end is null while ongoing
+ */
+export function getIncidents(checks) {
+    const incidents = [];
+    let current = null;
+
+    checks.forEach(check => {
+        if (!isAvailable(check)) {
+            if (!current) {
+                current = { start: check.timestamp, end: null, failedChecks: 0 };
+                incidents.push(current);
+            }
+            current.failedChecks++;
+        } else if (current) {
+            // The incident lasted until the first successful check
+            current.end = check.timestamp;
+            current = null;
+        }
+    });
+
+    return incidents.reverse();
+}
+
+/**
+ * Formats a duration for the incident list
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} E.g. "45m" or "3h 20m"
+ */
+function formatDuration(ms) {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Builds an SVG sparkline of recent response times; failed checks are marked at the bottom
+ * @param {Array<Object>} checks - Check results, oldest first
+ * @returns {SVGElement} The sparkline
+ */
+function createSparkline(checks) {
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const recent = checks.slice(-SPARKLINE_POINTS);
+    const times = recent.filter(check => check.responseTime !== null).map(check => check.responseTime);
+    const maxTime = Math.max(...times, 1);
+    const step = recent.length > 1 ? SPARKLINE_WIDTH / (recent.length - 1) : 0;
+
+    const svg = document.createElementNS(svgNamespace, 'svg');
+    svg.setAttribute('class', 'uptime-sparkline');
+    svg.setAttribute('viewBox', `0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    const title = document.createElementNS(svgNamespace, 'title');
+    title.textContent = times.length > 0
+        ? `Last ${recent.length} checks, max ${Math.round(maxTime)}ms`
+        : `Last ${recent.length} checks, no responses`;
+    svg.appendChild(title);
+
+    const points = [];
+    recent.forEach((check, index) => {
+        const x = (index * step).toFixed(1);
+
+        if (check.responseTime === null || !isAvailable(check)) {
+            const marker = document.createElementNS(svgNamespace, 'rect');
+            marker.setAttribute('class', 'uptime-sparkline-failure');
+            marker.setAttribute('x', Math.max(0, x - 1));
+            marker.setAttribute('y', SPARKLINE_HEIGHT - 3);
+            marker.setAttribute('width', 2);
+            marker.setAttribute('height', 3);
+            svg.appendChild(marker);
+            return;
+        }
+
+        const y = (SPARKLINE_HEIGHT - 4 - (check.responseTime / maxTime) * (SPARKLINE_HEIGHT - 6)).toFixed(1);
+        points.push(`${x},${y}`);
+    });
+
+    if (points.length > 0) {
+        const line = document.createElementNS(svgNamespace, 'polyline');
+        line.setAttribute('class', 'uptime-sparkline-line');
+        line.setAttribute('points', points.join(' '));
+        svg.appendChild(line);
+    }
+
+    return svg;
+}
+
+/**
+ * Builds the availability row
+ * @param {Array<Object>} availability - Result of getAvailability
+ * @returns {HTMLElement} The row
+ */
+function createAvailabilityRow(availability) {
+    const row = document.createElement('div');
+    row.className = 'uptime-availability';
+
+    availability.forEach(({ label, percent, checks }) => {
+        const item = document.createElement('span');
+        item.title = `${checks} checks`;
+        item.textContent = `${label}: ${percent === null ? '—' : `${percent.toFixed(percent === 100 ? 0 : 1)}%`}`;
+        row.appendChild(item);
+    });
+
+    return row;
+}
+
+/**
+ * Builds the collapsible incident list
+ * @param {Array<Object>} incidents - Result of getIncidents
+ * @returns {HTMLElement} The incident list
+ */
+function createIncidentList(incidents) {
+    const details = document.createElement('details');
+    details.className = 'uptime-incidents';
+
+    const summary = document.createElement('summary');
+    summary.textContent = incidents.length === 1 ? '1 incident' : `${incidents.length} incidents`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    incidents.slice(0, INCIDENTS_SHOWN).forEach(incident => {
+        const item = document.createElement('li');
+        const started = new Date(incident.start).toLocaleString();
+        item.textContent = incident.end === null
+            ? `${started} · ongoing (${incident.failedChecks} failed checks)`
+            : `${started} · down ${formatDuration(incident.end - incident.start)} (${incident.failedChecks} failed checks)`;
+        list.appendChild(item);
+    });
+    details.appendChild(list);
+
+    return details;
+}
+
+/**
+ * Shows a node's stored history at the bottom of its card, replacing an older rendering
+ * @param {HTMLElement} nodeCard - The node card, or a status section of it
+ * @param {string} node - The node URL
+ * @returns {Promise<void>}
+ */
+export async function renderUptimeHistory(nodeCard, node) {
+    const checks = await getNodeChecks(node, Date.now() - AVAILABILITY_WINDOWS[AVAILABILITY_WINDOWS.length - 1].duration);
+    if (checks.length === 0 || !nodeCard.isConnected) return;
+
+    const history = document.createElement('div');
+    history.className = 'uptime-history';
+    history.appendChild(createSparkline(checks));
+    history.appendChild(createAvailabilityRow(getAvailability(checks)));
+
+    const incidents = getIncidents(checks);
+    if (incidents.length > 0) {
+        history.appendChild(createIncidentList(incidents));
+    }
+
+    // Only the card's own history; a HyperBEAM card's CU section holds one of its own
+    nodeCard.querySelector(':scope > .uptime-history')?.remove();
+    nodeCard.appendChild(history);
+}
+
+/**
+ * Stores a check result and refreshes the card's history
+ * @param {HTMLElement} nodeCard - The node card
+ * @param {string} node - The node URL
+ * @param {string} status - 'online', 'busy' or 'unavailable'
+ * @param {number|null} responseTime - Response time in ms, or null if the check failed
+ * @returns {Promise<void>}
+ */
+export async function recordAndRenderNodeCheck(nodeCard, node, status, responseTime = null) {
+    await recordNodeCheck(node, status, responseTime);
+    await renderUptimeHistory(nodeCard, node);
+}
@@ -0,0 +1,122 @@
+/**
+ * Shareable URL state for the Eye of AO dashboard.
+ * The query string holds the chart view so a link reopens the same view, e.g.
+ * ?section=networkStats&AOTransfer=3M&wARTransfer=2025-01-01_2025-01-07&hide=USDATransfer
+ * The section parameter itself is maintained by nav.js.
+ */
+import { DEFAULT_TIME_RANGE, TIME_RANGES } from './config.js';
+import { getChartSeriesProcesses } from './processes.js';
+import { formatTimeRangeLabel, parseCustomTimeRange } from './utils.js';
+import { charts } from './charts.js';
+import { getChartTimeRange, selectChartTimeRange } from './ui.js';
+
+// Query parameter listing the hidden datasets by process name
+const HIDDEN_PARAM = 'hide';
+
+// Custom windows are written as "YYYY-MM-DD_YYYY-MM-DD"
+const CUSTOM_RANGE_PATTERN = /^(\d{4}-\d{2}-\d{2})_(\d{4}-\d{2}-\d{2})$/;
+
+/**
+ * Parses a time range from its URL form
+ * @param {string} value - A preset key or a custom window label
+ * @returns {string|Object|null} The time range, or null if the value is invalid
+ */
+function parseTimeRangeParam(value) {
+    if (TIME_RANGES[value]) return value;
+
+    const match = CUSTOM_RANGE_PATTERN.exec(value || '');
+    if (!match) return null;
+
+    try {
+        return parseCustomTimeRange(match[1], match[2], Infinity);
+    } catch (error) {
+        console.warn(`Ignoring invalid date range in URL: ${value}`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Reads the chart view from the current URL
+ * @returns {Object} { ranges: { chartName: timeRange }, hidden: Set of process names }
+ */
+export function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const ranges = {};
+
+    Object.keys(charts).forEach(chartName => {
+        const timeRange = parseTimeRangeParam(params.get(chartName));
+        if (timeRange) {
+            ranges[chartName] = timeRange;
+        }
+    });
+
+    const hidden = new Set((params.get(HIDDEN_PARAM) || '').split(',').filter(Boolean));
+
+    return { ranges, hidden };
+}
+
+/**
+ * Writes the current chart view (time ranges and hidden datasets) into the URL.
+ * Uses replaceState so changing a chart does not add browser history entries.
+ */
+export function updateUrlState() {
+    const url = new URL(window.location.href);
+    const hidden = [];
+
+    Object.entries(charts).forEach(([chartName, chart]) => {
+        const timeRange = getChartTimeRange(chartName);
+
+        // Only non-default ranges are written to keep links short
+        if (timeRange && timeRange !== DEFAULT_TIME_RANGE) {
+            url.searchParams.set(chartName, formatTimeRangeLabel(timeRange));
+        } else {
+            url.searchParams.delete(chartName);
+        }
+
+        getChartSeriesProcesses(chartName).forEach((processName, index) => {
+            if (chart.data.datasets[index] && !chart.isDatasetVisible(index)) {
+                hidden.push(processName);
+            }
+        });
+    });
+
+    if (hidden.length > 0) {
+        url.searchParams.set(HIDDEN_PARAM, hidden.join(','));
+    } else {
+        url.searchParams.delete(HIDDEN_PARAM);
+    }
+
+    window.history.replaceState(window.history.state, '', url);
+}
+
+/**
+ * Restores the chart view from the URL.
+ * Hidden datasets apply right away; time ranges are selected once each chart's
+ * initial data has loaded so they are not overwritten by it.
+ * @param {Object} chartLoads - Map of chart name to the promise of its initial load
+ */
+export function restoreUrlState(chartLoads = {}) {
+    const { ranges, hidden } = readUrlState();
+
+    Object.entries(charts).forEach(([chartName, chart]) => {
+        let changed = false;
+
+        getChartSeriesProcesses(chartName).forEach((processName, index) => {
+            if (hidden.has(processName) && chart.data.datasets[index]) {
+                chart.setDatasetVisibility(index, false);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            chart.update('none');
+        }
+    });
+
+    Object.entries(ranges).forEach(([chartName, timeRange]) => {
+        Promise.resolve(chartLoads[chartName])
+            .catch(() => {})
+            .then(() => selectChartTimeRange(chartName, timeRange))
+            .catch(error => console.error(`Error restoring time range for ${chartName}:`, error));
+    });
+}
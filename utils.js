@@ -1,7 +1,9 @@
 /**
  * Utility functions for the Eye of AO dashboard
  */
-import { TIME_FORMAT, TIME_RANGES } from './config.js';
+import { TIME_FORMAT, TIME_RANGES, CUSTOM_RANGE_MAX_DAYS, CUSTOM_RANGE_WEEKLY_DAYS, INTRADAY_BUCKET_MINUTES } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Formats a date using the provided format options
@@ -181,6 +183,72 @@ export function getWeeklyPeriods(currentHeight, blockData) {
     return periods.sort((a, b) => a.startTime - b.startTime);
 }
 
+/**
+ * Estimates the block height at a moment by interpolating linearly between
+ * the known daily block heights and the current height
+ * @param {Array} blockData - Array of blocks with dates and heights
+ * @param {number} currentHeight - Current block height
+ * @param {Date} date - The moment to estimate
+ * @returns {number} Estimated block height
+ */
+export function estimateBlockHeight(blockData, currentHeight, date) {
+    const anchors = blockData
+        .map(block => ({ time: new Date(block.date).getTime(), height: block.blockHeight }))
+        .concat({ time: Date.now(), height: currentHeight })
+        .sort((a, b) => a.time - b.time);
+    
+    const time = date.getTime();
+    if (time <= anchors[0].time) return anchors[0].height;
+    
+    for (let i = 1; i < anchors.length; i++) {
+        const previous = anchors[i - 1];
+        const next = anchors[i];
+        
+        if (time <= next.time) {
+            const span = next.time - previous.time;
+            const fraction = span > 0 ? (time - previous.time) / span : 1;
+            return Math.round(previous.height + (next.height - previous.height) * fraction);
+        }
+    }
+    
+    return currentHeight;
+}
+
+/**
+ * Splits a time window (by default the last 24 hours) into fixed-size buckets with estimated block ranges
+ * @param {number} currentHeight - Current block height
+ * @param {Array} blockData - Array of blocks with dates and heights
+ * @param {number} bucketMinutes - Bucket size in minutes
+ * @param {Object} timeWindow - The window { from, to }
+ * @returns {Array} Array of time periods in chronological order; a bucket ending now ends at the current height
+ */
+export function getIntradayPeriods(currentHeight, blockData, bucketMinutes = INTRADAY_BUCKET_MINUTES, timeWindow = null) {
+    const bucketMs = bucketMinutes * 60 * 1000;
+    const now = new Date();
+    const until = timeWindow ? timeWindow.to : now;
+    const since = timeWindow ? timeWindow.from : new Date(now.getTime() - DAY_MS);
+    const periods = [];
+    
+    // Align buckets to whole multiples of the bucket size, starting at the first boundary inside
+    // the window so the last 24 hours give 24 buckets (the newest one still open) rather than 25
+    let startTime = new Date(Math.ceil(since.getTime() / bucketMs) * bucketMs);
+    let startHeight = estimateBlockHeight(blockData, currentHeight, startTime);
+    
+    while (startTime < until) {
+        const endTime = new Date(Math.min(startTime.getTime() + bucketMs, until.getTime()));
+        const endHeight = endTime >= now
+            ? currentHeight
+            : estimateBlockHeight(blockData, currentHeight, endTime);
+        
+        periods.push({ startTime, endTime, startHeight, endHeight });
+        
+        startTime = endTime;
+        startHeight = endHeight;
+    }
+    
+    return periods;
+}
+
 /**
  * Filters data based on the selected time range
  * @param {Array} data - The data to filter
@@ -190,6 +258,15 @@ export function getWeeklyPeriods(currentHeight, blockData) {
 export function filterDataByTimeRange(data, timeRange) {
     if (!data || data.length === 0) return [];
     
+    // Custom ranges keep the points and periods that overlap the window
+    if (isCustomTimeRange(timeRange)) {
+        return data.filter(item => {
+            const end = new Date(item.timestamp);
+            const start = item.startTime ? new Date(item.startTime) : end;
+            return start < timeRange.to && (end > timeRange.from || start >= timeRange.from);
+        });
+    }
+    
     const now = new Date();
     const timeLimit = TIME_RANGES[timeRange] || TIME_RANGES['1M']; // Default to 1 month if invalid
     
@@ -199,6 +276,277 @@ export function filterDataByTimeRange(data, timeRange) {
     });
 }
 
+/**
+ * Checks if a time range is a custom { from, to } window rather than a preset key
+ * @param {string|Object} timeRange - The time range
+ * @returns {boolean} True for custom ranges
+ */
+export function isCustomTimeRange(timeRange) {
+    return Boolean(timeRange) && typeof timeRange === 'object' &&
+        timeRange.from instanceof Date && timeRange.to instanceof Date;
+}
+
+/**
+ * Checks if a custom range is long enough to be shown in weekly buckets on daily charts
+ * @param {string|Object} timeRange - The time range
+ * @returns {boolean} True for custom ranges longer than CUSTOM_RANGE_WEEKLY_DAYS
+ */
+export function isLongCustomRange(timeRange) {
+    return isCustomTimeRange(timeRange) && (timeRange.to - timeRange.from) / DAY_MS > CUSTOM_RANGE_WEEKLY_DAYS;
+}
+
+/**
+ * Runs tasks with at most a given number of them at the same time
+ * @param {Array<Function>} tasks - Functions returning promises, started in order
+ * @param {number} concurrency - Most tasks running at the same time
+ * @returns {Promise<Array<Object>>} Settled results in task order, like Promise.allSettled
+ */
+export async function runWithConcurrency(tasks, concurrency) {
+    const results = new Array(tasks.length);
+    let next = 0;
+    
+    const worker = async () => {
+        while (next < tasks.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await tasks[index]() };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+    return results;
+}
+
+/**
+ * Parses the values of two date inputs (YYYY-MM-DD) into a custom time range.
+ * Both days are inclusive; the returned end is exclusive and never later than now.
+ * @param {string} fromValue - The first day
+ * @param {string} toValue - The last day
+ * @param {number} maxDays - Longest allowed range in days
+ * @returns {Object} Custom time range { from, to }
+ * @throws {Error} If the dates are missing or do not form a valid range
+ */
+export function parseCustomTimeRange(fromValue, toValue, maxDays = CUSTOM_RANGE_MAX_DAYS) {
+    if (!fromValue || !toValue) {
+        throw new Error('Pick both a start and an end date');
+    }
+    
+    const from = new Date(`${fromValue}T00:00:00Z`);
+    const lastDay = new Date(`${toValue}T00:00:00Z`);
+    if (isNaN(from.getTime()) || isNaN(lastDay.getTime())) {
+        throw new Error('Invalid date');
+    }
+    
+    const now = new Date();
+    if (from > lastDay) {
+        throw new Error('The start date must be before the end date');
+    }
+    if (from > now) {
+        throw new Error('The start date is in the future');
+    }
+    
+    const days = Math.round((lastDay - from) / DAY_MS) + 1;
+    if (days > maxDays) {
+        throw new Error(`Ranges are limited to ${maxDays} days`);
+    }
+    
+    const to = new Date(Math.min(lastDay.getTime() + DAY_MS, now.getTime()));
+    return { from, to };
+}
+
+/**
+ * Formats a time range for labels and file names
+ * @param {string|Object} timeRange - A preset key or a custom range
+ * @returns {string} The preset key, or "YYYY-MM-DD_YYYY-MM-DD" for custom ranges
+ */
+export function formatTimeRangeLabel(timeRange) {
+    if (!isCustomTimeRange(timeRange)) return timeRange;
+    
+    const firstDay = timeRange.from.toISOString().slice(0, 10);
+    const lastDay = new Date(timeRange.to.getTime() - 1).toISOString().slice(0, 10);
+    return `${firstDay}_${lastDay}`;
+}
+
+/**
+ * Generates daily or weekly periods covering a custom time range.
+ * Periods the block history does not reach are left out.
+ * @param {number} currentHeight - Current block height
+ * @param {Array} blockData - Array of blocks with dates and heights
+ * @param {Object} timeRange - Custom time range { from, to }
+ * @param {boolean} weekly - Whether to build Sunday-aligned weekly periods
+ * @returns {Array} Array of time periods in chronological order
+ */
+export function getCustomRangePeriods(currentHeight, blockData, timeRange, weekly = false) {
+    const step = weekly ? 7 * DAY_MS : DAY_MS;
+    const now = new Date();
+    const periods = [];
+    
+    // A block further than this from a period boundary means the history does not cover it
+    const maxBlockDistance = DAY_MS;
+    const findBlock = date => {
+        const block = findBlockNearDate(blockData, date);
+        return block && Math.abs(new Date(block.date) - date) <= maxBlockDistance ? block : null;
+    };
+    
+    let startTime = weekly ? getLastSundayCheckpoint(timeRange.from) : getLastDailyCheckpoint(timeRange.from);
+    
+    while (startTime < timeRange.to) {
+        const endTime = new Date(startTime.getTime() + step);
+        const startBlock = findBlock(startTime);
+        
+        if (endTime > now) {
+            // The open period runs up to the current height
+            if (startBlock) {
+                periods.push({
+                    endTime: now,
+                    startTime,
+                    endHeight: currentHeight,
+                    startHeight: startBlock.blockHeight
+                });
+            }
+            break;
+        }
+        
+        const endBlock = findBlock(endTime);
+        if (startBlock && endBlock) {
+            periods.push({
+                endTime,
+                startTime,
+                endHeight: endBlock.blockHeight,
+                startHeight: startBlock.blockHeight
+            });
+        }
+        
+        startTime = endTime;
+    }
+    
+    return periods;
+}
+
+/**
+ * Converts a window in days to a number of data points, based on the spacing of the points
+ * @param {Array} timestamps - Chronological timestamps of the points
+ * @param {number} days - Window length in days
+ * @returns {number} Window length in points (at least 1)
+ */
+export function getWindowSize(timestamps, days) {
+    if (timestamps.length < 2) return 1;
+    
+    const first = new Date(timestamps[0]).getTime();
+    const last = new Date(timestamps[timestamps.length - 1]).getTime();
+    const interval = (last - first) / (timestamps.length - 1);
+    
+    return interval > 0 ? Math.max(1, Math.round(days * DAY_MS / interval)) : 1;
+}
+
+/**
+ * Calculates a trailing simple moving average. Missing values (null) are skipped;
+ * points are null until a full window has passed.
+ * @param {Array<number|null>} values - The values
+ * @param {number} windowSize - Window length in points
+ * @returns {Array<number|null>} The moving average for each point
+ */
+export function simpleMovingAverage(values, windowSize) {
+    return values.map((value, index) => {
+        if (index < windowSize - 1) return null;
+        
+        const window = values.slice(index - windowSize + 1, index + 1).filter(v => v !== null);
+        return window.length > 0 ? window.reduce((sum, v) => sum + v, 0) / window.length : null;
+    });
+}
+
+/**
+ * Calculates an exponential moving average with smoothing 2 / (windowSize + 1).
+ * Missing values (null) stay null and do not change the average.
+ * @param {Array<number|null>} values - The values
+ * @param {number} windowSize - Window length in points
+ * @returns {Array<number|null>} The moving average for each point
+ */
+export function exponentialMovingAverage(values, windowSize) {
+    const alpha = 2 / (windowSize + 1);
+    let average = null;
+    
+    return values.map(value => {
+        if (value === null) return null;
+        
+        average = average === null ? value : alpha * value + (1 - alpha) * average;
+        return average;
+    });
+}
+
+/**
+ * Fits a least-squares line through the values against their timestamps
+ * @param {Array<number|null>} values - The values; nulls are ignored in the fit
+ * @param {Array} timestamps - The timestamp of each value
+ * @returns {Array<number|null>} The trend line value for each point, or nulls if fewer than 2 values
+ */
+export function linearTrend(values, timestamps) {
+    const points = values
+        .map((value, index) => ({ x: new Date(timestamps[index]).getTime(), y: value }))
+        .filter(point => point.y !== null);
+    
+    if (points.length < 2) return values.map(() => null);
+    
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    const slope = variance > 0 ? covariance / variance : 0;
+    
+    return timestamps.map(timestamp => meanY + slope * (new Date(timestamp).getTime() - meanX));
+}
+
+/**
+ * Gets the window of equal length that precedes the plotted points
+ * @param {Array} dataPoints - Chronological data points with timestamps (and startTime when known)
+ * @returns {Object|null} { from, to, shift, step } in Dates/milliseconds, or null without points
+ */
+export function getPrecedingWindow(dataPoints) {
+    if (!dataPoints || dataPoints.length === 0) return null;
+    
+    // Closed periods are evenly spaced, so the first two give the period length
+    const step = dataPoints.length > 1
+        ? new Date(dataPoints[1].timestamp) - new Date(dataPoints[0].timestamp)
+        : DAY_MS;
+    
+    const first = dataPoints[0];
+    const windowStart = first.startTime
+        ? new Date(first.startTime)
+        : new Date(new Date(first.timestamp).getTime() - step);
+    const shift = dataPoints.length * step;
+    
+    return {
+        from: new Date(windowStart.getTime() - shift),
+        to: windowStart,
+        shift,
+        step
+    };
+}
+
+/**
+ * Calculates the percentage change between two values
+ * @param {number} current - The current value
+ * @param {number} previous - The previous value
+ * @returns {number|null} The change in percent, or null if the previous value is zero or missing
+ */
+export function calculatePercentChange(current, previous) {
+    if (!previous || current === null || current === undefined) return null;
+    return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Formats a percentage change with its sign
+ * @param {number|null} change - The change in percent
+ * @returns {string} Formatted change, e.g. "+12.5%", or "n/a"
+ */
+export function formatPercentChange(change) {
+    if (change === null || !isFinite(change)) return 'n/a';
+    return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
 /**
  * Creates a debounced function that delays invoking func until after wait milliseconds
  * @param {Function} func - The function to debounce